@@ -0,0 +1,34 @@
+// config/companyRoles.js - Company team roles and what each may do
+
+// Most to least privileged
+const COMPANY_ROLES = ['owner', 'admin', 'recruiter', 'hiring_manager', 'viewer'];
+
+// Roles allowed to perform each company action (viewers can only read)
+const ROLE_PERMISSIONS = {
+  manageTeam: ['owner', 'admin'],
+  manageSettings: ['owner', 'admin'],
+  manageBilling: ['owner', 'admin'],
+  manageJobs: ['owner', 'admin', 'recruiter'],
+  manageApplications: ['owner', 'admin', 'recruiter', 'hiring_manager'],
+  scheduleInterviews: ['owner', 'admin', 'recruiter', 'hiring_manager'],
+  manageAccountData: ['owner']
+};
+
+// Check whether a role may perform an action
+const roleCan = (role, permission) => {
+  return (ROLE_PERMISSIONS[permission] || []).includes(role);
+};
+
+// Only owners may hand out the owner role; admins may grant anything below it
+const canAssignRole = (actingRole, role) => {
+  if (!COMPANY_ROLES.includes(role)) return false;
+  if (actingRole === 'owner') return true;
+  return actingRole === 'admin' && role !== 'owner';
+};
+
+module.exports = {
+  COMPANY_ROLES,
+  ROLE_PERMISSIONS,
+  roleCan,
+  canAssignRole
+};
@@ -7,17 +7,44 @@ const createTransporter = () => {
     return null;
   }
   
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     host: process.env.EMAIL_HOST,
     port: process.env.EMAIL_PORT || 587,
     secure: process.env.EMAIL_PORT == 465, // true for 465, false for other ports
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS,
-    },
+    // Local SMTP catchers (MailHog, Mailpit) accept mail without credentials
+    ...(process.env.EMAIL_USER && {
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS,
+      }
+    }),
   });
 };
 
+let transporter;
+
+// Send an email - returns false instead of throwing when email isn't configured
+const sendEmail = async ({ to, subject, html }) => {
+  if (transporter === undefined) {
+    transporter = createTransporter();
+  }
+  
+  if (!transporter) {
+    console.log(`⚠️ Email not sent (not configured): "${subject}" to ${to}`);
+    return false;
+  }
+  
+  await transporter.sendMail({
+    from: process.env.EMAIL_FROM || 'Refer\'d <noreply@referd.co.uk>',
+    to,
+    subject,
+    html
+  });
+  
+  console.log(`📧 Email sent: "${subject}" to ${to}`);
+  return true;
+};
+
 // Test email connection
 const testEmailConnection = async () => {
   const transporter = createTransporter();
@@ -109,11 +136,68 @@ const emailTemplates = {
         <p>If you didn't request this, please ignore this email.</p>
       </div>
     `
+  }),
+  
+  // Passwordless sign-in link for job seekers
+  magicLink: (firstName, loginUrl, expireMinutes) => ({
+    subject: 'Your Refer\'d sign-in link',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #3E99F7;">Sign In to Refer'd</h1>
+        <p>Hi ${firstName},</p>
+        <p>Click the button below to sign in - no password needed:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${loginUrl}" style="background: #3E99F7; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold;">
+            Sign In
+          </a>
+        </div>
+        <p>This link will expire in ${expireMinutes} minutes and can only be used once.</p>
+        <p>If you didn't request this, please ignore this email.</p>
+      </div>
+    `
+  }),
+  
+  // Sign-in from a device or network we haven't seen before
+  newDeviceLogin: (firstName, { device, ipAddress, at }, securityUrl) => ({
+    subject: 'New sign-in to your Refer\'d account',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #3E99F7;">New Sign-in Detected</h1>
+        <p>Hi ${firstName},</p>
+        <p>Your account was just signed in to from a new device or location:</p>
+        <div style="background: #F5F5F5; padding: 20px; border-radius: 10px; margin: 20px 0;">
+          <p style="margin: 0;"><strong>Device:</strong> ${device}</p>
+          <p style="margin: 10px 0 0 0;"><strong>IP address:</strong> ${ipAddress}</p>
+          <p style="margin: 10px 0 0 0;"><strong>Time:</strong> ${at.toUTCString()}</p>
+        </div>
+        <p>If this was you, there's nothing to do.</p>
+        <p>If it wasn't, <a href="${securityUrl}">reset your password</a> straight away - this signs out every session.</p>
+      </div>
+    `
+  }),
+  
+  // Company team invitation
+  teamInvite: (companyName, inviterName, role, inviteUrl) => ({
+    subject: `Join ${companyName} on Refer'd`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #3E99F7;">You're Invited</h1>
+        <p>${inviterName} has invited you to join <strong>${companyName}</strong> on Refer'd as ${role.replace('_', ' ')}.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${inviteUrl}" style="background: #CDE892; color: black; padding: 15px 30px; text-decoration: none; border-radius: 5px; font-weight: bold;">
+            Accept Invitation
+          </a>
+        </div>
+        <p>Or copy and paste this link in your browser: ${inviteUrl}</p>
+        <p>This invitation will expire in 7 days.</p>
+      </div>
+    `
   })
 };
 
 module.exports = {
   createTransporter,
+  sendEmail,
   testEmailConnection,
   emailTemplates
 };
\ No newline at end of file
@@ -106,7 +106,8 @@ const getConfig = () => {
     port: process.env.PORT || 5001,
     mongoUri: process.env.MONGODB_URI,
     jwtSecret: process.env.JWT_SECRET,
-    jwtExpire: process.env.JWT_EXPIRE || '7d',
+    jwtExpire: process.env.ACCESS_TOKEN_EXPIRE || '15m',
+    refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS) || 30,
     clientUrl: process.env.CLIENT_URL || 'http://localhost:3000',
     
     // File upload limits
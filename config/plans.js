@@ -0,0 +1,54 @@
+// config/plans.js - Company subscription plan catalogue
+
+// null means unlimited
+const PLANS = {
+  basic: {
+    name: 'Basic',
+    limits: {
+      activeJobs: 3,
+      seats: 1,
+      featuredJobCredits: 0
+    },
+    features: {
+      analytics: false
+    }
+  },
+  professional: {
+    name: 'Professional',
+    limits: {
+      activeJobs: 15,
+      seats: 5,
+      featuredJobCredits: 3
+    },
+    features: {
+      analytics: true
+    }
+  },
+  enterprise: {
+    name: 'Enterprise',
+    limits: {
+      activeJobs: null,
+      seats: 25,
+      featuredJobCredits: 10
+    },
+    features: {
+      analytics: true
+    }
+  }
+};
+
+const DEFAULT_PLAN = 'basic';
+
+// Get the plan definition for a company (unknown plans fall back to basic)
+const getPlan = (company) => {
+  const key = company?.billing?.subscriptionPlan;
+  const planKey = PLANS[key] ? key : DEFAULT_PLAN;
+
+  return { key: planKey, ...PLANS[planKey] };
+};
+
+module.exports = {
+  PLANS,
+  DEFAULT_PLAN,
+  getPlan
+};
@@ -0,0 +1,100 @@
+// config/skills.js - Skill taxonomy used to tag resumes and match candidates to jobs
+//
+// Each entry is the canonical name shown to users, its category, and the ways it
+// is written on CVs. Only the aliases are matched (case-insensitive, whole words),
+// so leave out spellings that are ordinary English words - "Go" is matched as "golang".
+
+const SKILL_TAXONOMY = [
+  // Programming languages
+  { name: 'JavaScript', category: 'Programming', aliases: ['javascript', 'js', 'es6', 'ecmascript'] },
+  { name: 'TypeScript', category: 'Programming', aliases: ['typescript'] },
+  { name: 'Python', category: 'Programming', aliases: ['python', 'python3'] },
+  { name: 'Java', category: 'Programming', aliases: ['java'] },
+  { name: 'C#', category: 'Programming', aliases: ['c#', 'csharp', 'c sharp'] },
+  { name: 'C++', category: 'Programming', aliases: ['c++', 'cpp'] },
+  { name: 'Go', category: 'Programming', aliases: ['golang'] },
+  { name: 'Rust', category: 'Programming', aliases: ['rust'] },
+  { name: 'PHP', category: 'Programming', aliases: ['php'] },
+  { name: 'Ruby', category: 'Programming', aliases: ['ruby'] },
+  { name: 'Swift', category: 'Programming', aliases: ['swift'] },
+  { name: 'Kotlin', category: 'Programming', aliases: ['kotlin'] },
+  { name: 'SQL', category: 'Programming', aliases: ['sql', 't-sql', 'pl/sql'] },
+  { name: 'R', category: 'Programming', aliases: ['r programming', 'rstudio'] },
+
+  // Web and frameworks
+  { name: 'React', category: 'Frameworks', aliases: ['react', 'react.js', 'reactjs'] },
+  { name: 'Angular', category: 'Frameworks', aliases: ['angular', 'angularjs'] },
+  { name: 'Vue.js', category: 'Frameworks', aliases: ['vue', 'vue.js', 'vuejs'] },
+  { name: 'Node.js', category: 'Frameworks', aliases: ['node.js', 'nodejs'] },
+  { name: 'Express', category: 'Frameworks', aliases: ['express.js', 'expressjs'] },
+  { name: 'Next.js', category: 'Frameworks', aliases: ['next.js', 'nextjs'] },
+  { name: 'Django', category: 'Frameworks', aliases: ['django'] },
+  { name: 'Flask', category: 'Frameworks', aliases: ['flask'] },
+  { name: 'Spring', category: 'Frameworks', aliases: ['spring boot', 'springboot', 'spring framework'] },
+  { name: '.NET', category: 'Frameworks', aliases: ['.net', 'dotnet', 'asp.net', '.net core'] },
+  { name: 'Ruby on Rails', category: 'Frameworks', aliases: ['rails', 'ruby on rails'] },
+  { name: 'Laravel', category: 'Frameworks', aliases: ['laravel'] },
+  { name: 'HTML', category: 'Frameworks', aliases: ['html', 'html5'] },
+  { name: 'CSS', category: 'Frameworks', aliases: ['css', 'css3', 'sass', 'scss'] },
+  { name: 'GraphQL', category: 'Frameworks', aliases: ['graphql'] },
+  { name: 'REST APIs', category: 'Frameworks', aliases: ['restful', 'rest api', 'rest apis'] },
+
+  // Data and infrastructure
+  { name: 'MongoDB', category: 'Data', aliases: ['mongodb', 'mongo', 'mongoose'] },
+  { name: 'PostgreSQL', category: 'Data', aliases: ['postgresql', 'postgres'] },
+  { name: 'MySQL', category: 'Data', aliases: ['mysql', 'mariadb'] },
+  { name: 'Redis', category: 'Data', aliases: ['redis'] },
+  { name: 'Elasticsearch', category: 'Data', aliases: ['elasticsearch', 'elastic search', 'opensearch'] },
+  { name: 'Data Analysis', category: 'Data', aliases: ['data analysis', 'data analytics', 'pandas', 'numpy'] },
+  { name: 'Machine Learning', category: 'Data', aliases: ['machine learning', 'ml', 'deep learning', 'tensorflow', 'pytorch', 'scikit-learn'] },
+  { name: 'Power BI', category: 'Data', aliases: ['power bi', 'powerbi'] },
+  { name: 'Tableau', category: 'Data', aliases: ['tableau'] },
+  { name: 'Excel', category: 'Data', aliases: ['excel', 'microsoft excel', 'vba'] },
+  { name: 'AWS', category: 'Cloud & DevOps', aliases: ['aws', 'amazon web services', 'ec2', 's3', 'lambda'] },
+  { name: 'Azure', category: 'Cloud & DevOps', aliases: ['azure', 'microsoft azure'] },
+  { name: 'Google Cloud', category: 'Cloud & DevOps', aliases: ['gcp', 'google cloud', 'google cloud platform'] },
+  { name: 'Docker', category: 'Cloud & DevOps', aliases: ['docker'] },
+  { name: 'Kubernetes', category: 'Cloud & DevOps', aliases: ['kubernetes', 'k8s'] },
+  { name: 'Terraform', category: 'Cloud & DevOps', aliases: ['terraform'] },
+  { name: 'CI/CD', category: 'Cloud & DevOps', aliases: ['ci/cd', 'continuous integration', 'jenkins', 'github actions', 'gitlab ci'] },
+  { name: 'Linux', category: 'Cloud & DevOps', aliases: ['linux', 'unix', 'bash'] },
+  { name: 'Git', category: 'Cloud & DevOps', aliases: ['git', 'github', 'gitlab', 'bitbucket'] },
+
+  // Design and product
+  { name: 'UI/UX Design', category: 'Design', aliases: ['ui/ux', 'ux design', 'ui design', 'user experience', 'user interface design'] },
+  { name: 'Figma', category: 'Design', aliases: ['figma'] },
+  { name: 'Adobe Creative Suite', category: 'Design', aliases: ['photoshop', 'illustrator', 'indesign', 'adobe creative suite', 'adobe xd'] },
+  { name: 'Product Management', category: 'Product', aliases: ['product management', 'product manager', 'product owner', 'roadmapping'] },
+  { name: 'Agile', category: 'Product', aliases: ['agile', 'scrum', 'kanban'] },
+  { name: 'Jira', category: 'Product', aliases: ['jira', 'confluence'] },
+
+  // Business
+  { name: 'Project Management', category: 'Business', aliases: ['project management', 'prince2', 'pmp'] },
+  { name: 'Sales', category: 'Business', aliases: ['sales', 'business development', 'account management', 'lead generation'] },
+  { name: 'Marketing', category: 'Business', aliases: ['marketing', 'digital marketing', 'content marketing'] },
+  { name: 'SEO', category: 'Business', aliases: ['seo', 'search engine optimisation', 'search engine optimization'] },
+  { name: 'Social Media', category: 'Business', aliases: ['social media', 'social media marketing'] },
+  { name: 'CRM', category: 'Business', aliases: ['crm', 'salesforce', 'hubspot'] },
+  { name: 'Customer Service', category: 'Business', aliases: ['customer service', 'customer support', 'customer success'] },
+  { name: 'Accounting', category: 'Business', aliases: ['accounting', 'bookkeeping', 'xero', 'sage', 'quickbooks'] },
+  { name: 'Financial Analysis', category: 'Business', aliases: ['financial analysis', 'financial modelling', 'financial modeling', 'fp&a'] },
+  { name: 'Recruitment', category: 'Business', aliases: ['recruitment', 'talent acquisition', 'recruiting'] },
+  { name: 'Human Resources', category: 'Business', aliases: ['human resources', 'hr', 'people operations'] },
+
+  // Other professions
+  { name: 'Nursing', category: 'Healthcare', aliases: ['nursing', 'registered nurse', 'rgn'] },
+  { name: 'Patient Care', category: 'Healthcare', aliases: ['patient care', 'care assistant', 'healthcare assistant'] },
+  { name: 'Teaching', category: 'Education', aliases: ['teaching', 'qts', 'pgce', 'lesson planning'] },
+  { name: 'Legal Research', category: 'Legal', aliases: ['legal research', 'litigation', 'conveyancing', 'contract law'] },
+  { name: 'CAD', category: 'Engineering', aliases: ['cad', 'autocad', 'solidworks', 'revit'] },
+  { name: 'Health and Safety', category: 'Engineering', aliases: ['health and safety', 'nebosh', 'iosh', 'cscs'] },
+
+  // Transferable
+  { name: 'Communication', category: 'Soft Skills', aliases: ['communication skills', 'stakeholder management', 'presentation skills'] },
+  { name: 'Leadership', category: 'Soft Skills', aliases: ['leadership', 'team leadership', 'people management', 'line management'] },
+  { name: 'Problem Solving', category: 'Soft Skills', aliases: ['problem solving', 'problem-solving', 'analytical skills'] }
+];
+
+module.exports = {
+  SKILL_TAXONOMY
+};
@@ -1,8 +1,24 @@
 const Stripe = require('stripe');
 
+// Point the client at a local stripe-mock when STRIPE_MOCK=true (defaults to localhost:12111),
+// or at any other host with STRIPE_API_HOST / STRIPE_API_PORT / STRIPE_API_PROTOCOL
+const isMockMode = process.env.STRIPE_MOCK === 'true';
+
+const getStripeOptions = () => {
+  const host = process.env.STRIPE_API_HOST || (isMockMode ? 'localhost' : null);
+  if (!host) return {};
+  
+  return {
+    host,
+    port: parseInt(process.env.STRIPE_API_PORT) || (isMockMode ? 12111 : 443),
+    protocol: process.env.STRIPE_API_PROTOCOL || (isMockMode ? 'http' : 'https')
+  };
+};
+
 // Initialize Stripe
-const stripe = process.env.STRIPE_SECRET_KEY 
-  ? Stripe(process.env.STRIPE_SECRET_KEY)
+const stripeSecretKey = process.env.STRIPE_SECRET_KEY || (isMockMode ? 'sk_test_123' : null);
+const stripe = stripeSecretKey 
+  ? Stripe(stripeSecretKey, getStripeOptions())
   : null;
 
 // Test Stripe connection
@@ -25,7 +41,7 @@ const testStripeConnection = async () => {
 // Payment helper functions
 const stripeHelpers = {
   // Create payment intent for referral payments
-  createReferralPayment: async (amount, currency = 'gbp', referralId) => {
+  createReferralPayment: async (amount, currency = 'gbp', referralId, metadata = {}) => {
     if (!stripe) throw new Error('Stripe not configured');
     
     return await stripe.paymentIntents.create({
@@ -33,7 +49,8 @@ const stripeHelpers = {
       currency: currency,
       metadata: {
         type: 'referral_payment',
-        referralId: referralId
+        referralId: referralId,
+        ...metadata // paymentId links the intent to the ledger entry for webhooks
       },
       automatic_payment_methods: {
         enabled: true,
@@ -78,6 +95,100 @@ const stripeHelpers = {
     return await stripe.refunds.create(refundData);
   },
   
+  // Create a Stripe Connect Express account for a referrer
+  createConnectedAccount: async (email, metadata = {}) => {
+    if (!stripe) throw new Error('Stripe not configured');
+    
+    return await stripe.accounts.create({
+      type: 'express',
+      country: process.env.STRIPE_CONNECT_COUNTRY || 'GB',
+      email,
+      capabilities: {
+        transfers: { requested: true }
+      },
+      metadata
+    });
+  },
+  
+  // Create an onboarding link for a connected account
+  createAccountLink: async (accountId, refreshUrl, returnUrl) => {
+    if (!stripe) throw new Error('Stripe not configured');
+    
+    return await stripe.accountLinks.create({
+      account: accountId,
+      refresh_url: refreshUrl,
+      return_url: returnUrl,
+      type: 'account_onboarding'
+    });
+  },
+  
+  // Retrieve a connected account
+  retrieveAccount: async (accountId) => {
+    if (!stripe) throw new Error('Stripe not configured');
+    
+    return await stripe.accounts.retrieve(accountId);
+  },
+  
+  // Check whether a connected account can receive transfers
+  isAccountPayoutReady: (account) => {
+    if (isMockMode) return true; // stripe-mock fixtures are never fully onboarded
+    return !!(account.payouts_enabled || account.capabilities?.transfers === 'active');
+  },
+  
+  // Transfer funds from the platform balance to a connected account
+  createTransfer: async (amount, currency, destination, metadata = {}, idempotencyKey) => {
+    if (!stripe) throw new Error('Stripe not configured');
+    
+    return await stripe.transfers.create({
+      amount: Math.round(amount * 100), // Convert to pence
+      currency: currency.toLowerCase(),
+      destination,
+      metadata
+    }, idempotencyKey ? { idempotencyKey } : undefined);
+  },
+  
+  // Add a line to a customer's next Stripe invoice
+  createInvoiceItem: async (customerId, amount, currency, description, metadata = {}, idempotencyKey) => {
+    if (!stripe) throw new Error('Stripe not configured');
+    
+    return await stripe.invoiceItems.create({
+      customer: customerId,
+      amount: Math.round(amount * 100), // Convert to pence
+      currency: currency.toLowerCase(),
+      description,
+      metadata
+    }, idempotencyKey ? { idempotencyKey } : undefined);
+  },
+  
+  // Create and finalize a Stripe invoice from the customer's pending items
+  createStripeInvoice: async (customerId, { daysUntilDue = 30, metadata = {}, idempotencyKey } = {}) => {
+    if (!stripe) throw new Error('Stripe not configured');
+    
+    const invoice = await stripe.invoices.create({
+      customer: customerId,
+      collection_method: 'send_invoice',
+      days_until_due: daysUntilDue,
+      pending_invoice_items_behavior: 'include',
+      metadata
+    }, idempotencyKey ? { idempotencyKey } : undefined);
+    
+    return await stripe.invoices.finalizeInvoice(invoice.id);
+  },
+  
+  // Void an unpaid Stripe invoice
+  voidStripeInvoice: async (invoiceId) => {
+    if (!stripe) throw new Error('Stripe not configured');
+    
+    return await stripe.invoices.voidInvoice(invoiceId);
+  },
+  
+  // Cancel a subscription immediately
+  cancelSubscription: async (subscriptionId) => {
+    if (!stripe) throw new Error('Stripe not configured');
+    
+    return await stripe.subscriptions.cancel(subscriptionId);
+  },
+  
   // Calculate platform fee (2.5% + £0.20)
   calculatePlatformFee: (amount) => {
     const feePercent = 0.025; // 2.5%
@@ -88,6 +199,7 @@ const stripeHelpers = {
 
 module.exports = {
   stripe,
+  isMockMode,
   testStripeConnection,
   ...stripeHelpers
 };
\ No newline at end of file
@@ -0,0 +1,490 @@
+// controllers/adminController.js - Platform administration (moderation, payouts, stats)
+const User = require('../models/User');
+const Company = require('../models/Company');
+const Job = require('../models/Job');
+const Application = require('../models/Application');
+const Payment = require('../models/Payment');
+const Invoice = require('../models/Invoice');
+const Session = require('../models/Session');
+const CompanyMember = require('../models/CompanyMember');
+const { transitionPayment } = require('../utils/ledger');
+
+// Escape user input before using it in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const paginate = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const paginationMeta = (page, limit, total) => ({
+  currentPage: page,
+  totalPages: Math.ceil(total / limit),
+  total,
+  hasNextPage: page < Math.ceil(total / limit),
+  hasPrevPage: page > 1,
+  limit
+});
+
+// @desc    Search users
+// @route   GET /api/admin/users
+// @access  Private (Admin)
+const searchUsers = async (req, res) => {
+  try {
+    const { search, blocked } = req.query;
+    const { page, limit, skip } = paginate(req.query);
+
+    const filters = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      filters.$or = [{ email: pattern }, { firstName: pattern }, { lastName: pattern }, { referralCode: pattern }];
+    }
+    if (blocked !== undefined) filters.isBlocked = blocked === 'true';
+
+    const [users, total] = await Promise.all([
+      User.find(filters)
+        .select('firstName lastName email referralCode isActive isBlocked emailVerified referralStats lastLogin createdAt')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: paginationMeta(page, limit, total)
+      }
+    });
+  } catch (error) {
+    console.error('Admin search users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not search users'
+    });
+  }
+};
+
+// @desc    Search companies
+// @route   GET /api/admin/companies
+// @access  Private (Admin)
+const searchCompanies = async (req, res) => {
+  try {
+    const { search, blocked, verified } = req.query;
+    const { page, limit, skip } = paginate(req.query);
+
+    const filters = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      filters.$or = [{ email: pattern }, { companyName: pattern }, { registrationNumber: pattern }];
+    }
+    if (blocked !== undefined) filters.isBlocked = blocked === 'true';
+    if (verified !== undefined) filters.isVerified = verified === 'true';
+
+    const [companies, total] = await Promise.all([
+      Company.find(filters)
+        .select('companyName email industry companySize isActive isBlocked isVerified emailVerified billing.subscriptionPlan billing.subscriptionStatus stats createdAt')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Company.countDocuments(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        companies,
+        pagination: paginationMeta(page, limit, total)
+      }
+    });
+  } catch (error) {
+    console.error('Admin search companies error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not search companies'
+    });
+  }
+};
+
+/**
+ * Block or unblock an account. Blocking signs the account out everywhere
+ * (for a company, its whole team too).
+ */
+const setBlocked = (Model, label) => async (req, res) => {
+  try {
+    const { blocked, reason } = req.body;
+
+    if (typeof blocked !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'blocked must be true or false'
+      });
+    }
+
+    const account = await Model.findByIdAndUpdate(
+      req.params.id,
+      { $set: { isBlocked: blocked } },
+      { new: true }
+    );
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: `${label} not found`
+      });
+    }
+
+    if (blocked) {
+      await Session.revokeAllForAccount(account._id, 'blocked');
+
+      if (account.userType === 'company') {
+        const members = await CompanyMember.find({ companyId: account._id }).select('_id');
+        await Session.updateMany(
+          { accountId: { $in: members.map(member => member._id) }, revokedAt: null },
+          { $set: { revokedAt: new Date(), revokedReason: 'blocked' } }
+        );
+      }
+    }
+
+    console.log(`🛡️ Admin ${req.user.email} ${blocked ? 'blocked' : 'unblocked'} ${label.toLowerCase()} ${account.email}${reason ? `: ${reason}` : ''}`);
+
+    res.json({
+      success: true,
+      message: `${label} ${blocked ? 'blocked' : 'unblocked'}`,
+      data: { id: account._id, isBlocked: account.isBlocked }
+    });
+  } catch (error) {
+    console.error(`Admin block ${label.toLowerCase()} error:`, error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: `${label} not found`
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: `Could not update ${label.toLowerCase()}`
+    });
+  }
+};
+
+// @desc    Block or unblock a user
+// @route   PUT /api/admin/users/:id/block
+// @access  Private (Admin)
+const setUserBlocked = setBlocked(User, 'User');
+
+// @desc    Block or unblock a company
+// @route   PUT /api/admin/companies/:id/block
+// @access  Private (Admin)
+const setCompanyBlocked = setBlocked(Company, 'Company');
+
+// @desc    Verify (or unverify) a company
+// @route   PUT /api/admin/companies/:id/verify
+// @access  Private (Admin)
+const verifyCompany = async (req, res) => {
+  try {
+    const verified = req.body.verified !== undefined ? req.body.verified : true;
+
+    if (typeof verified !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'verified must be true or false'
+      });
+    }
+
+    const company = await Company.findByIdAndUpdate(
+      req.params.id,
+      { $set: { isVerified: verified } },
+      { new: true }
+    );
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        error: 'Company not found'
+      });
+    }
+
+    console.log(`🛡️ Admin ${req.user.email} ${verified ? 'verified' : 'unverified'} ${company.companyName}`);
+
+    res.json({
+      success: true,
+      message: `${company.companyName} is ${verified ? 'now verified' : 'no longer verified'}`,
+      data: { id: company._id, isVerified: company.isVerified }
+    });
+  } catch (error) {
+    console.error('Admin verify company error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Company not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not update company verification'
+    });
+  }
+};
+
+// @desc    Take down a job posting
+// @route   PUT /api/admin/jobs/:id/takedown
+// @access  Private (Admin)
+const takeDownJob = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing reason',
+        message: 'A reason is required to take down a job'
+      });
+    }
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    const wasActive = job.status === 'active';
+
+    job.status = 'closed';
+    job.closedDate = new Date();
+    job.moderation = {
+      takenDownAt: new Date(),
+      takenDownBy: req.user._id,
+      reason
+    };
+    await job.save();
+
+    if (wasActive) {
+      await Company.findByIdAndUpdate(job.companyId, {
+        $inc: { 'stats.activeJobs': -1 }
+      });
+    }
+
+    console.log(`🛡️ Admin ${req.user.email} took down job ${job.title}: ${reason}`);
+
+    res.json({
+      success: true,
+      message: 'Job taken down',
+      data: { id: job._id, status: job.status, moderation: job.moderation }
+    });
+  } catch (error) {
+    console.error('Admin take down job error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not take down job'
+    });
+  }
+};
+
+// @desc    List ledger entries awaiting payout
+// @route   GET /api/admin/payouts
+// @access  Private (Admin)
+const getPayouts = async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const { page, limit, skip } = paginate(req.query);
+
+    const filters = { status };
+
+    const [payments, total] = await Promise.all([
+      Payment.find(filters)
+        .populate('referrerId', 'firstName lastName email')
+        .populate('companyId', 'companyName')
+        .populate('jobId', 'title')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      Payment.countDocuments(filters)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        pagination: paginationMeta(page, limit, total)
+      }
+    });
+  } catch (error) {
+    console.error('Admin get payouts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not retrieve payouts'
+    });
+  }
+};
+
+// @desc    Approve a pending referral fee for payout
+// @route   PUT /api/admin/payouts/:id/approve
+// @access  Private (Admin)
+const approvePayout = async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    if (!payment.canTransitionTo('approved')) {
+      return res.status(409).json({
+        success: false,
+        error: 'Invalid transition',
+        message: `A ${payment.status} payment cannot be approved`
+      });
+    }
+
+    // Fees inside the guarantee period are released by the scheduler unless the guarantee is waived
+    const waiveGuarantee = req.body.waiveGuarantee === true;
+    if (payment.status === 'pending' && payment.guarantee?.endsAt > new Date() && !waiveGuarantee) {
+      return res.status(409).json({
+        success: false,
+        error: 'Guarantee period',
+        message: `This fee is inside its guarantee period until ${payment.guarantee.endsAt.toISOString().slice(0, 10)}. Send waiveGuarantee: true to release it early.`
+      });
+    }
+
+    await transitionPayment(payment, 'approved', {
+      by: req.user._id,
+      byModel: 'Admin',
+      note: (req.body.note || 'Approved by Refer\'d') + (waiveGuarantee ? ' (guarantee waived)' : '')
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment approved',
+      data: { payment }
+    });
+  } catch (error) {
+    console.error('Admin approve payout error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: 'Invalid transition',
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not approve payment'
+    });
+  }
+};
+
+// @desc    Platform-wide statistics
+// @route   GET /api/admin/stats
+// @access  Private (Admin)
+const getPlatformStats = async (req, res) => {
+  try {
+    const monthStart = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+
+    const [
+      totalUsers,
+      newUsers,
+      blockedUsers,
+      totalCompanies,
+      verifiedCompanies,
+      blockedCompanies,
+      activeJobs,
+      takenDownJobs,
+      totalApplications,
+      referralApplications,
+      hires,
+      payoutsByStatus,
+      invoiceTotals
+    ] = await Promise.all([
+      User.countDocuments(),
+      User.countDocuments({ createdAt: { $gte: monthStart } }),
+      User.countDocuments({ isBlocked: true }),
+      Company.countDocuments(),
+      Company.countDocuments({ isVerified: true }),
+      Company.countDocuments({ isBlocked: true }),
+      Job.countDocuments({ status: 'active' }),
+      Job.countDocuments({ 'moderation.takenDownAt': { $exists: true } }),
+      Application.countDocuments(),
+      Application.countDocuments({ isReferral: true }),
+      Application.countDocuments({ status: 'hired' }),
+      Payment.aggregate([
+        { $group: { _id: { type: '$type', status: '$status', currency: '$currency' }, count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+      ]),
+      Invoice.aggregate([
+        { $match: { status: { $in: ['open', 'paid'] } } },
+        { $group: { _id: { status: '$status', currency: '$currency' }, count: { $sum: 1 }, total: { $sum: '$total' } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        users: { total: totalUsers, newThisMonth: newUsers, blocked: blockedUsers },
+        companies: { total: totalCompanies, verified: verifiedCompanies, blocked: blockedCompanies },
+        jobs: { active: activeJobs, takenDown: takenDownJobs },
+        applications: { total: totalApplications, referrals: referralApplications, hires },
+        payouts: payoutsByStatus.map(row => ({ ...row._id, count: row.count, amount: row.amount })),
+        invoices: invoiceTotals.map(row => ({ ...row._id, count: row.count, total: row.total }))
+      }
+    });
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not retrieve platform statistics'
+    });
+  }
+};
+
+module.exports = {
+  searchUsers,
+  searchCompanies,
+  setUserBlocked,
+  setCompanyBlocked,
+  verifyCompany,
+  takeDownJob,
+  getPayouts,
+  approvePayout,
+  getPlatformStats
+};
@@ -0,0 +1,156 @@
+// controllers/apiKeyController.js - Company API keys for ATS / HR integrations
+const ApiKey = require('../models/ApiKey');
+const { API_KEY_SCOPES } = require('../models/ApiKey');
+
+const MAX_ACTIVE_KEYS = parseInt(process.env.API_KEY_LIMIT) || 10;
+
+// @desc    List the company's API keys
+// @route   GET /api/companies/api-keys
+// @access  Private (Company owner/admin)
+const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ companyId: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys,
+        scopes: API_KEY_SCOPES
+      }
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not retrieve API keys'
+    });
+  }
+};
+
+// @desc    Create an API key (the full key is only shown in this response)
+// @route   POST /api/companies/api-keys
+// @access  Private (Company owner/admin)
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, rateLimitPerMinute, expiresAt } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'A name and at least one scope are required'
+      });
+    }
+
+    if (expiresAt && !(new Date(expiresAt) > new Date())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid expiry',
+        message: 'Expiry date must be in the future'
+      });
+    }
+
+    const activeKeys = await ApiKey.countDocuments({
+      companyId: req.user._id,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+
+    if (activeKeys >= MAX_ACTIVE_KEYS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Key limit reached',
+        message: `A company can have at most ${MAX_ACTIVE_KEYS} active API keys. Revoke an unused key first.`
+      });
+    }
+
+    const { apiKey, key } = await ApiKey.issue(req.user._id, {
+      name,
+      scopes,
+      rateLimitPerMinute,
+      expiresAt,
+      createdBy: req.actor.id,
+      createdByModel: req.actor.model
+    });
+
+    console.log(`🔑 API key created: ${apiKey.keyId} for ${req.user.companyName} (${apiKey.scopes.join(', ')})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now - it will not be shown again.',
+      data: {
+        apiKey,
+        key
+      }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: messages[0],
+        details: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not create API key'
+    });
+  }
+};
+
+// @desc    Revoke an API key
+// @route   DELETE /api/companies/api-keys/:id
+// @access  Private (Company owner/admin)
+const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, companyId: req.user._id });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    console.log(`🔑 API key revoked: ${apiKey.keyId} for ${req.user.companyName}`);
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      data: { apiKey }
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not revoke API key'
+    });
+  }
+};
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+};
@@ -1,20 +1,68 @@
 // controllers/applicationController.js - Complete application management logic
 const Application = require('../models/Application');
 const Job = require('../models/Job');
-const User = require('../models/User');
 const Company = require('../models/Company');
+const Referral = require('../models/Referral');
+const Payment = require('../models/Payment');
+const { processSuccessfulHire } = require('./referralController');
+const { resolveAttribution } = require('../utils/referralAttribution');
+const { scoreReferralApplication, isHeldForReview } = require('../utils/fraudDetection');
+const {
+  resolveGuaranteePeriod,
+  recordReferralFee,
+  syncReferrerStats,
+  getEarningsSummary,
+  clawbackReferralFee
+} = require('../utils/ledger');
+const { invoiceHire, voidInvoiceForPayment } = require('../utils/invoicing');
+const { describeUpload } = require('../utils/fileStorage');
+const { discardUpload } = require('../middleware/upload');
+const { loadCandidates, scoreMatch } = require('../utils/matchEngine');
+
+// Applications ranked when a company sorts by match (scores aren't stored, so ranking is in memory)
+const MATCH_SORT_LIMIT = 1000;
+
+// Copy of a resume taken when the application is sent, so later library changes don't alter it
+const snapshotResume = (resume, resumeId = null) => {
+  const { name, filename, originalName, fileSize, uploadDate, url, storage } = resume;
+  return { resumeId, name, filename, originalName, fileSize, uploadDate, url, storage };
+};
+
+// Resume for an application: a one-off upload, a chosen library version, or the default.
+// Returns undefined when a resumeId doesn't match anything in the library.
+const resolveApplicationResume = (req, resumeId) => {
+  if (req.file) {
+    return snapshotResume({ ...describeUpload(req.file), name: req.body.resumeName || req.file.originalname });
+  }
+
+  if (resumeId) {
+    const chosen = req.user.resumes?.id(resumeId);
+    return chosen ? snapshotResume(chosen, chosen._id) : undefined;
+  }
+
+  const current = req.user.resumes?.find(resume => resume.isDefault);
+  if (current) return snapshotResume(current, current._id);
+
+  // Profiles from before the resume library
+  return req.user.profile?.resume?.url ? snapshotResume(req.user.profile.resume) : null;
+};
 
 // @desc    Submit job application
 // @route   POST /api/applications
 // @access  Private (User)
 const submitApplication = async (req, res) => {
+  // A one-off resume upload is removed again unless the application is created
+  let submitted = false;
+  
   try {
     const {
       jobId,
       coverLetter,
       customResponses,
       referralCode,
-      consent
+      visitorId,
+      consent,
+      resumeId
     } = req.body;
     
     // Verify user is not a company
@@ -26,8 +74,16 @@ const submitApplication = async (req, res) => {
       });
     }
     
+    if (referralCode && typeof referralCode !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid referral code',
+        message: 'Referral code must be text'
+      });
+    }
+    
     // Find the job
-    const job = await Job.findById(jobId).populate('companyId', 'companyName');
+    const job = await Job.findById(jobId).populate('companyId', 'companyName referralSettings');
     
     if (!job) {
       return res.status(404).json({
@@ -60,18 +116,66 @@ const submitApplication = async (req, res) => {
       });
     }
     
-    // Handle referral tracking
-    let referredBy = null;
-    let isReferral = false;
+    const resume = resolveApplicationResume(req, resumeId);
     
-    if (referralCode) {
-      const referrer = await User.findOne({ referralCode: referralCode.toUpperCase() });
-      if (referrer && referrer._id.toString() !== req.user._id.toString()) {
-        referredBy = referrer._id;
-        isReferral = true;
-        
-        console.log(`📧 Referral application: ${req.user.email} referred by ${referrer.referralCode}`);
-      }
+    if (resume === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Resume not found',
+        message: 'The selected resume is not in your library'
+      });
+    }
+    
+    // Enforce what the job asks applicants to send
+    if (job.applicationSettings?.requireResume && !resume?.url) {
+      return res.status(400).json({
+        success: false,
+        error: 'Resume required',
+        message: 'This job requires a resume. Upload one or choose one from your library.',
+        code: 'RESUME_REQUIRED'
+      });
+    }
+    
+    if (job.applicationSettings?.requireCoverLetter && !coverLetter?.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cover letter required',
+        message: 'This job requires a cover letter',
+        code: 'COVER_LETTER_REQUIRED'
+      });
+    }
+    
+    // Handle referral attribution using the company's window and touch rules
+    const attribution = await resolveAttribution({
+      job,
+      company: job.companyId,
+      candidate: req.user,
+      visitorId: visitorId || req.headers['x-visitor-id'],
+      referralCode,
+      req
+    });
+    
+    const referredBy = attribution.touchpoint ? attribution.touchpoint.referrerId : null;
+    const creditedCode = attribution.touchpoint ? attribution.touchpoint.referralCode : null;
+    const isReferral = !!referredBy;
+    
+    if (isReferral) {
+      console.log(`📧 Referral application: ${req.user.email} referred by ${creditedCode} (${attribution.details.model})`);
+    }
+    
+    // Score referred applications for self-referral and ring behaviour
+    const fraudReview = isReferral
+      ? await scoreReferralApplication({
+        candidate: req.user,
+        referrerId: referredBy,
+        referralCode: creditedCode,
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+      })
+      : undefined;
+    
+    if (fraudReview && fraudReview.status === 'flagged') {
+      console.log(`🚩 Referral application flagged for review: score ${fraudReview.score} (${fraudReview.signals.map(s => s.code).join(', ')})`);
     }
     
     // Create application
@@ -80,15 +184,13 @@ const submitApplication = async (req, res) => {
       applicantId: req.user._id,
       companyId: job.companyId._id,
       referredBy,
-      referralCode: isReferral ? referralCode.toUpperCase() : null,
+      referralCode: creditedCode,
       isReferral,
+      referralAttribution: attribution.details || undefined,
+      fraudReview,
       coverLetter,
       customResponses,
-      resume: {
-        filename: req.user.profile?.resume?.filename,
-        url: req.user.profile?.resume?.url,
-        uploadDate: req.user.profile?.resume?.uploadDate
-      },
+      resume: resume || undefined,
       consent: {
         dataProcessing: consent?.dataProcessing !== false,
         marketing: consent?.marketing || false,
@@ -101,6 +203,7 @@ const submitApplication = async (req, res) => {
         ipAddress: req.ip
       }
     });
+    submitted = true;
     
     // Update job statistics
     await Job.findByIdAndUpdate(jobId, {
@@ -110,11 +213,11 @@ const submitApplication = async (req, res) => {
       }
     });
     
-    // Update referrer statistics
+    // Update referrer statistics and referral link funnel
     if (isReferral && referredBy) {
-      await User.findByIdAndUpdate(referredBy, {
-        $inc: { 'referralStats.totalReferrals': 1 }
-      });
+      await syncReferrerStats(referredBy);
+      
+      await Referral.recordEvent(creditedCode, jobId, 'application');
     }
     
     // Update company statistics
@@ -138,11 +241,12 @@ const submitApplication = async (req, res) => {
           referrerName: `${application.referredBy.firstName} ${application.referredBy.lastName}`,
           referralCode: application.referredBy.referralCode,
           potentialEarning: job.referralFee
-        } : null
+        } : null,
+        attribution: attribution.details
       }
     });
     
-    console.log(`✅ Application submitted: ${req.user.firstName} applied to ${job.title}${isReferral ? ` (referred by ${referralCode})` : ''}`);
+    console.log(`✅ Application submitted: ${req.user.firstName} applied to ${job.title}${isReferral ? ` (referred by ${creditedCode})` : ''}`);
     
   } catch (error) {
     console.error('Submit application error:', error);
@@ -162,6 +266,8 @@ const submitApplication = async (req, res) => {
       error: 'Server error',
       message: 'Could not submit application'
     });
+  } finally {
+    if (!submitted) await discardUpload(req);
   }
 };
 
@@ -260,46 +366,19 @@ const getUserReferrals = async (req, res) => {
     // Get total count
     const total = await Application.countDocuments(filters);
     
-    // Calculate earnings summary
-    const earningsStats = await Application.aggregate([
-      { $match: { referredBy: req.user._id } },
-      {
-        $group: {
-          _id: null,
-          totalReferrals: { $sum: 1 },
-          successfulReferrals: {
-            $sum: { $cond: [{ $eq: ['$status', 'hired'] }, 1, 0] }
-          },
-          pendingEarnings: {
-            $sum: {
-              $cond: [
-                { $and: [
-                  { $eq: ['$referralPayment.isEligible', true] },
-                  { $eq: ['$referralPayment.status', 'pending'] }
-                ]},
-                '$referralPayment.amount',
-                0
-              ]
-            }
-          },
-          totalEarnings: {
-            $sum: {
-              $cond: [
-                { $eq: ['$referralPayment.isEligible', true] },
-                '$referralPayment.amount',
-                0
-              ]
-            }
-          }
-        }
-      }
+    // Earnings are derived from the payout ledger
+    const [ledger, totalReferrals, successfulReferrals] = await Promise.all([
+      getEarningsSummary(req.user._id),
+      Application.countDocuments({ referredBy: req.user._id }),
+      Application.countDocuments({ referredBy: req.user._id, status: 'hired' })
     ]);
     
-    const earnings = earningsStats[0] || {
-      totalReferrals: 0,
-      successfulReferrals: 0,
-      pendingEarnings: 0,
-      totalEarnings: 0
+    const earnings = {
+      totalReferrals,
+      successfulReferrals,
+      pendingEarnings: ledger.pendingEarnings,
+      totalEarnings: ledger.totalEarnings,
+      paidEarnings: ledger.paidEarnings
     };
     
     res.json({
@@ -328,7 +407,7 @@ const getUserReferrals = async (req, res) => {
   }
 };
 
-// @desc    Get company applications
+// @desc    Get company applications (sortBy=match ranks by candidate fit)
 // @route   GET /api/applications/company-applications
 // @access  Private (Company)
 const getCompanyApplications = async (req, res) => {
@@ -339,6 +418,7 @@ const getCompanyApplications = async (req, res) => {
       status,
       jobId,
       isReferral,
+      fraudStatus,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
@@ -348,23 +428,57 @@ const getCompanyApplications = async (req, res) => {
     if (status) filters.status = status;
     if (jobId) filters.jobId = jobId;
     if (isReferral !== undefined) filters.isReferral = isReferral === 'true';
+    if (fraudStatus) filters['fraudReview.status'] = fraudStatus;
+    
+    let applications;
+    let rankedCount = null;
+    
+    if (sortBy === 'match') {
+      // Best fit first: score the most recent applications and page through the ranking
+      const recent = await Application.find(filters)
+        .populate('applicantId', 'firstName lastName email profile phone')
+        .populate('jobId', 'title skills experienceLevel workType location salary')
+        .populate('referredBy', 'firstName lastName referralCode')
+        .sort({ createdAt: -1 })
+        .limit(MATCH_SORT_LIMIT)
+        .lean();
+      
+      rankedCount = recent.length;
+      const candidates = await loadCandidates(recent.filter(app => app.applicantId).map(app => app.applicantId._id));
+      const direction = sortOrder === 'asc' ? 1 : -1;
+      const start = (parseInt(page) - 1) * parseInt(limit);
+      
+      applications = recent
+        .map(application => {
+          const candidate = application.applicantId && candidates.get(application.applicantId._id.toString());
+          return {
+            ...application,
+            jobId: application.jobId && { _id: application.jobId._id, title: application.jobId.title },
+            match: candidate && application.jobId ? scoreMatch(candidate, application.jobId) : null
+          };
+        })
+        .sort((a, b) => direction * ((a.match?.score ?? -1) - (b.match?.score ?? -1)))
+        .slice(start, start + parseInt(limit));
+    } else {
+      // Build sort
+      const sortObj = {};
+      sortObj[sortBy] = sortOrder === 'desc' ? -1 : 1;
+      
+      // Get applications with pagination
+      applications = await Application.find(filters)
+        .populate('applicantId', 'firstName lastName email profile phone')
+        .populate('jobId', 'title')
+        .populate('referredBy', 'firstName lastName referralCode')
+        .sort(sortObj)
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .lean();
+    }
     
-    // Build sort
-    const sortObj = {};
-    sortObj[sortBy] = sortOrder === 'desc' ? -1 : 1;
-    
-    // Get applications with pagination
-    const applications = await Application.find(filters)
-      .populate('applicantId', 'firstName lastName email profile phone')
-      .populate('jobId', 'title')
-      .populate('referredBy', 'firstName lastName referralCode')
-      .sort(sortObj)
-      .limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit))
-      .lean();
-    
-    // Get total count
+    // Get total count (a match ranking only pages through the applications it scored)
     const total = await Application.countDocuments(filters);
+    const pageable = rankedCount ?? total;
+    const totalPages = Math.ceil(pageable / parseInt(limit));
     
     // Get application statistics
     const stats = await Application.aggregate([
@@ -387,6 +501,9 @@ const getCompanyApplications = async (req, res) => {
           },
           referralApplications: {
             $sum: { $cond: [{ $eq: ['$isReferral', true] }, 1, 0] }
+          },
+          flaggedReferrals: {
+            $sum: { $cond: [{ $eq: ['$fraudReview.status', 'flagged'] }, 1, 0] }
           }
         }
       }
@@ -398,11 +515,15 @@ const getCompanyApplications = async (req, res) => {
         applications,
         pagination: {
           currentPage: parseInt(page),
-          totalPages: Math.ceil(total / parseInt(limit)),
+          totalPages,
           totalApplications: total,
-          hasNextPage: parseInt(page) < Math.ceil(total / parseInt(limit)),
+          hasNextPage: parseInt(page) < totalPages,
           hasPrevPage: parseInt(page) > 1,
-          limit: parseInt(limit)
+          limit: parseInt(limit),
+          ...(rankedCount !== null && {
+            rankedApplications: rankedCount,
+            truncated: total > rankedCount
+          })
         },
         statistics: stats[0] || {
           totalApplications: 0,
@@ -410,7 +531,8 @@ const getCompanyApplications = async (req, res) => {
           reviewingApplications: 0,
           interviewingApplications: 0,
           hiredApplications: 0,
-          referralApplications: 0
+          referralApplications: 0,
+          flaggedReferrals: 0
         }
       }
     });
@@ -469,8 +591,8 @@ const updateApplicationStatus = async (req, res) => {
       status,
       timestamp: new Date(),
       note: note || `Status changed to ${status}`,
-      updatedBy: req.user._id,
-      updatedByModel: 'Company'
+      updatedBy: req.actor.id,
+      updatedByModel: req.actor.model
     });
     
     // Update company feedback if provided
@@ -484,16 +606,19 @@ const updateApplicationStatus = async (req, res) => {
           concerns: feedback.concerns,
           recommendation: feedback.recommendation
         }),
-        reviewedBy: {
-          name: `${req.user.profile?.contactPerson?.firstName || ''} ${req.user.profile?.contactPerson?.lastName || ''}`.trim(),
-          position: req.user.profile?.contactPerson?.position
-        },
+        reviewedBy: req.member
+          ? { name: req.member.fullName, position: req.member.position }
+          : {
+            name: `${req.user.profile?.contactPerson?.firstName || ''} ${req.user.profile?.contactPerson?.lastName || ''}`.trim(),
+            position: req.user.profile?.contactPerson?.position
+          },
         reviewedAt: new Date()
       };
     }
     
-    // Handle special status changes
-    if (status === 'hired' && application.isReferral) {
+    // Handle special status changes - only the first move into hired counts, so hired → other → hired
+    // (which already has a fee in the ledger, or one held for review) never double counts
+    if (status === 'hired' && oldStatus !== 'hired' && application.isReferral && !(await isHireRecorded(application))) {
       // Process referral payment
       await processReferralPayment(application);
       
@@ -502,16 +627,17 @@ const updateApplicationStatus = async (req, res) => {
         $inc: { 'stats.totalHires': 1 }
       });
       
-      // Update referrer stats
-      if (application.referredBy) {
-        await User.findByIdAndUpdate(application.referredBy, {
-          $inc: { 'referralStats.successfulReferrals': 1 }
-        });
-      }
+      // Record the hire against the referral link
+      await processSuccessfulHire(application);
     }
     
     await application.save();
     
+    // Referrer stats are derived from applications and the payout ledger
+    if (application.isReferral && application.referredBy) {
+      await syncReferrerStats(application.referredBy);
+    }
+    
     // Populate for response
     await application.populate([
       { path: 'applicantId', select: 'firstName lastName email' },
@@ -747,7 +873,9 @@ const scheduleInterview = async (req, res) => {
         position: interviewer?.position,
         email: interviewer?.email
       },
-      status: 'scheduled'
+      status: 'scheduled',
+      scheduledBy: req.actor.id,
+      scheduledByModel: req.actor.model
     });
     
     // Update application status if not already interviewing
@@ -757,8 +885,8 @@ const scheduleInterview = async (req, res) => {
         status: 'interviewing',
         timestamp: new Date(),
         note: `${type} interview scheduled`,
-        updatedBy: req.user._id,
-        updatedByModel: 'Company'
+        updatedBy: req.actor.id,
+        updatedByModel: req.actor.model
       });
     }
     
@@ -790,6 +918,234 @@ const scheduleInterview = async (req, res) => {
   }
 };
 
+// @desc    Review a referral flagged by fraud scoring
+// @route   PUT /api/applications/:id/referral-review
+// @access  Private (Company)
+const reviewReferralFraud = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { decision, note } = req.body;
+    
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid decision',
+        message: 'Decision must be one of: approved, rejected'
+      });
+    }
+    
+    const application = await Application.findById(id);
+    
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      });
+    }
+    
+    if (application.companyId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'You can only review applications for your own jobs'
+      });
+    }
+    
+    if (!application.isReferral || application.fraudReview?.status !== 'flagged') {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to review',
+        message: 'Only referral applications flagged for review can be reviewed'
+      });
+    }
+    
+    application.fraudReview.status = decision;
+    application.fraudReview.reviewedAt = new Date();
+    application.fraudReview.reviewedBy = req.actor.id;
+    application.fraudReview.reviewedByModel = req.actor.model;
+    application.fraudReview.reviewNote = note;
+    
+    if (decision === 'approved' && application.status === 'hired') {
+      // Release the payment that was held at hire time
+      await processReferralPayment(application);
+    } else if (decision === 'rejected') {
+      application.referralPayment.isEligible = false;
+      application.referralPayment.status = 'failed';
+      application.referralPayment.notes = 'Referral rejected after fraud review';
+    }
+    
+    await application.save();
+    await syncReferrerStats(application.referredBy);
+    
+    res.json({
+      success: true,
+      message: `Referral ${decision}`,
+      data: {
+        applicationId: application._id,
+        fraudReview: application.fraudReview,
+        referralPayment: application.referralPayment
+      }
+    });
+    
+    console.log(`✅ Referral review: application ${application._id} ${decision}`);
+    
+  } catch (error) {
+    console.error('Review referral fraud error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not review referral'
+    });
+  }
+};
+
+// @desc    Report that a hired candidate has left (claws back the referral fee inside the guarantee)
+// @route   POST /api/applications/:id/departure
+// @access  Private (Company)
+const reportDeparture = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { departureDate, reason } = req.body;
+    
+    const leftOn = departureDate ? new Date(departureDate) : new Date();
+    if (isNaN(leftOn.getTime()) || leftOn > new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date',
+        message: 'Departure date must be a valid date that is not in the future'
+      });
+    }
+    
+    const application = await Application.findById(id);
+    
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      });
+    }
+    
+    if (application.companyId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'You can only report departures for your own hires'
+      });
+    }
+    
+    if (application.status !== 'hired') {
+      return res.status(400).json({
+        success: false,
+        error: 'Not hired',
+        message: 'Departures can only be reported for hired candidates'
+      });
+    }
+    
+    if (application.departure?.reportedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'Already reported',
+        message: 'A departure has already been reported for this hire'
+      });
+    }
+    
+    let clawback = { payment: null, withinGuarantee: false, clawedBack: false };
+    let invoiceAction = 'none';
+    
+    if (application.isReferral) {
+      clawback = await clawbackReferralFee(application, {
+        departureDate: leftOn,
+        actor: { by: req.actor.id, byModel: req.actor.model }
+      });
+      
+      if (!clawback.payment && application.referralPayment?.status === 'held') {
+        // Fee was still held for fraud review - it never reached the ledger, so just cancel it
+        application.referralPayment.isEligible = false;
+        application.referralPayment.status = 'reversed';
+        application.referralPayment.notes = 'Cancelled - hire left during the guarantee period';
+        clawback.withinGuarantee = true;
+        clawback.clawedBack = true;
+      }
+    }
+    
+    // Reload the ledger mirror written by the clawback before saving
+    if (clawback.payment) {
+      const fresh = await Application.findById(id).select('referralPayment');
+      application.referralPayment = fresh.referralPayment;
+    }
+    
+    application.departure = {
+      date: leftOn,
+      reason,
+      reportedAt: new Date(),
+      reportedBy: req.actor.id,
+      reportedByModel: req.actor.model,
+      withinGuarantee: clawback.withinGuarantee
+    };
+    
+    await application.save();
+    if (application.referredBy) {
+      await syncReferrerStats(application.referredBy);
+    }
+    
+    // The departure is saved first, so a Stripe failure here can't leave a reversed fee without one
+    if (clawback.clawedBack && clawback.payment) {
+      try {
+        invoiceAction = await voidInvoiceForPayment(clawback.payment, 'Hire left during the guarantee period');
+      } catch (error) {
+        console.error('Departure invoice void error:', error);
+        invoiceAction = 'void_failed';
+      }
+      application.departure.invoiceAction = invoiceAction;
+      await Application.updateOne({ _id: application._id }, { $set: { 'departure.invoiceAction': invoiceAction } });
+    }
+    
+    res.json({
+      success: true,
+      message: clawback.debit
+        ? 'Departure recorded and the paid referral fee will be recovered from the referrer\'s future payouts'
+        : clawback.clawedBack
+          ? 'Departure recorded and the referral fee has been cancelled'
+          : 'Departure recorded',
+      data: {
+        applicationId: application._id,
+        departure: application.departure,
+        referralPayment: application.referralPayment,
+        clawedBack: clawback.clawedBack,
+        clawbackPayment: clawback.debit || null,
+        invoiceAction
+      }
+    });
+    
+    console.log(`✅ Departure reported: application ${application._id} (clawback: ${clawback.clawedBack})`);
+    
+  } catch (error) {
+    console.error('Report departure error:', error);
+    
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found',
+        message: 'Invalid application ID'
+      });
+    }
+    
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? 'Clawback unavailable' : 'Server error',
+      message: error.statusCode ? error.message : 'Could not record departure'
+    });
+  }
+};
+
+// Whether an earlier move into hired already recorded this referral's fee (and counted the hire)
+const isHireRecorded = async (application) => {
+  const { paymentId, status = 'pending' } = application.referralPayment || {};
+  if (paymentId || status !== 'pending') return true;
+  
+  return !!(await Payment.exists({ applicationId: application._id, type: 'referral_fee' }));
+};
+
 // Helper function to process referral payment
 const processReferralPayment = async (application) => {
   try {
@@ -799,25 +1155,52 @@ const processReferralPayment = async (application) => {
     const job = await Job.findById(application.jobId);
     if (!job) return;
     
-    // Update referral payment status
+    // Suspicious referrals stay ineligible until the review clears them
+    if (isHeldForReview(application)) {
+      application.referralPayment = {
+        isEligible: false,
+        amount: job.referralFee,
+        currency: job.referralFeeCurrency || 'GBP',
+        status: 'held',
+        notes: `Held pending referral fraud review (score ${application.fraudReview.score})`
+      };
+      
+      console.log(`🚩 Referral payment held for review: application ${application._id}`);
+      return;
+    }
+    
+    // Record the fee in the payout ledger (one entry per application)
+    const referral = await Referral.findOne({
+      referrerId: application.referredBy,
+      jobId: job._id
+    }).select('_id');
+    
+    // The guarantee period runs from the hire, even when a fraud review released the fee later
+    const company = await Company.findById(application.companyId).select('referralSettings');
+    const hiredEntry = [...application.statusHistory].reverse().find(entry => entry.status === 'hired');
+    
+    const { payment, created } = await recordReferralFee(application, job, referral?._id, {
+      guaranteePeriodDays: resolveGuaranteePeriod(job, company),
+      hiredAt: hiredEntry?.timestamp || new Date()
+    });
+    
+    // Bill the company for the fee (per-hire invoicing; monthly is picked up by the scheduler)
+    if (created) {
+      await invoiceHire(payment).catch(error => console.error('Invoice hire error:', error));
+    }
+    
+    // Mirror the ledger entry on the application
     application.referralPayment = {
-      isEligible: true,
-      amount: job.referralFee,
-      currency: job.referralFeeCurrency || 'GBP',
-      status: 'pending',
-      paymentReference: `REF-PAY-${Date.now()}`,
+      isEligible: payment.status !== 'reversed',
+      amount: payment.amount,
+      currency: payment.currency,
+      status: payment.status,
+      paymentId: payment._id,
+      paymentReference: payment.paymentReference,
       notes: `Referral payment for successful hire - ${job.title}`
     };
     
-    // Update referrer's earnings
-    await User.findByIdAndUpdate(application.referredBy, {
-      $inc: {
-        'referralStats.pendingEarnings': job.referralFee,
-        'referralStats.totalEarnings': job.referralFee
-      }
-    });
-    
-    console.log(`💰 Referral payment processed: £${job.referralFee} for user ${application.referredBy}`);
+    console.log(`💰 Referral payment ${created ? 'recorded' : 'already in ledger'}: ${payment.currency} ${payment.amount} for user ${application.referredBy} (released after ${payment.guarantee.endsAt.toISOString().slice(0, 10)})`);
     
   } catch (error) {
     console.error('Process referral payment error:', error);
@@ -832,5 +1215,7 @@ module.exports = {
   updateApplicationStatus,
   getApplicationById,
   withdrawApplication,
-  scheduleInterview
+  scheduleInterview,
+  reviewReferralFraud,
+  reportDeparture
 };
\ No newline at end of file
@@ -3,37 +3,145 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
+const { MAGIC_LINK_EXPIRE_MINUTES } = require('../models/User');
 const Company = require('../models/Company');
+const CompanyMember = require('../models/CompanyMember');
+const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const { sendEmail, emailTemplates } = require('../config/email');
+const { getProvisioningUri } = require('../utils/totp');
+const { TWO_FACTOR_SECRET_FIELDS } = require('../models/plugins/twoFactor');
+const { CSRF_COOKIE, generateCsrfToken, isValidCsrfRequest } = require('../utils/csrf');
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET || 'fallback_secret_key', {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+const ACCESS_TOKEN_EXPIRE = process.env.ACCESS_TOKEN_EXPIRE || '15m';
+
+const ACCOUNT_MODELS = { User, Company, CompanyMember, Admin };
+
+// Generate short-lived JWT access token bound to a session
+const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET || 'fallback_secret_key', {
+    expiresIn: ACCESS_TOKEN_EXPIRE
   });
 };
 
-// Send token response
-const sendTokenResponse = (user, statusCode, res, message = 'Success') => {
-  const token = generateToken(user._id);
+const cookieOptions = (expires) => ({
+  expires,
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict'
+});
 
-  const options = {
-    expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict'
-  };
+// Send access + refresh tokens for a session
+const sendSessionTokens = (user, session, refreshToken, statusCode, res, message = 'Success') => {
+  const token = generateToken(user._id, session._id);
+  const csrfToken = generateCsrfToken(session._id);
 
   res
     .status(statusCode)
-    .cookie('token', token, options)
+    .cookie('token', token, cookieOptions(session.expiresAt))
+    .cookie('refreshToken', refreshToken, { ...cookieOptions(session.expiresAt), path: '/api/auth' })
+    // Readable by the page so it can echo it back in X-CSRF-Token
+    .cookie(CSRF_COOKIE, csrfToken, { ...cookieOptions(session.expiresAt), httpOnly: false })
     .json({
       success: true,
       message,
       token,
+      refreshToken,
+      csrfToken,
+      expiresIn: ACCESS_TOKEN_EXPIRE,
       user: user.getSafeData()
     });
 };
 
+// Short-lived token proving the password step of a two-factor login
+const generateChallengeToken = (account) => {
+  return jwt.sign(
+    { id: account._id, model: account.constructor.modelName, purpose: 'two_factor' },
+    process.env.JWT_SECRET || 'fallback_secret_key',
+    { expiresIn: '5m' }
+  );
+};
+
+// Start a new session and send token response
+const sendTokenResponse = async (user, statusCode, req, res, message = 'Success') => {
+  const { session, refreshToken } = await Session.createForAccount(user, req);
+  sendSessionTokens(user, session, refreshToken, statusCode, res, message);
+};
+
+const clearAuthCookies = (res) => {
+  res.cookie('token', 'none', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true
+  });
+  res.cookie('refreshToken', 'none', {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true,
+    path: '/api/auth'
+  });
+  res.cookie(CSRF_COOKIE, 'none', {
+    expires: new Date(Date.now() + 10 * 1000)
+  });
+};
+
+// Also used when an account is deleted
+exports.clearAuthCookies = clearAuthCookies;
+
+// Issue a fresh verification token and email the link (never throws)
+const sendVerificationEmail = async (account) => {
+  try {
+    const token = account.generateEmailVerificationToken();
+    await account.save({ validateBeforeSave: false });
+
+    const baseUrl = process.env.CLIENT_URL || 'http://127.0.0.1:5500';
+    const verificationUrl = `${baseUrl}/verify-email.html?token=${token}`;
+    const firstName = account.firstName || account.profile?.contactPerson?.firstName || account.companyName;
+
+    return await sendEmail({
+      to: account.email,
+      ...emailTemplates.verification(firstName, verificationUrl)
+    });
+  } catch (error) {
+    console.error('❌ Verification email error:', error);
+    return false;
+  }
+};
+
+// Tell the account holder about a sign-in from a new device or network (never throws)
+const sendNewDeviceAlert = async (account, login) => {
+  try {
+    const baseUrl = process.env.CLIENT_URL || 'http://127.0.0.1:5500';
+    const firstName = account.firstName || account.profile?.contactPerson?.firstName || account.companyName;
+
+    return await sendEmail({
+      to: account.email,
+      ...emailTemplates.newDeviceLogin(firstName, login, `${baseUrl}/forgot-password.html`)
+    });
+  } catch (error) {
+    console.error('❌ New device alert error:', error);
+    return false;
+  }
+};
+
+// Record a successful sign-in, alert on a new device and start the session
+const completeLogin = async (account, req, res, method = 'password') => {
+  const login = await account.registerSuccessfulLogin(req, method);
+  await account.updateLoginInfo();
+
+  if (login.newDevice) {
+    console.log(`🆕 New device sign-in: ${account.email} (${login.device}, ${login.ipAddress})`);
+    await sendNewDeviceAlert(account, login);
+  }
+
+  await sendTokenResponse(account, 200, req, res, 'Login successful');
+};
+
+const sendLockedResponse = (res, account) => {
+  return res.status(423).json({
+    success: false,
+    message: `Too many failed sign-in attempts. Try again in ${account.lockRemainingMinutes} minutes or reset your password.`
+  });
+};
+
 // @desc    Register a new user (job seeker)
 // @route   POST /api/auth/register
 // @access  Public
@@ -71,8 +179,9 @@ exports.registerUser = async (req, res, next) => {
     // Check if user already exists (check both User and Company collections)
     const existingUser = await User.findOne({ email: email.toLowerCase() });
     const existingCompany = await Company.findOne({ email: email.toLowerCase() });
+    const existingMember = await CompanyMember.findOne({ email: email.toLowerCase(), status: { $ne: 'removed' } });
 
-    if (existingUser || existingCompany) {
+    if (existingUser || existingCompany || existingMember) {
       return res.status(400).json({
         success: false,
         message: 'User with this email already exists'
@@ -113,7 +222,9 @@ exports.registerUser = async (req, res, next) => {
 
     console.log('✅ User registered successfully:', user.email, 'Referral Code:', user.referralCode);
 
-    sendTokenResponse(user, 201, res, 'User registered successfully');
+    await sendVerificationEmail(user);
+
+    await sendTokenResponse(user, 201, req, res, 'User registered successfully');
   } catch (error) {
     console.error('❌ User registration error:', error);
     
@@ -186,8 +297,9 @@ exports.registerCompany = async (req, res, next) => {
     // Check if email already exists
     const existingUser = await User.findOne({ email: email.toLowerCase() });
     const existingCompany = await Company.findOne({ email: email.toLowerCase() });
+    const existingMember = await CompanyMember.findOne({ email: email.toLowerCase(), status: { $ne: 'removed' } });
 
-    if (existingUser || existingCompany) {
+    if (existingUser || existingCompany || existingMember) {
       return res.status(400).json({
         success: false,
         message: 'Email already registered'
@@ -235,7 +347,9 @@ exports.registerCompany = async (req, res, next) => {
 
     console.log('✅ Company registered successfully:', company.email);
 
-    sendTokenResponse(company, 201, res, 'Company registered successfully');
+    await sendVerificationEmail(company);
+
+    await sendTokenResponse(company, 201, req, res, 'Company registered successfully');
   } catch (error) {
     console.error('❌ Company registration error:', error);
     
@@ -284,16 +398,26 @@ exports.login = async (req, res, next) => {
     let user;
     const emailLower = email.toLowerCase().trim();
 
-    // Find user based on userType or search both collections
+    // Team members sign in with their own email on the company side
+    const findCompanyAccount = async () => {
+      const company = await Company.findOne({ email: emailLower }).select('+password');
+      if (company) return company;
+      return CompanyMember.findOne({ email: emailLower, status: { $ne: 'removed' } }).select('+password');
+    };
+
+    // Find user based on userType or search all collections
     if (userType === 'user') {
       user = await User.findOne({ email: emailLower }).select('+password');
     } else if (userType === 'company') {
-      user = await Company.findOne({ email: emailLower }).select('+password');
+      user = await findCompanyAccount();
+    } else if (userType === 'admin') {
+      // Admins must ask for the admin login explicitly
+      user = await Admin.findOne({ email: emailLower }).select('+password');
     } else {
-      // Search both collections if userType not specified
+      // Search every collection if userType not specified
       user = await User.findOne({ email: emailLower }).select('+password');
       if (!user) {
-        user = await Company.findOne({ email: emailLower }).select('+password');
+        user = await findCompanyAccount();
       }
     }
 
@@ -315,22 +439,38 @@ exports.login = async (req, res, next) => {
       });
     }
 
+    // Locked accounts don't get their password checked at all
+    if (user.isLocked) {
+      console.log('🔒 Login attempt on locked account:', emailLower);
+      await user.registerLockedLogin(req);
+      return sendLockedResponse(res, user);
+    }
+
     // Check password
     const isPasswordCorrect = await user.comparePassword(password);
     if (!isPasswordCorrect) {
       console.log('❌ Incorrect password:', emailLower);
+      await user.registerFailedLogin(req, 'bad_password');
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Update login info
-    await user.updateLoginInfo();
+    // Second step required - the final tokens come from POST /login/2fa
+    if (user.twoFactor?.enabled) {
+      console.log(`🔑 Two-factor challenge issued: ${user.email}`);
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user),
+        message: 'Enter the code from your authenticator app'
+      });
+    }
 
     console.log(`✅ ${user.userType} logged in successfully:`, user.email);
 
-    sendTokenResponse(user, 200, res, 'Login successful');
+    await completeLogin(user, req, res, 'password');
   } catch (error) {
     console.error('❌ Login error:', error);
     res.status(500).json({
@@ -345,76 +485,854 @@ exports.login = async (req, res, next) => {
 // @access  Private
 exports.getMe = async (req, res, next) => {
   try {
-    let token;
+    res.status(200).json({
+      success: true,
+      user: req.user.getSafeData(),
+      ...(req.member && { member: req.member.getSafeData() }),
+      ...(req.companyRole && { companyRole: req.companyRole })
+    });
+  } catch (error) {
+    console.error('❌ Get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token required)
+exports.refresh = async (req, res, next) => {
+  try {
+    const refreshToken = req.body.refreshToken || req.cookies?.refreshToken;
 
-    // Check for token in Authorization header
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
+    if (!refreshToken || refreshToken === 'none') {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
     }
 
-    if (!token) {
+    // A refresh driven by the cookie alone must prove it came from our own pages
+    if (!req.body.refreshToken && !isValidCsrfRequest(req, refreshToken.split('.')[0])) {
+      return res.status(403).json({
+        success: false,
+        message: 'Missing or invalid X-CSRF-Token header'
+      });
+    }
+
+    const { session, refreshToken: nextRefreshToken, reused } = await Session.rotate(refreshToken, req);
+
+    if (!session) {
+      clearAuthCookies(res);
       return res.status(401).json({
         success: false,
-        message: 'Not authorized to access this route'
+        message: reused
+          ? 'This session has been signed out for your security. Please log in again.'
+          : 'Session expired. Please log in again.'
       });
     }
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret_key');
-
-      // Try to find user first, then company
-      let currentUser = await User.findById(decoded.id);
-      
-      if (!currentUser) {
-        currentUser = await Company.findById(decoded.id);
+    const account = await ACCOUNT_MODELS[session.accountModel].findById(session.accountId);
+
+    if (!account || !account.isActive || account.isBlocked) {
+      await session.revoke('revoked');
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Account is not available'
+      });
+    }
+
+    sendSessionTokens(account, session, nextRefreshToken, 200, res, 'Token refreshed');
+  } catch (error) {
+    console.error('❌ Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refreshing session'
+    });
+  }
+};
+
+// @desc    Logout user (revokes the current session)
+// @route   POST /api/auth/logout
+// @access  Public
+exports.logout = async (req, res, next) => {
+  try {
+    let session = req.sessionId ? await Session.findById(req.sessionId) : null;
+
+    // Fall back to the refresh token when the access token has already expired
+    if (!session) {
+      const refreshToken = req.body.refreshToken || req.cookies?.refreshToken;
+      session = await Session.findByRefreshToken(refreshToken);
+    }
+
+    if (session && !session.revokedAt) {
+      await session.revoke('logout');
+    }
+
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('❌ Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+};
+
+// @desc    Logout from all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res, next) => {
+  try {
+    const result = await Session.revokeAllForAccount(req.account._id, 'logout_all');
+
+    clearAuthCookies(res);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: { revokedSessions: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('❌ Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+};
+
+// @desc    List active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      accountId: req.account._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          device: session.device,
+          userAgent: session.userAgent,
+          ipAddress: session.ipAddress,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id.toString() === req.sessionId
+        }))
       }
+    });
+  } catch (error) {
+    console.error('❌ Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while retrieving sessions'
+    });
+  }
+};
+
+// @desc    Revoke a single session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, accountId: req.account._id });
+
+    if (!session || session.revokedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked');
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('❌ Revoke session error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+};
+
+// @desc    Recent sign-in activity
+// @route   GET /api/auth/login-history
+// @access  Private
+exports.getLoginHistory = async (req, res, next) => {
+  try {
+    const account = await req.account.constructor
+      .findById(req.account._id)
+      .select('+loginHistory +knownDevices');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        loginHistory: [...account.loginHistory].reverse(),
+        knownDevices: account.knownDevices.map(device => ({
+          device: device.device,
+          ipAddress: device.ipAddress,
+          firstSeenAt: device.firstSeenAt,
+          lastSeenAt: device.lastSeenAt
+        })),
+        lockedUntil: account.isLocked ? account.loginSecurity.lockUntil : null
+      }
+    });
+  } catch (error) {
+    console.error('❌ Login history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while retrieving login history'
+    });
+  }
+};
+
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const query = {
+      emailVerificationToken: hashedToken,
+      emailVerificationExpire: { $gt: Date.now() }
+    };
+
+    let account = await User.findOne(query);
+    if (!account) {
+      account = await Company.findOne(query);
+    }
+
+    if (!account) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    account.emailVerified = true;
+    account.emailVerificationToken = undefined;
+    account.emailVerificationExpire = undefined;
+    await account.save({ validateBeforeSave: false });
+
+    console.log(`✅ Email verified: ${account.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('❌ Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification'
+    });
+  }
+};
+
+// @desc    Resend the verification email
+// @route   POST /api/auth/resend-verification
+// @access  Public
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email address'
+      });
+    }
+
+    const emailLower = email.toLowerCase().trim();
+    let account = await User.findOne({ email: emailLower });
+    if (!account) {
+      account = await Company.findOne({ email: emailLower });
+    }
+
+    // Same response whether or not the account exists, so emails can't be probed
+    if (account && !account.emailVerified) {
+      await sendVerificationEmail(account);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If that account exists and is unverified, a new verification email has been sent'
+    });
+  } catch (error) {
+    console.error('❌ Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resending verification email'
+    });
+  }
+};
+
+// @desc    Send a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email address'
+      });
+    }
+
+    const emailLower = email.toLowerCase().trim();
+    let account = await User.findOne({ email: emailLower });
+    if (!account) {
+      account = await Company.findOne({ email: emailLower });
+    }
+    if (!account) {
+      // Only members who have accepted their invitation have a password to reset
+      account = await CompanyMember.findOne({ email: emailLower, status: 'active' });
+    }
+
+    if (account && account.isActive && !account.isBlocked) {
+      try {
+        const token = account.generatePasswordResetToken();
+        await account.save({ validateBeforeSave: false });
+
+        const baseUrl = process.env.CLIENT_URL || 'http://127.0.0.1:5500';
+        const resetUrl = `${baseUrl}/reset-password.html?token=${token}`;
+        const firstName = account.firstName || account.profile?.contactPerson?.firstName || account.companyName;
+
+        await sendEmail({
+          to: account.email,
+          ...emailTemplates.passwordReset(firstName, resetUrl)
+        });
+      } catch (error) {
+        console.error('❌ Password reset email error:', error);
+      }
+    }
+
+    // Same response whether or not the account exists, so emails can't be probed
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('❌ Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+};
+
+// @desc    Reset password with a reset token
+// @route   PUT /api/auth/reset-password/:token
+// @access  Public
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    const query = {
+      resetPasswordToken: hashedToken,
+      resetPasswordExpire: { $gt: Date.now() }
+    };
+
+    let account = await User.findOne(query);
+    if (!account) {
+      account = await Company.findOne(query);
+    }
+    if (!account) {
+      account = await CompanyMember.findOne({ ...query, status: 'active' })
+        .select('+resetPasswordToken +resetPasswordExpire');
+    }
+
+    if (!account) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    // Saving the new password sets passwordChangedAt, which revokes every existing token
+    account.password = password;
+    account.resetPasswordToken = undefined;
+    account.resetPasswordExpire = undefined;
+    // Proving control of the email lifts any lockout
+    account.loginSecurity.failedAttempts = 0;
+    account.loginSecurity.lockCount = 0;
+    account.loginSecurity.lockUntil = undefined;
+    await account.save();
+
+    await Session.revokeAllForAccount(account._id, 'password_reset');
 
-      if (!currentUser) {
-        return res.status(401).json({
-          success: false,
-          message: 'No user found with this token'
+    console.log(`✅ Password reset: ${account.email}`);
+
+    await sendTokenResponse(account, 200, req, res, 'Password reset successful');
+  } catch (error) {
+    console.error('❌ Reset password error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset'
+    });
+  }
+};
+
+// @desc    Email a passwordless sign-in link (job seekers only)
+// @route   POST /api/auth/magic-link
+// @access  Public
+exports.requestMagicLink = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email address'
+      });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+    if (user && user.isActive && !user.isBlocked) {
+      try {
+        const token = user.generateMagicLinkToken();
+        await user.save({ validateBeforeSave: false });
+
+        const baseUrl = process.env.CLIENT_URL || 'http://127.0.0.1:5500';
+        const loginUrl = `${baseUrl}/magic-link.html?token=${token}`;
+
+        await sendEmail({
+          to: user.email,
+          ...emailTemplates.magicLink(user.firstName, loginUrl, MAGIC_LINK_EXPIRE_MINUTES)
         });
+
+        console.log(`✉️ Magic sign-in link sent: ${user.email}`);
+      } catch (error) {
+        console.error('❌ Magic link email error:', error);
       }
+    }
 
-      res.status(200).json({
+    // Same response whether or not the account exists, so emails can't be probed
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for that email, a sign-in link has been sent'
+    });
+  } catch (error) {
+    console.error('❌ Magic link request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting sign-in link'
+    });
+  }
+};
+
+// @desc    Sign in with a magic link token
+// @route   GET /api/auth/magic-link/:token
+// @access  Public
+exports.loginWithMagicLink = async (req, res, next) => {
+  try {
+    const hashedToken = crypto
+      .createHash('sha256')
+      .update(req.params.token)
+      .digest('hex');
+
+    // Clear the token in the same step that matches it, so a link can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        magicLinkToken: hashedToken,
+        magicLinkExpire: { $gt: Date.now() }
+      },
+      { $unset: { magicLinkToken: 1, magicLinkExpire: 1 } },
+      { new: true }
+    );
+
+    if (!user || !user.isActive || user.isBlocked) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign-in link is invalid or has expired'
+      });
+    }
+
+    // The link stands in for the password only - two-factor still applies
+    if (user.twoFactor?.enabled) {
+      console.log(`🔑 Two-factor challenge issued: ${user.email}`);
+      return res.status(200).json({
         success: true,
-        user: currentUser.getSafeData()
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user),
+        message: 'Enter the code from your authenticator app'
       });
+    }
+
+    // Following the link proves the email address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      await user.save({ validateBeforeSave: false });
+    }
+
+    console.log('✅ user logged in with magic link:', user.email);
+
+    await completeLogin(user, req, res, 'magic_link');
+  } catch (error) {
+    console.error('❌ Magic link login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login'
+    });
+  }
+};
+
+// @desc    Complete a two-factor login
+// @route   POST /api/auth/login/2fa
+// @access  Public (challenge token required)
+exports.loginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the challenge token and your code'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET || 'fallback_secret_key');
     } catch (error) {
       return res.status(401).json({
         success: false,
-        message: 'Not authorized to access this route'
+        message: 'Login challenge expired. Please log in again.'
+      });
+    }
+
+    if (decoded.purpose !== 'two_factor') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid login challenge'
+      });
+    }
+
+    const Model = ACCOUNT_MODELS[decoded.model];
+    const account = Model ? await Model.findById(decoded.id).select(TWO_FACTOR_SECRET_FIELDS) : null;
+
+    if (!account || !account.isActive || account.isBlocked) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid login challenge'
+      });
+    }
+
+    if (account.isLocked) {
+      await account.registerLockedLogin(req);
+      return sendLockedResponse(res, account);
+    }
+
+    if (!account.verifyTwoFactorCode(code)) {
+      console.log('❌ Incorrect two-factor code:', account.email);
+      await account.registerFailedLogin(req, 'bad_two_factor_code');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
       });
     }
+
+    // Persist the consumed step / recovery code before the login is recorded
+    await account.save({ validateBeforeSave: false });
+
+    console.log(`✅ ${account.userType} logged in with two-factor:`, account.email);
+
+    await completeLogin(account, req, res, 'two_factor');
   } catch (error) {
-    console.error('❌ Get user error:', error);
+    console.error('❌ Two-factor login error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Server error during login'
     });
   }
 };
 
-// @desc    Logout user
-// @route   POST /api/auth/logout
-// @access  Public
-exports.logout = async (req, res, next) => {
+// Reload the signed-in account (the member for team logins) with its two-factor secrets
+const loadWithTwoFactor = (req) => {
+  return req.account.constructor
+    .findById(req.account._id)
+    .select(`${TWO_FACTOR_SECRET_FIELDS} +twoFactor.pendingSecret`);
+};
+
+// @desc    Start two-factor enrolment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res, next) => {
   try {
-    res.cookie('token', 'none', {
-      expires: new Date(Date.now() + 10 * 1000),
-      httpOnly: true
+    const account = await loadWithTwoFactor(req);
+
+    if (account.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = account.startTwoFactorSetup();
+    await account.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: getProvisioningUri(secret, account.email)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor setup'
     });
+  }
+};
+
+// @desc    Confirm enrolment and enable two-factor
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const account = await loadWithTwoFactor(req);
+
+    if (account.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const recoveryCodes = account.enableTwoFactor(req.body.code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code. Start setup again if the problem continues.'
+      });
+    }
+
+    await account.save({ validateBeforeSave: false });
+
+    console.log(`🔐 Two-factor enabled: ${account.email}`);
 
     res.status(200).json({
       success: true,
-      message: 'Logged out successfully'
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe - they will not be shown again.',
+      data: { recoveryCodes }
     });
   } catch (error) {
-    console.error('❌ Logout error:', error);
+    console.error('❌ Two-factor enable error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during logout'
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+};
+
+// @desc    Disable two-factor
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+    const account = await loadWithTwoFactor(req).select('+password');
+
+    if (!account.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (req.userType === 'company' && req.user.security?.requireTwoFactor) {
+      return res.status(400).json({
+        success: false,
+        message: req.member
+          ? 'Your company requires two-factor authentication'
+          : 'Turn off the two-factor requirement for your team before disabling it on the company account'
+      });
+    }
+
+    const passwordOk = await account.comparePassword(password);
+    if (!passwordOk || !account.verifyTwoFactorCode(code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    account.disableTwoFactor();
+    await account.save({ validateBeforeSave: false });
+
+    console.log(`🔓 Two-factor disabled: ${account.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('❌ Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+};
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const account = await loadWithTwoFactor(req);
+
+    if (!account.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!account.verifyTwoFactorCode(req.body.code)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = account.generateRecoveryCodes();
+    await account.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Your old codes no longer work.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('❌ Recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating recovery codes'
+    });
+  }
+};
+
+// @desc    Accept a company team invitation and set a password
+// @route   POST /api/auth/accept-invite/:token
+// @access  Public
+exports.acceptInvite = async (req, res, next) => {
+  try {
+    const { firstName, lastName, password } = req.body;
+
+    if (!firstName || !lastName || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide firstName, lastName and password'
+      });
+    }
+
+    const member = await CompanyMember.findByInviteToken(req.params.token);
+
+    if (!member) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    const company = await Company.findById(member.companyId);
+    if (!company || !company.isActive || company.isBlocked) {
+      return res.status(400).json({
+        success: false,
+        message: 'This company is no longer available'
+      });
+    }
+
+    member.set({
+      firstName: firstName.trim(),
+      lastName: lastName.trim(),
+      password,
+      status: 'active',
+      acceptedAt: new Date(),
+      inviteToken: undefined,
+      inviteExpire: undefined
+    });
+    await member.save();
+
+    console.log(`✅ Team invitation accepted: ${member.email} joined ${company.companyName} as ${member.role}`);
+
+    await sendTokenResponse(member, 200, req, res, `Welcome to ${company.companyName}`);
+  } catch (error) {
+    console.error('❌ Accept invite error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation Error',
+        errors: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while accepting invitation'
     });
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,235 @@
+// controllers/companyController.js - Company account settings logic
+const Company = require('../models/Company');
+const { getAttributionSettings } = require('../utils/referralAttribution');
+const { getPlanUsage } = require('../utils/planUsage');
+const { resolveGuaranteePeriod } = require('../utils/ledger');
+const { confirmAccountOwner, buildCompanyExport, eraseCompany } = require('../utils/dataPrivacy');
+const { clearAuthCookies } = require('./authController');
+
+// @desc    Get company referral attribution settings
+// @route   GET /api/companies/referral-settings
+// @access  Private (Company)
+const getReferralSettings = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        referralSettings: {
+          ...getAttributionSettings(req.user),
+          guaranteePeriodDays: resolveGuaranteePeriod(null, req.user)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get referral settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not retrieve referral settings'
+    });
+  }
+};
+
+// @desc    Update company referral attribution settings
+// @route   PUT /api/companies/referral-settings
+// @access  Private (Company)
+const updateReferralSettings = async (req, res) => {
+  try {
+    const { attributionWindowDays, attributionModel, guaranteePeriodDays } = req.body;
+
+    const updates = {};
+    if (attributionWindowDays !== undefined) {
+      updates['referralSettings.attributionWindowDays'] = parseInt(attributionWindowDays);
+    }
+    if (attributionModel !== undefined) {
+      updates['referralSettings.attributionModel'] = attributionModel;
+    }
+    if (guaranteePeriodDays !== undefined) {
+      updates['referralSettings.guaranteePeriodDays'] = parseInt(guaranteePeriodDays);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No changes',
+        message: 'Provide attributionWindowDays, attributionModel and/or guaranteePeriodDays'
+      });
+    }
+
+    const company = await Company.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Referral settings updated successfully',
+      data: {
+        referralSettings: {
+          ...getAttributionSettings(company),
+          guaranteePeriodDays: resolveGuaranteePeriod(null, company)
+        }
+      }
+    });
+
+    console.log(`✅ Referral settings updated for ${company.companyName}`);
+
+  } catch (error) {
+    console.error('Update referral settings error:', error);
+
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      const messages = error.errors
+        ? Object.values(error.errors).map(err => err.message)
+        : [error.message];
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages[0],
+        details: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not update referral settings'
+    });
+  }
+};
+
+// @desc    Get subscription plan limits and current consumption
+// @route   GET /api/companies/billing/usage
+// @access  Private (Company)
+const getBillingUsage = async (req, res) => {
+  try {
+    const usage = await getPlanUsage(req.user);
+
+    res.json({
+      success: true,
+      data: { usage }
+    });
+  } catch (error) {
+    console.error('Get billing usage error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not retrieve plan usage'
+    });
+  }
+};
+
+// @desc    Update the company security policy
+// @route   PUT /api/companies/security
+// @access  Private (Company)
+const updateSecuritySettings = async (req, res) => {
+  try {
+    const { requireTwoFactor } = req.body;
+
+    if (typeof requireTwoFactor !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'requireTwoFactor must be true or false'
+      });
+    }
+
+    // The account setting the policy must already follow it
+    if (requireTwoFactor && !req.account.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor not enabled',
+        message: 'Enable two-factor authentication on your own account before requiring it for your team'
+      });
+    }
+
+    const company = await Company.findByIdAndUpdate(
+      req.user._id,
+      { $set: { 'security.requireTwoFactor': requireTwoFactor } },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      message: requireTwoFactor
+        ? 'Two-factor authentication is now required for your team'
+        : 'Two-factor authentication is now optional for your team',
+      data: { security: company.security }
+    });
+  } catch (error) {
+    console.error('Update security settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not update security settings'
+    });
+  }
+};
+
+// @desc    Download everything held for the company account
+// @route   GET /api/companies/me/export
+// @access  Private (Company owner)
+const exportCompanyData = async (req, res) => {
+  try {
+    const data = await buildCompanyExport(req.user._id);
+    const filename = `referd-company-export-${new Date().toISOString().slice(0, 10)}.json`;
+
+    console.log(`📦 Data export: company ${req.user.companyName} (by ${req.actor.name})`);
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.json(data);
+  } catch (error) {
+    console.error('Export company data error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not export company data'
+    });
+  }
+};
+
+// @desc    Delete the company account, its team and their personal data
+// @route   DELETE /api/companies/me
+// @access  Private (Company owner)
+const deleteCompanyAccount = async (req, res) => {
+  try {
+    await confirmAccountOwner(req);
+
+    const result = await eraseCompany(req.user);
+
+    clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: 'The company account has been deleted',
+      data: result
+    });
+  } catch (error) {
+    console.error('Delete company account error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.title,
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not delete the company account'
+    });
+  }
+};
+
+module.exports = {
+  getReferralSettings,
+  updateReferralSettings,
+  getBillingUsage,
+  updateSecuritySettings,
+  exportCompanyData,
+  deleteCompanyAccount
+};
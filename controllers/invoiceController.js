@@ -0,0 +1,165 @@
+// controllers/invoiceController.js - Company invoice endpoints
+const Invoice = require('../models/Invoice');
+const Company = require('../models/Company');
+const { renderInvoicePdf } = require('../utils/invoicing');
+
+// @desc    Get the company's invoices
+// @route   GET /api/companies/invoices
+// @access  Private (Company)
+const getInvoices = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const filters = { companyId: req.user._id };
+    if (status) filters.status = status;
+
+    const invoices = await Invoice.find(filters)
+      .select('-lineItems')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .lean();
+
+    const total = await Invoice.countDocuments(filters);
+
+    res.json({
+      success: true,
+      data: {
+        invoices,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalInvoices: total,
+          hasNextPage: parseInt(page) < Math.ceil(total / parseInt(limit)),
+          hasPrevPage: parseInt(page) > 1,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not retrieve invoices'
+    });
+  }
+};
+
+// Load an invoice owned by the requesting company
+const findOwnInvoice = (req) => Invoice.findOne({ _id: req.params.id, companyId: req.user._id });
+
+// @desc    Get a single invoice with line items
+// @route   GET /api/companies/invoices/:id
+// @access  Private (Company)
+const getInvoiceById = async (req, res) => {
+  try {
+    const invoice = await findOwnInvoice(req);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { invoice }
+    });
+  } catch (error) {
+    console.error('Get invoice error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found',
+        message: 'Invalid invoice ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not retrieve invoice'
+    });
+  }
+};
+
+// @desc    Download an invoice as PDF
+// @route   GET /api/companies/invoices/:id/pdf
+// @access  Private (Company)
+const downloadInvoicePdf = async (req, res) => {
+  try {
+    const invoice = await findOwnInvoice(req);
+
+    if (!invoice) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found'
+      });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoiceNumber}.pdf"`);
+
+    renderInvoicePdf(invoice).pipe(res);
+  } catch (error) {
+    console.error('Download invoice error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Invoice not found',
+        message: 'Invalid invoice ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not generate invoice PDF'
+    });
+  }
+};
+
+// @desc    Choose per-hire or monthly consolidated invoicing
+// @route   PUT /api/companies/billing/invoicing
+// @access  Private (Company)
+const updateInvoicingMode = async (req, res) => {
+  try {
+    const { invoicingMode } = req.body;
+
+    if (!['per_hire', 'monthly'].includes(invoicingMode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Invoicing mode must be per_hire or monthly'
+      });
+    }
+
+    await Company.findByIdAndUpdate(req.user._id, {
+      $set: { 'billing.invoicingMode': invoicingMode }
+    });
+
+    res.json({
+      success: true,
+      message: 'Invoicing preference updated',
+      data: { invoicingMode }
+    });
+  } catch (error) {
+    console.error('Update invoicing mode error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not update invoicing preference'
+    });
+  }
+};
+
+module.exports = {
+  getInvoices,
+  getInvoiceById,
+  downloadInvoicePdf,
+  updateInvoicingMode
+};
@@ -1,6 +1,15 @@
 // controllers/jobController.js - Job management logic
 const Job = require('../models/Job');
 const Company = require('../models/Company');
+const Referral = require('../models/Referral');
+const ReferralClick = require('../models/ReferralClick');
+const Application = require('../models/Application');
+const { assertCanActivateJob } = require('../utils/planUsage');
+const { loadCandidates, scoreMatch } = require('../utils/matchEngine');
+const { buildJobFilters, runJobSearch } = require('../utils/jobSearch');
+
+// Most recent active jobs considered for a candidate's match feed
+const MATCH_POOL_SIZE = 500;
 
 // @desc    Get all jobs (public browsing)
 // @route   GET /api/jobs
@@ -19,78 +28,17 @@ const getJobs = async (req, res) => {
       experienceLevel,
       salaryMin,
       salaryMax,
-      sortBy = 'createdAt',
-      sortOrder = 'desc',
       ref // Referral code for tracking
     } = req.query;
     
-    // Build filter object
-    const filters = {
-      status: 'active',
-      visibility: 'public'
-    };
-    
-    // Apply filters
-    if (category) filters.category = category;
-    if (location) filters['location.city'] = new RegExp(location, 'i');
-    
-    // ADD COUNTRY FILTERING - This is the key addition
-    if (country) {
-      filters['location.country'] = country;
-    }
-    
-    if (jobType) filters.jobType = jobType;
-    if (workType) filters.workType = workType;
-    if (experienceLevel) filters.experienceLevel = experienceLevel;
-    
-    // Salary filter
-    if (salaryMin || salaryMax) {
-      filters['$and'] = [];
-      if (salaryMin) {
-        filters['$and'].push({
-          '$or': [
-            { 'salary.max': { $gte: parseInt(salaryMin) } },
-            { 'salary.min': { $gte: parseInt(salaryMin) } }
-          ]
-        });
-      }
-      if (salaryMax) {
-        filters['$and'].push({
-          'salary.min': { $lte: parseInt(salaryMax) }
-        });
-      }
-    }
+    const { jobs, total } = await runJobSearch(req.query, { page, limit });
     
-    // Build sort object
-    const sortObj = {};
-    if (search) {
-      sortObj.score = { $meta: 'textScore' };
-    }
-    sortObj[sortBy] = sortOrder === 'desc' ? -1 : 1;
-    
-    let query;
-    
-    // Text search or regular filter
-    if (search) {
-      query = Job.searchJobs(search, filters);
-    } else {
-      query = Job.find(filters)
-        .populate('companyId', 'companyName profile.logo profile.description profile.website');
-    }
-    
-    // Apply pagination and sorting
-    const jobs = await query
-      .sort(sortObj)
-      .limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit))
-      .lean();
-    
-    // Get total count for pagination
-    const total = await Job.countDocuments(filters);
-    
-    // Track referral views if referral code provided
-    if (ref && jobs.length > 0) {
-      console.log(`Referral view tracked: ${ref} viewed ${jobs.length} jobs`);
+    // Track referral views if referral code provided (a repeated ?ref= arrives as an array)
+    if (typeof ref === 'string' && ref && jobs.length > 0) {
+      Referral.updateMany(
+        { referralCode: ref.toUpperCase(), jobId: { $in: jobs.map(job => job._id) } },
+        { $inc: { views: 1 }, $set: { lastViewedAt: new Date() } }
+      ).exec().catch(error => console.error('Referral view tracking error:', error));
     }
     
     // Calculate pagination info
@@ -142,13 +90,94 @@ const getJobs = async (req, res) => {
   }
 };
 
+// @desc    Jobs ranked by how well they match the signed-in user
+// @route   GET /api/jobs/matches
+// @access  Private (User)
+const getJobMatches = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      minScore = 0,
+      category,
+      country,
+      jobType,
+      workType
+    } = req.query;
+
+    const threshold = Number(minScore);
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid minScore',
+        message: 'minScore must be a number from 0 to 100'
+      });
+    }
+
+    const filters = buildJobFilters({ category, country, jobType, workType });
+
+    // Jobs already applied for are left out of the feed
+    const [candidates, appliedJobIds] = await Promise.all([
+      loadCandidates([req.user._id]),
+      Application.distinct('jobId', { applicantId: req.user._id })
+    ]);
+    filters._id = { $nin: appliedJobIds };
+
+    const jobs = await Job.find(filters)
+      .populate('companyId', 'companyName profile.logo profile.description profile.website')
+      .sort({ createdAt: -1 })
+      .limit(MATCH_POOL_SIZE)
+      .lean();
+
+    const candidate = candidates.get(req.user._id.toString());
+    const ranked = jobs
+      .map(job => ({ ...job, summary: true, match: scoreMatch(candidate, job) }))
+      .filter(job => job.match.score >= threshold)
+      .sort((a, b) => b.match.score - a.match.score || b.createdAt - a.createdAt);
+
+    const total = ranked.length;
+    const totalPages = Math.ceil(total / parseInt(limit));
+    const start = (parseInt(page) - 1) * parseInt(limit);
+
+    res.json({
+      success: true,
+      data: {
+        jobs: ranked.slice(start, start + parseInt(limit)),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalJobs: total,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+          limit: parseInt(limit)
+        },
+        filters: {
+          minScore: threshold,
+          category,
+          country,
+          jobType,
+          workType
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get job matches error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not retrieve job matches'
+    });
+  }
+};
+
 // @desc    Get single job by ID
 // @route   GET /api/jobs/:id
 // @access  Public
 const getJobById = async (req, res) => {
   try {
     const { id } = req.params;
-    const { ref } = req.query; // Referral code
+    const ref = typeof req.query.ref === 'string' ? req.query.ref : undefined; // Referral code
+    const visitorId = req.query.visitorId || req.headers['x-visitor-id'];
     
     const job = await Job.findById(id)
       .populate('companyId', 'companyName profile industry companySize stats')
@@ -181,14 +210,28 @@ const getJobById = async (req, res) => {
     
     // Track referral view if referral code provided
     if (ref) {
-      console.log(`Referral view: ${ref} viewed job ${id}`);
-      // We'll implement proper referral tracking in the next phase
+      Referral.recordEvent(ref, id, 'view')
+        .then(referral => referral && ReferralClick.recordTouch(referral, {
+          visitorId,
+          candidateId: req.userType === 'user' ? req.user._id : null,
+          source: 'view',
+          req
+        }))
+        .catch(error => console.error('Referral view tracking error:', error));
+    }
+    
+    // Signed-in job seekers see how well they match
+    let match = null;
+    if (req.userType === 'user') {
+      const candidates = await loadCandidates([req.user._id]);
+      match = scoreMatch(candidates.get(req.user._id.toString()), job);
     }
     
     res.json({
       success: true,
       data: {
         job,
+        match,
         referralLink: ref ? job.referralBaseLink + `?ref=${ref}` : null
       }
     });
@@ -235,6 +278,8 @@ const createJob = async (req, res) => {
       category,
       department,
       applicationSettings,
+      isFeatured,
+      guaranteePeriodDays,
       status  // ADD THIS - get status from request
     } = req.body;
     
@@ -247,9 +292,18 @@ const createJob = async (req, res) => {
       });
     }
     
+    const jobStatus = status || 'active';
+    
+    // Enforce subscription plan quotas for jobs that go live
+    if (jobStatus === 'active') {
+      await assertCanActivateJob(req.user, { featured: !!isFeatured });
+    }
+    
     // Create job with status from frontend (not hardcoded as 'draft')
     const job = await Job.create({
       companyId: req.user._id,
+      postedBy: req.actor.id,
+      postedByModel: req.actor.model,
       title,
       description,
       requirements,
@@ -265,15 +319,18 @@ const createJob = async (req, res) => {
       category,
       department,
       applicationSettings,
-      status: status || 'active',  // CHANGE: Use status from request, default to 'active'
-      postedDate: status === 'active' ? new Date() : undefined  // Set posted date if active
+      guaranteePeriodDays,
+      isFeatured: !!isFeatured,
+      featuredAt: isFeatured ? new Date() : undefined,
+      status: jobStatus,  // CHANGE: Use status from request, default to 'active'
+      postedDate: jobStatus === 'active' ? new Date() : undefined  // Set posted date if active
     });
     
     // Update company stats
     await Company.findByIdAndUpdate(req.user._id, {
       $inc: { 
         'stats.totalJobsPosted': 1,
-        ...(status === 'active' && { 'stats.activeJobs': 1 })  // Only increment active jobs if status is active
+        ...(jobStatus === 'active' && { 'stats.activeJobs': 1 })  // Only increment active jobs if status is active
       }
     });
     
@@ -291,6 +348,15 @@ const createJob = async (req, res) => {
   } catch (error) {
     console.error('Create job error:', error);
     
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.title,
+        message: error.message,
+        code: error.code
+      });
+    }
+    
     if (error.name === 'ValidationError') {
       const messages = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
@@ -336,6 +402,25 @@ const updateJob = async (req, res) => {
       });
     }
     
+    // Only admins can moderate jobs
+    delete req.body.moderation;
+    
+    // Going live or becoming featured counts against the plan
+    const willBeActive = (req.body.status || job.status) === 'active';
+    if (willBeActive && job.moderation?.takenDownAt) {
+      return res.status(403).json({
+        success: false,
+        error: 'Job taken down',
+        message: 'This job was removed by Refer\'d and cannot be reactivated. Contact support for help.'
+      });
+    }
+    const willBeFeatured = req.body.isFeatured !== undefined ? !!req.body.isFeatured : job.isFeatured;
+    const becomesFeatured = willBeFeatured && !job.isFeatured;
+    if (willBeActive && (job.status !== 'active' || becomesFeatured)) {
+      await assertCanActivateJob(req.user, { featured: willBeFeatured, excludeJobId: job._id });
+    }
+    if (becomesFeatured) req.body.featuredAt = new Date();
+    
     // Update job
     const updatedJob = await Job.findByIdAndUpdate(
       id,
@@ -354,6 +439,15 @@ const updateJob = async (req, res) => {
   } catch (error) {
     console.error('Update job error:', error);
     
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.title,
+        message: error.message,
+        code: error.code
+      });
+    }
+    
     if (error.name === 'ValidationError') {
       const messages = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
@@ -416,6 +510,19 @@ const updateJobStatus = async (req, res) => {
     
     const oldStatus = job.status;
     
+    if (status === 'active' && job.moderation?.takenDownAt) {
+      return res.status(403).json({
+        success: false,
+        error: 'Job taken down',
+        message: 'This job was removed by Refer\'d and cannot be reactivated. Contact support for help.'
+      });
+    }
+    
+    // Reactivating counts against the plan's active (and featured) job quota
+    if (status === 'active' && oldStatus !== 'active') {
+      await assertCanActivateJob(req.user, { featured: job.isFeatured, excludeJobId: job._id });
+    }
+    
     // Update status
     job.status = status;
     if (status === 'active' && oldStatus === 'draft') {
@@ -452,6 +559,16 @@ const updateJobStatus = async (req, res) => {
     
   } catch (error) {
     console.error('Update job status error:', error);
+    
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.title,
+        message: error.message,
+        code: error.code
+      });
+    }
+    
     res.status(500).json({
       success: false,
       error: 'Server error',
@@ -809,6 +926,7 @@ const cleanupExpiredJobs = async () => {
 
 module.exports = {
   getJobs,
+  getJobMatches,
   getJobById,
   createJob,
   updateJob,
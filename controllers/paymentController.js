@@ -0,0 +1,306 @@
+// controllers/paymentController.js - Referral payout ledger endpoints
+const Payment = require('../models/Payment');
+const Withdrawal = require('../models/Withdrawal');
+const { getEarningsSummary, transitionPayment } = require('../utils/ledger');
+const {
+  WITHDRAWAL_MINIMUM,
+  startOnboarding,
+  refreshOnboardingStatus,
+  requestWithdrawal
+} = require('../utils/payouts');
+
+// @desc    Get referrer earnings derived from the ledger
+// @route   GET /api/payments/earnings
+// @access  Private (User)
+const getEarnings = async (req, res) => {
+  try {
+    const earnings = await getEarningsSummary(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        earnings
+      }
+    });
+  } catch (error) {
+    console.error('Get earnings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not retrieve earnings'
+    });
+  }
+};
+
+// @desc    Get payment history (referrer payouts, or fees owed by a company)
+// @route   GET /api/payments/history
+// @access  Private (User or Company)
+const getPaymentHistory = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      status,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    // Build filter
+    const filters = req.userType === 'company'
+      ? { companyId: req.user._id }
+      : { referrerId: req.user._id };
+    if (status) filters.status = status;
+
+    // Build sort
+    const sortObj = {};
+    sortObj[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+    const payments = await Payment.find(filters)
+      .populate('jobId', 'title')
+      .populate('companyId', 'companyName')
+      .populate('referrerId', 'firstName lastName referralCode')
+      .sort(sortObj)
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .lean();
+
+    const total = await Payment.countDocuments(filters);
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalPayments: total,
+          hasNextPage: parseInt(page) < Math.ceil(total / parseInt(limit)),
+          hasPrevPage: parseInt(page) > 1,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get payment history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not retrieve payment history'
+    });
+  }
+};
+
+// @desc    Approve a pending referral fee for payout
+// @route   PUT /api/payments/:id/approve
+// @access  Private (Company)
+const approvePayment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { note, waiveGuarantee } = req.body;
+
+    const payment = await Payment.findById(id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    if (payment.companyId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'You can only approve referral fees for your own hires'
+      });
+    }
+
+    if (!payment.canTransitionTo('approved')) {
+      return res.status(409).json({
+        success: false,
+        error: 'Invalid transition',
+        message: `A ${payment.status} payment cannot be approved`
+      });
+    }
+
+    // Fees inside the guarantee period are released by the scheduler unless the guarantee is waived
+    if (payment.status === 'pending' && payment.guarantee?.endsAt > new Date() && waiveGuarantee !== true) {
+      return res.status(409).json({
+        success: false,
+        error: 'Guarantee period',
+        message: `This fee is inside its guarantee period until ${payment.guarantee.endsAt.toISOString().slice(0, 10)}. Send waiveGuarantee: true to release it early.`
+      });
+    }
+
+    await transitionPayment(payment, 'approved', {
+      by: req.actor.id,
+      byModel: req.actor.model,
+      note: (note || 'Approved by company') + (waiveGuarantee === true ? ' (guarantee waived)' : '')
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment approved',
+      data: { payment }
+    });
+  } catch (error) {
+    console.error('Approve payment error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found',
+        message: 'Invalid payment ID'
+      });
+    }
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? 'Invalid transition' : 'Server error',
+      message: error.statusCode ? error.message : 'Could not approve payment'
+    });
+  }
+};
+
+// @desc    Start (or resume) Stripe Connect onboarding for payouts
+// @route   POST /api/payments/connect/onboard
+// @access  Private (User)
+const onboardPayoutAccount = async (req, res) => {
+  try {
+    const onboarding = await startOnboarding(req.user);
+
+    res.json({
+      success: true,
+      message: 'Continue to Stripe to finish setting up payouts',
+      data: { onboarding }
+    });
+  } catch (error) {
+    console.error('Payout onboarding error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? 'Payouts unavailable' : 'Server error',
+      message: error.statusCode ? error.message : 'Could not start payout onboarding'
+    });
+  }
+};
+
+// @desc    Get payout methods and withdrawable balance
+// @route   GET /api/payments/methods
+// @access  Private (User)
+const getPaymentMethods = async (req, res) => {
+  try {
+    const user = req.user;
+    let onboardingComplete = !!user.paymentDetails?.stripeOnboardingComplete;
+
+    try {
+      onboardingComplete = await refreshOnboardingStatus(user);
+    } catch (stripeError) {
+      console.error('Payout account refresh failed:', stripeError.message);
+    }
+
+    const earnings = await getEarningsSummary(user._id);
+
+    res.json({
+      success: true,
+      data: {
+        methods: {
+          stripe: {
+            connected: !!user.paymentDetails?.stripeAccountId,
+            onboardingComplete
+          }
+        },
+        preferredMethod: user.paymentDetails?.preferredMethod,
+        availableToWithdraw: earnings.approvedEarnings,
+        minimumWithdrawal: WITHDRAWAL_MINIMUM
+      }
+    });
+  } catch (error) {
+    console.error('Get payment methods error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not retrieve payment methods'
+    });
+  }
+};
+
+// @desc    Withdraw approved earnings to the connected Stripe account
+// @route   POST /api/payments/withdraw
+// @access  Private (User)
+const withdraw = async (req, res) => {
+  try {
+    const { currency = 'GBP' } = req.body;
+
+    if (!['GBP', 'USD', 'EUR'].includes(currency)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Currency must be GBP, USD or EUR'
+      });
+    }
+
+    const withdrawal = await requestWithdrawal(req.user, currency);
+
+    res.status(201).json({
+      success: true,
+      message: `${withdrawal.amount} ${withdrawal.currency} is on its way to your account`,
+      data: { withdrawal }
+    });
+  } catch (error) {
+    console.error('Withdraw error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? 'Withdrawal failed' : 'Server error',
+      message: error.statusCode ? error.message : 'Could not process withdrawal'
+    });
+  }
+};
+
+// @desc    Get the referrer's withdrawals
+// @route   GET /api/payments/withdrawals
+// @access  Private (User)
+const getWithdrawals = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const withdrawals = await Withdrawal.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .lean();
+
+    const total = await Withdrawal.countDocuments({ userId: req.user._id });
+
+    res.json({
+      success: true,
+      data: {
+        withdrawals,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalWithdrawals: total,
+          hasNextPage: parseInt(page) < Math.ceil(total / parseInt(limit)),
+          hasPrevPage: parseInt(page) > 1,
+          limit: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get withdrawals error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not retrieve withdrawals'
+    });
+  }
+};
+
+module.exports = {
+  getEarnings,
+  getPaymentHistory,
+  approvePayment,
+  onboardPayoutAccount,
+  getPaymentMethods,
+  withdraw,
+  getWithdrawals
+};
@@ -1,314 +1,258 @@
+// controllers/referralController.js - Referral link and funnel tracking logic
 const Referral = require('../models/Referral');
+const ReferralClick = require('../models/ReferralClick');
 const Job = require('../models/Job');
-const User = require('../models/User');
-const Application = require('../models/Application');
-const { sendNotification } = require('../utils/notificationService');
 
-// Create a referral (when user shares a job)
+// @desc    Create a referral link for a job
+// @route   POST /api/referrals/create
+// @access  Private (User)
 const createReferral = async (req, res) => {
   try {
     const { jobId, referralMethod = 'direct_link' } = req.body;
-    const referrerId = req.user._id;
-    
-    // Check if job exists
-    const job = await Job.findById(jobId);
+
+    if (!jobId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing job ID',
+        message: 'Job ID is required to create a referral'
+      });
+    }
+
+    const job = await Job.findById(jobId).select('title companyId referralFee referralFeeCurrency status');
+
     if (!job) {
-      return res.status(404).json({ message: 'Job not found' });
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: 'The job you are trying to refer for could not be found'
+      });
     }
-    
-    // Check if user already has an active referral for this job
+
+    if (job.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        error: 'Job not active',
+        message: 'Cannot create referrals for inactive jobs'
+      });
+    }
+
+    // One referral link per referrer per job
     const existingReferral = await Referral.findOne({
-      referrerId,
-      jobId,
-      status: 'active'
+      referrerId: req.user._id,
+      jobId
     });
-    
+
     if (existingReferral) {
-      return res.status(400).json({ 
-        message: 'You already have an active referral for this job',
-        referralCode: existingReferral.referralCode 
+      return res.json({
+        success: true,
+        message: 'You already have a referral link for this job',
+        data: {
+          referral: existingReferral,
+          shareLink: existingReferral.shareLink
+        }
       });
     }
-    
-    // Create new referral
+
     const referral = await Referral.create({
-      referrerId,
-      jobId,
+      referrerId: req.user._id,
+      jobId: job._id,
       companyId: job.companyId,
       referralCode: req.user.referralCode,
       referralMethod,
       referralFee: job.referralFee,
-      status: 'active'
+      referralFeeCurrency: job.referralFeeCurrency
     });
-    
-    // Update user's referral stats
-    await User.findByIdAndUpdate(referrerId, {
-      $inc: { 'referralStats.totalReferrals': 1 }
-    });
-    
+
     res.status(201).json({
       success: true,
       message: 'Referral created successfully',
-      referral,
-      shareLink: `${process.env.CLIENT_URL}/jobs/${jobId}?ref=${req.user.referralCode}`
+      data: {
+        referral,
+        shareLink: referral.shareLink
+      }
     });
+
+    console.log(`✅ Referral created: ${req.user.referralCode} for job ${job.title}`);
+
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    console.error('Create referral error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: messages[0],
+        details: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not create referral'
+    });
   }
 };
 
-// Track referral click
+// @desc    Track a click on a referral link
+// @route   POST /api/referrals/track-click
+// @access  Public (candidate attached when logged in)
 const trackReferralClick = async (req, res) => {
   try {
     const { referralCode, jobId } = req.body;
-    
-    const referral = await Referral.findOne({
-      referralCode,
-      jobId,
-      status: 'active'
-    });
-    
-    if (referral) {
-      await Referral.findByIdAndUpdate(referral._id, {
-        $inc: { clicks: 1 }
+    const visitorId = req.body.visitorId || req.headers['x-visitor-id'];
+
+    if (!referralCode || !jobId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'Referral code and job ID are required'
       });
     }
-    
-    res.json({ success: true });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
-};
 
-// Process successful hire (triggers referral payment)
-const processSuccessfulHire = async (applicationId) => {
-  try {
-    const application = await Application.findById(applicationId)
-      .populate('jobId')
-      .populate('referredBy');
-    
-    if (!application.referredBy) {
-      return; // No referral involved
+    if (typeof referralCode !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid referral code',
+        message: 'Referral code must be text'
+      });
     }
-    
-    // Find the referral
-    const referral = await Referral.findOne({
-      referrerId: application.referredBy._id,
-      jobId: application.jobId._id,
-      status: 'active'
-    });
-    
-    if (!referral) {
-      console.error('Referral not found for successful hire');
-      return;
+
+    const referral = await Referral.recordEvent(referralCode, jobId, 'click');
+
+    // Store the touchpoint for attribution
+    if (referral) {
+      await ReferralClick.recordTouch(referral, {
+        visitorId,
+        candidateId: req.userType === 'user' ? req.user._id : null,
+        source: 'click',
+        req
+      });
     }
-    
-    // Update referral status
-    await Referral.findByIdAndUpdate(referral._id, {
-      status: 'successful',
-      hireDate: new Date(),
-      paymentStatus: 'pending'
-    });
-    
-    // Update referrer's stats
-    await User.findByIdAndUpdate(referral.referrerId, {
-      $inc: {
-        'referralStats.successfulReferrals': 1,
-        'referralStats.pendingEarnings': referral.referralFee,
-        'referralStats.totalEarnings': referral.referralFee
-      }
-    });
-    
-    // Create payment record
-    const Payment = require('../models/Payment');
-    await Payment.create({
-      referrerId: referral.referrerId,
-      companyId: referral.companyId,
-      referralId: referral._id,
-      amount: referral.referralFee,
-      currency: 'GBP',
-      status: 'pending',
-      paymentReference: `PAY-REF-${Date.now()}`
-    });
-    
-    // Send notifications
-    await sendNotification({
-      userId: referral.referrerId,
-      type: 'referral_hired',
-      title: 'Congratulations! Your referral was hired',
-      message: `Your referral for ${application.jobId.title} was successful. You earned £${referral.referralFee}!`,
-      relatedJobId: application.jobId._id,
-      relatedReferralId: referral._id
-    });
-    
-    console.log(`Referral payment processed: £${referral.referralFee} for user ${referral.referrerId}`);
-  } catch (error) {
-    console.error('Error processing successful hire:', error);
-  }
-};
 
-// Get user's referrals
-const getUserReferrals = async (req, res) => {
-  try {
-    const referrals = await Referral.find({ referrerId: req.user._id })
-      .populate('jobId', 'title companyId salary status')
-      .populate('companyId', 'companyName')
-      .sort({ createdAt: -1 });
-    
     res.json({
       success: true,
-      referrals
+      data: {
+        tracked: !!referral
+      }
     });
+
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    console.error('Track referral click error:', error);
+    res.status(200).json({ success: false }); // Silent fail
   }
 };
 
-module.exports = {
-  createReferral,
-  trackReferralClick,
-  processSuccessfulHire,
-  getUserReferrals
-};
-
-// controllers/jobController.js
-const Job = require('../models/Job');
-const Company = require('../models/Company');
-
-// Create a new job (Company only)
-const createJob = async (req, res) => {
+// @desc    Get user's referral links with funnel counters
+// @route   GET /api/referrals/my-referrals
+// @access  Private (User)
+const getUserReferrals = async (req, res) => {
   try {
     const {
-      title,
-      description,
-      requirements,
-      jobType,
-      workType,
-      location,
-      salary,
-      referralFee = 1000,
-      category,
-      experienceLevel,
-      applicationDeadline
-    } = req.body;
-    
-    const job = await Job.create({
-      ...req.body,
-      companyId: req.user._id,
-      status: 'active'
-    });
-    
-    // Update company stats
-    await Company.findByIdAndUpdate(req.user._id, {
-      $inc: { 'stats.totalJobsPosted': 1, 'stats.activeJobs': 1 }
-    });
-    
-    res.status(201).json({
-      success: true,
-      message: 'Job created successfully',
-      job
-    });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
-};
+      page = 1,
+      limit = 20,
+      status,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
 
-// Get all jobs (with referral code tracking)
-const getAllJobs = async (req, res) => {
-  try {
-    const { page = 1, limit = 10, category, location, jobType, search, ref } = req.query;
-    
     // Build filter
-    const filter = { status: 'active' };
-    
-    if (category) filter.category = category;
-    if (location) filter['location.city'] = new RegExp(location, 'i');
-    if (jobType) filter.jobType = jobType;
-    if (search) {
-      filter.$or = [
-        { title: new RegExp(search, 'i') },
-        { description: new RegExp(search, 'i') }
-      ];
-    }
-    
-    const jobs = await Job.find(filter)
+    const filters = { referrerId: req.user._id };
+    if (status) filters.status = status;
+
+    // Build sort
+    const sortObj = {};
+    sortObj[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+    const referrals = await Referral.find(filters)
+      .populate('jobId', 'title status referralFee location')
       .populate('companyId', 'companyName profile.logo')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-    
-    const total = await Job.countDocuments(filter);
-    
-    // Track referral view if ref code provided
-    if (ref && jobs.length > 0) {
-      const Referral = require('../models/Referral');
-      await Referral.updateMany(
-        { referralCode: ref, jobId: { $in: jobs.map(job => job._id) } },
-        { $inc: { views: 1 } }
-      );
-    }
-    
+      .sort(sortObj)
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await Referral.countDocuments(filters);
+
     res.json({
       success: true,
-      jobs,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      total
+      data: {
+        referrals,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalReferrals: total,
+          hasNextPage: parseInt(page) < Math.ceil(total / parseInt(limit)),
+          hasPrevPage: parseInt(page) > 1,
+          limit: parseInt(limit)
+        }
+      }
     });
+
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    console.error('Get referral links error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not retrieve referrals'
+    });
   }
 };
 
-// Get single job with referral tracking
-const getJobById = async (req, res) => {
+// @desc    Get referral funnel statistics
+// @route   GET /api/referrals/stats
+// @access  Private (User)
+const getReferralStats = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { ref } = req.query;
-    
-    const job = await Job.findById(id)
-      .populate('companyId', 'companyName profile website description');
-    
-    if (!job) {
-      return res.status(404).json({ message: 'Job not found' });
-    }
-    
-    // Track referral view
-    if (ref) {
-      const Referral = require('../models/Referral');
-      await Referral.findOneAndUpdate(
-        { referralCode: ref, jobId: id },
-        { $inc: { views: 1 } }
-      );
-    }
-    
+    const funnel = await Referral.getFunnelStats(req.user._id);
+
     res.json({
       success: true,
-      job
+      data: {
+        funnel
+      }
     });
+
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    console.error('Get referral stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not retrieve referral statistics'
+    });
   }
 };
 
-// Get company's jobs
-const getCompanyJobs = async (req, res) => {
+// Helper function to record a hire against the referral link it came from
+const processSuccessfulHire = async (application) => {
   try {
-    const jobs = await Job.find({ companyId: req.user._id })
-      .sort({ createdAt: -1 });
-    
-    res.json({
-      success: true,
-      jobs
+    if (!application.isReferral || !application.referredBy) return null;
+
+    const referral = await Referral.findOne({
+      referrerId: application.referredBy._id || application.referredBy,
+      jobId: application.jobId._id || application.jobId
     });
+
+    if (!referral) {
+      console.log(`⚠️ No referral link found for hired application ${application._id}`);
+      return null;
+    }
+
+    await referral.recordHire();
+
+    console.log(`🎯 Referral hire recorded: ${referral.referralCode} for job ${referral.jobId}`);
+
+    return referral;
   } catch (error) {
-    res.status(500).json({ message: error.message });
+    console.error('Process successful hire error:', error);
+    return null;
   }
 };
 
 module.exports = {
-  createJob,
-  getAllJobs,
-  getJobById,
-  getCompanyJobs
-};
\ No newline at end of file
+  createReferral,
+  trackReferralClick,
+  getUserReferrals,
+  getReferralStats,
+  processSuccessfulHire
+};
@@ -0,0 +1,493 @@
+// controllers/savedController.js - Job seekers' saved jobs and saved searches
+const Job = require('../models/Job');
+const SavedJob = require('../models/SavedJob');
+const { MAX_SAVED_JOBS } = require('../models/SavedJob');
+const SavedSearch = require('../models/SavedSearch');
+const { MAX_SAVED_SEARCHES } = require('../models/SavedSearch');
+const {
+  JOB_SORT_FIELDS,
+  MAX_PAGE_SIZE,
+  pickJobSearch,
+  runJobSearch,
+  countNewJobs
+} = require('../utils/jobSearch');
+
+const SORT_FIELDS = ['sortBy', 'sortOrder'];
+
+// Check a search sent by the client and keep only the GET /api/jobs parameters
+const buildSearchQuery = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Query must be an object of job search parameters' };
+  }
+
+  const query = pickJobSearch(input);
+
+  for (const [field, value] of Object.entries(query)) {
+    if (field === 'salaryMin' || field === 'salaryMax') {
+      const amount = Number(value);
+      if (!Number.isFinite(amount)) return { error: `${field} must be a number` };
+      query[field] = amount;
+    } else if (typeof value !== 'string') {
+      return { error: `${field} must be text` };
+    } else {
+      query[field] = value.trim();
+    }
+  }
+
+  if (query.sortBy && !JOB_SORT_FIELDS.includes(query.sortBy)) {
+    return { error: `sortBy must be one of: ${JOB_SORT_FIELDS.join(', ')}` };
+  }
+  if (query.sortOrder && !['asc', 'desc'].includes(query.sortOrder)) {
+    return { error: 'sortOrder must be asc or desc' };
+  }
+
+  if (!Object.keys(query).some(field => !SORT_FIELDS.includes(field))) {
+    return { error: 'A saved search needs at least one search term or filter' };
+  }
+
+  return { query };
+};
+
+const validationResponse = (res, error) => {
+  const messages = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    error: 'Validation error',
+    message: messages[0],
+    details: messages
+  });
+};
+
+// @desc    List saved jobs with each job's current status
+// @route   GET /api/users/saved-jobs
+// @access  Private (User)
+const getSavedJobs = async (req, res) => {
+  try {
+    const saved = await SavedJob.find({ userId: req.user._id })
+      .populate({
+        path: 'jobId',
+        select: 'title companyId status visibility location jobType workType experienceLevel salary applicationSettings.applicationDeadline createdAt',
+        populate: { path: 'companyId', select: 'companyName profile.logo' }
+      })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const savedJobs = saved.map(({ jobId: job, ...entry }) => {
+      // Deleted jobs, and jobs the company has since made private, are no longer shown
+      const available = job && !(job.status !== 'active' && job.visibility === 'private');
+
+      return {
+        _id: entry._id,
+        note: entry.note,
+        savedAt: entry.createdAt,
+        jobStatus: !job ? 'removed' : available ? job.status : 'unavailable',
+        isOpen: !!available && job.status === 'active',
+        job: available ? job : null
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        savedJobs,
+        summary: {
+          total: savedJobs.length,
+          open: savedJobs.filter(entry => entry.isOpen).length
+        },
+        limit: MAX_SAVED_JOBS
+      }
+    });
+  } catch (error) {
+    console.error('Get saved jobs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not retrieve saved jobs'
+    });
+  }
+};
+
+// @desc    Save a job (saving it again just updates the note)
+// @route   POST /api/users/saved-jobs/:jobId
+// @access  Private (User)
+const saveJob = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { note } = req.body;
+
+    const job = await Job.findById(jobId).select('title status visibility');
+    if (!job || (job.status !== 'active' && job.visibility === 'private')) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: 'The requested job could not be found'
+      });
+    }
+
+    const existing = await SavedJob.findOne({ userId: req.user._id, jobId });
+    if (existing) {
+      if (note !== undefined) {
+        existing.note = note;
+        await existing.save();
+      }
+
+      return res.json({
+        success: true,
+        message: 'Job already saved',
+        data: { savedJob: existing }
+      });
+    }
+
+    if (job.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        error: 'Job not open',
+        message: 'Only open jobs can be saved'
+      });
+    }
+
+    if (await SavedJob.countDocuments({ userId: req.user._id }) >= MAX_SAVED_JOBS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Saved jobs limit reached',
+        message: `You can save at most ${MAX_SAVED_JOBS} jobs. Remove one before saving another.`
+      });
+    }
+
+    const savedJob = await SavedJob.create({ userId: req.user._id, jobId, note });
+
+    console.log(`🔖 Job saved: ${req.user.email} (${job.title})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Job saved',
+      data: { savedJob }
+    });
+  } catch (error) {
+    console.error('Save job error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: 'Invalid job ID'
+      });
+    }
+
+    // Saved twice at the same moment
+    if (error.code === 11000) {
+      return res.json({
+        success: true,
+        message: 'Job already saved'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return validationResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not save job'
+    });
+  }
+};
+
+// @desc    Remove a job from the saved list
+// @route   DELETE /api/users/saved-jobs/:jobId
+// @access  Private (User)
+const unsaveJob = async (req, res) => {
+  try {
+    const removed = await SavedJob.findOneAndDelete({ userId: req.user._id, jobId: req.params.jobId });
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved job not found',
+        message: 'This job is not in your saved jobs'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job removed from saved jobs'
+    });
+  } catch (error) {
+    console.error('Unsave job error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved job not found',
+        message: 'Invalid job ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not remove saved job'
+    });
+  }
+};
+
+// @desc    List saved searches with the number of new jobs since each was last viewed
+// @route   GET /api/users/saved-searches
+// @access  Private (User)
+const getSavedSearches = async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ userId: req.user._id }).sort({ updatedAt: -1 });
+
+    const savedSearches = await Promise.all(searches.map(async search => ({
+      ...search.toJSON(),
+      newJobsCount: await countNewJobs(search.toSearchQuery(), search.lastViewedAt)
+    })));
+
+    res.json({
+      success: true,
+      data: {
+        savedSearches,
+        limit: MAX_SAVED_SEARCHES
+      }
+    });
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not retrieve saved searches'
+    });
+  }
+};
+
+// @desc    Save a job search
+// @route   POST /api/users/saved-searches
+// @access  Private (User)
+const createSavedSearch = async (req, res) => {
+  try {
+    const { name } = req.body;
+    const { query, error } = buildSearchQuery(req.body.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: error
+      });
+    }
+
+    if (await SavedSearch.countDocuments({ userId: req.user._id }) >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        error: 'Saved searches limit reached',
+        message: `You can keep at most ${MAX_SAVED_SEARCHES} saved searches. Delete one before saving another.`
+      });
+    }
+
+    const savedSearch = await SavedSearch.create({ userId: req.user._id, name, query });
+
+    console.log(`🔖 Search saved: ${req.user.email} (${savedSearch.name})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved',
+      data: {
+        savedSearch: { ...savedSearch.toJSON(), newJobsCount: 0 }
+      }
+    });
+  } catch (error) {
+    console.error('Create saved search error:', error);
+
+    if (error.name === 'ValidationError') {
+      return validationResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not save search'
+    });
+  }
+};
+
+// @desc    Rename a saved search or change its query (a new query starts counting afresh)
+// @route   PUT /api/users/saved-searches/:searchId
+// @access  Private (User)
+const updateSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.searchId, userId: req.user._id });
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    if (req.body.query !== undefined) {
+      const { query, error } = buildSearchQuery(req.body.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation error',
+          message: error
+        });
+      }
+
+      savedSearch.set('query', query);
+      savedSearch.lastViewedAt = new Date();
+      savedSearch.previousViewedAt = undefined;
+    }
+
+    if (req.body.name !== undefined) savedSearch.name = req.body.name;
+    await savedSearch.save();
+
+    res.json({
+      success: true,
+      message: 'Saved search updated',
+      data: {
+        savedSearch: {
+          ...savedSearch.toJSON(),
+          newJobsCount: await countNewJobs(savedSearch.toSearchQuery(), savedSearch.lastViewedAt)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Update saved search error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      return validationResponse(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not update saved search'
+    });
+  }
+};
+
+// @desc    Delete a saved search
+// @route   DELETE /api/users/saved-searches/:searchId
+// @access  Private (User)
+const deleteSavedSearch = async (req, res) => {
+  try {
+    const removed = await SavedSearch.findOneAndDelete({ _id: req.params.searchId, userId: req.user._id });
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted'
+    });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not delete saved search'
+    });
+  }
+};
+
+// @desc    Re-run a saved search; opening the first page marks its new jobs as seen
+// @route   GET /api/users/saved-searches/:searchId/jobs
+// @access  Private (User)
+const runSavedSearch = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.searchId, userId: req.user._id });
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    const isFirstPage = page === 1;
+    const since = isFirstPage ? savedSearch.lastViewedAt : (savedSearch.previousViewedAt || savedSearch.lastViewedAt);
+    const query = savedSearch.toSearchQuery();
+
+    const [{ jobs, total }, newJobsCount] = await Promise.all([
+      runJobSearch(query, { page, limit }),
+      countNewJobs(query, since)
+    ]);
+
+    if (isFirstPage) {
+      savedSearch.previousViewedAt = savedSearch.lastViewedAt;
+      savedSearch.lastViewedAt = new Date();
+      await savedSearch.save();
+    }
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        savedSearch,
+        jobs: jobs.map(job => ({
+          ...job,
+          summary: true,
+          isNew: job.postedDate > since
+        })),
+        newJobsCount,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalJobs: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Run saved search error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Saved search not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not run saved search'
+    });
+  }
+};
+
+module.exports = {
+  getSavedJobs,
+  saveJob,
+  unsaveJob,
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  runSavedSearch
+};
@@ -0,0 +1,361 @@
+// controllers/teamController.js - Company team seats and invitations
+const CompanyMember = require('../models/CompanyMember');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const Session = require('../models/Session');
+const { sendEmail, emailTemplates } = require('../config/email');
+const { COMPANY_ROLES, canAssignRole } = require('../config/companyRoles');
+const { assertCanAddSeat, getPlanUsage } = require('../utils/planUsage');
+
+// Email the invitation link (never throws)
+const sendInviteEmail = async (member, token, req) => {
+  try {
+    const baseUrl = process.env.CLIENT_URL || 'http://127.0.0.1:5500';
+    const inviteUrl = `${baseUrl}/accept-invite.html?token=${token}`;
+
+    return await sendEmail({
+      to: member.email,
+      ...emailTemplates.teamInvite(req.user.companyName, req.actor.name, member.role, inviteUrl)
+    });
+  } catch (error) {
+    console.error('❌ Team invite email error:', error);
+    return false;
+  }
+};
+
+// Load a member of the requesting company
+const findOwnMember = (req) => CompanyMember.findOne({
+  _id: req.params.memberId,
+  companyId: req.user._id,
+  status: { $ne: 'removed' }
+});
+
+// @desc    List the company's team
+// @route   GET /api/companies/team
+// @access  Private (Company)
+const getTeam = async (req, res) => {
+  try {
+    const [members, usage] = await Promise.all([
+      CompanyMember.find({ companyId: req.user._id, status: { $ne: 'removed' } }).sort({ createdAt: 1 }),
+      getPlanUsage(req.user)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        owner: {
+          email: req.user.email,
+          name: req.user.contactPersonName,
+          role: 'owner'
+        },
+        members: members.map(member => member.getSafeData()),
+        seats: {
+          used: usage.usage.seats,
+          limit: usage.limits.seats,
+          remaining: usage.remaining.seats
+        },
+        roles: COMPANY_ROLES
+      }
+    });
+  } catch (error) {
+    console.error('Get team error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not retrieve team'
+    });
+  }
+};
+
+// @desc    Invite a team member
+// @route   POST /api/companies/team/invite
+// @access  Private (Company owner/admin)
+const inviteMember = async (req, res) => {
+  try {
+    const { email, role, position } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'Email and role are required'
+      });
+    }
+
+    if (!canAssignRole(req.companyRole, role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: `You cannot invite members with the ${role} role`
+      });
+    }
+
+    const emailLower = email.toLowerCase().trim();
+
+    const [existingUser, existingCompany, existingMember] = await Promise.all([
+      User.findOne({ email: emailLower }),
+      Company.findOne({ email: emailLower }),
+      CompanyMember.findOne({ email: emailLower })
+    ]);
+
+    if (existingUser || existingCompany || (existingMember && existingMember.status !== 'removed')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email in use',
+        message: 'This email already belongs to a Refer\'d account'
+      });
+    }
+
+    await assertCanAddSeat(req.user);
+
+    // Removed members can be invited again with a clean slate
+    const member = existingMember || new CompanyMember({ email: emailLower });
+    if (existingMember) member.disableTwoFactor();
+    member.set({
+      companyId: req.user._id,
+      role,
+      position,
+      status: 'invited',
+      invitedBy: req.actor.id,
+      invitedByModel: req.actor.model,
+      acceptedAt: undefined,
+      removedAt: undefined
+    });
+    const token = member.generateInviteToken();
+    await member.save();
+
+    await sendInviteEmail(member, token, req);
+
+    console.log(`📨 Team invite: ${member.email} invited to ${req.user.companyName} as ${role}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${member.email}`,
+      data: { member: member.getSafeData() }
+    });
+  } catch (error) {
+    console.error('Invite member error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.title,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: messages[0],
+        details: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not invite team member'
+    });
+  }
+};
+
+// @desc    Resend a pending invitation
+// @route   POST /api/companies/team/:memberId/resend-invite
+// @access  Private (Company owner/admin)
+const resendInvite = async (req, res) => {
+  try {
+    const member = await findOwnMember(req);
+
+    if (!member || member.status !== 'invited') {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation not found'
+      });
+    }
+
+    const token = member.generateInviteToken();
+    await member.save();
+
+    await sendInviteEmail(member, token, req);
+
+    res.json({
+      success: true,
+      message: `Invitation resent to ${member.email}`
+    });
+  } catch (error) {
+    console.error('Resend invite error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not resend invitation'
+    });
+  }
+};
+
+// @desc    Change a member's role or suspend/reactivate them
+// @route   PUT /api/companies/team/:memberId
+// @access  Private (Company owner/admin)
+const updateMember = async (req, res) => {
+  try {
+    const { role, status } = req.body;
+    const member = await findOwnMember(req);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    if (req.member && req.member._id.equals(member._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request',
+        message: 'You cannot change your own role or access'
+      });
+    }
+
+    // Admins can't touch owners, and can't promote anyone to owner
+    if (!canAssignRole(req.companyRole, member.role) || (role && !canAssignRole(req.companyRole, role))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Only an owner can change owner access'
+      });
+    }
+
+    if (status && !['active', 'suspended'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        message: 'Status must be active or suspended'
+      });
+    }
+
+    if (status && member.status === 'invited') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request',
+        message: 'The invitation has not been accepted yet'
+      });
+    }
+
+    if (role) member.role = role;
+    if (status) member.status = status;
+    await member.save();
+
+    if (status === 'suspended') {
+      await Session.revokeAllForAccount(member._id, 'revoked');
+    }
+
+    console.log(`👥 Team member updated: ${member.email} (${member.role}, ${member.status})`);
+
+    res.json({
+      success: true,
+      message: 'Team member updated',
+      data: { member: member.getSafeData() }
+    });
+  } catch (error) {
+    console.error('Update member error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: messages[0],
+        details: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not update team member'
+    });
+  }
+};
+
+// @desc    Remove a member (or cancel their invitation) and free the seat
+// @route   DELETE /api/companies/team/:memberId
+// @access  Private (Company owner/admin)
+const removeMember = async (req, res) => {
+  try {
+    const member = await findOwnMember(req);
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    if (!canAssignRole(req.companyRole, member.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied',
+        message: 'Only an owner can remove an owner'
+      });
+    }
+
+    // Kept rather than deleted so the actions they took stay attributable
+    member.set({
+      status: 'removed',
+      removedAt: new Date(),
+      inviteToken: undefined,
+      inviteExpire: undefined
+    });
+    await member.save();
+
+    await Session.revokeAllForAccount(member._id, 'revoked');
+
+    console.log(`👥 Team member removed: ${member.email} from ${req.user.companyName}`);
+
+    res.json({
+      success: true,
+      message: 'Team member removed'
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Member not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not remove team member'
+    });
+  }
+};
+
+module.exports = {
+  getTeam,
+  inviteMember,
+  resendInvite,
+  updateMember,
+  removeMember
+};
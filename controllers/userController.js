@@ -0,0 +1,670 @@
+// controllers/userController.js - Job seeker profile, uploads and account data
+const User = require('../models/User');
+const { MAX_RESUMES } = require('../models/User');
+const Application = require('../models/Application');
+const { describeUpload, removeStoredFile } = require('../utils/fileStorage');
+const { queueResumeParsing, buildProfileSuggestions } = require('../utils/resumeParser');
+const {
+  confirmAccountOwner,
+  buildUserExport,
+  eraseUser
+} = require('../utils/dataPrivacy');
+const { clearAuthCookies } = require('./authController');
+
+const EXPERIENCE_LEVELS = User.schema.path('profile.experience').enumValues;
+const WORK_TYPES = User.schema.path('profile.jobPreferences.workTypes').caster.enumValues;
+const MAX_SKILLS = 30;
+const LOCATION_FIELDS = ['city', 'country', 'postcode'];
+
+const isText = (value) => typeof value === 'string';
+
+// Library changes can rewrite the whole resumes array, so the parsed text (select: false)
+// has to be loaded as well or the save would wipe it from every other resume
+const loadResumeOwner = (userId) => User.findById(userId).select('+resumes.extractedText');
+
+// Resumes as sent to the client - the parsed text stays on the server
+const resumeView = (resume) => {
+  const { extractedText, ...view } = resume.toObject();
+  return view;
+};
+
+// Check the editable profile fields and turn them into paths to set.
+// Most format rules (URL patterns, name lengths) are left to the schema validators.
+const buildProfileUpdate = (body) => {
+  const errors = [];
+  const updates = {};
+
+  ['firstName', 'lastName', 'phone'].forEach(field => {
+    if (body[field] === undefined) return;
+    if (!isText(body[field])) return errors.push(`${field} must be text`);
+    updates[field] = body[field].trim();
+  });
+
+  const profile = body.profile || {};
+  if (typeof profile !== 'object' || Array.isArray(profile)) {
+    errors.push('profile must be an object');
+    return { errors, updates };
+  }
+
+  if (profile.bio !== undefined) {
+    if (!isText(profile.bio)) errors.push('Bio must be text');
+    else updates['profile.bio'] = profile.bio.trim();
+  }
+
+  if (profile.skills !== undefined) {
+    if (!Array.isArray(profile.skills) || !profile.skills.every(isText)) {
+      errors.push('Skills must be a list of text values');
+    } else {
+      // Trim, drop blanks and case-insensitive duplicates, keep the user's order
+      const seen = new Set();
+      const skills = profile.skills
+        .map(skill => skill.trim())
+        .filter(skill => skill && !seen.has(skill.toLowerCase()) && seen.add(skill.toLowerCase()));
+
+      if (skills.length > MAX_SKILLS) errors.push(`You can list at most ${MAX_SKILLS} skills`);
+      else updates['profile.skills'] = skills;
+    }
+  }
+
+  if (profile.experience !== undefined) {
+    if (!EXPERIENCE_LEVELS.includes(profile.experience)) {
+      errors.push(`Experience must be one of: ${EXPERIENCE_LEVELS.join(', ')}`);
+    } else {
+      updates['profile.experience'] = profile.experience;
+    }
+  }
+
+  if (profile.location !== undefined) {
+    const location = profile.location;
+    if (!location || typeof location !== 'object' || Array.isArray(location)) {
+      errors.push('Location must be an object with city, country and postcode');
+    } else {
+      LOCATION_FIELDS.forEach(field => {
+        if (location[field] === undefined) return;
+        if (!isText(location[field])) return errors.push(`Location ${field} must be text`);
+        if (location[field].trim().length > 100) return errors.push(`Location ${field} cannot exceed 100 characters`);
+        updates[`profile.location.${field}`] = location[field].trim() || undefined;
+      });
+    }
+  }
+
+  // Links can be cleared by sending an empty value
+  ['website', 'linkedin'].forEach(field => {
+    const value = profile[field];
+    if (value === undefined) return;
+    if (value !== null && !isText(value)) return errors.push(`${field} must be a URL`);
+    updates[`profile.${field}`] = value?.trim() || undefined;
+  });
+
+  if (profile.jobPreferences !== undefined) {
+    const preferences = profile.jobPreferences;
+    if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+      errors.push('Job preferences must be an object');
+      return { errors, updates };
+    }
+
+    if (preferences.workTypes !== undefined) {
+      if (!Array.isArray(preferences.workTypes) || !preferences.workTypes.every(type => WORK_TYPES.includes(type))) {
+        errors.push(`Work types must be a list of: ${WORK_TYPES.join(', ')}`);
+      } else {
+        updates['profile.jobPreferences.workTypes'] = [...new Set(preferences.workTypes)];
+      }
+    }
+
+    // The salary expectation can be cleared by sending null
+    const salary = preferences.salary;
+    if (salary === null) {
+      updates['profile.jobPreferences.salary'] = undefined;
+    } else if (salary !== undefined) {
+      if (typeof salary !== 'object' || Array.isArray(salary) || typeof salary.min !== 'number') {
+        errors.push('Salary expectation must include a numeric min');
+      } else {
+        updates['profile.jobPreferences.salary'] = {
+          min: salary.min,
+          currency: salary.currency || 'GBP',
+          period: salary.period || 'yearly'
+        };
+      }
+    }
+
+    if (preferences.openToRelocation !== undefined) {
+      if (typeof preferences.openToRelocation !== 'boolean') errors.push('openToRelocation must be true or false');
+      else updates['profile.jobPreferences.openToRelocation'] = preferences.openToRelocation;
+    }
+  }
+
+  return { errors, updates };
+};
+
+// @desc    Get the signed-in user's profile
+// @route   GET /api/users/profile
+// @access  Private (User)
+const getProfile = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        user: req.user.getSafeData(),
+        options: {
+          experienceLevels: EXPERIENCE_LEVELS,
+          workTypes: WORK_TYPES,
+          maxSkills: MAX_SKILLS
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not retrieve profile'
+    });
+  }
+};
+
+// @desc    Update the signed-in user's profile
+// @route   PUT /api/users/profile
+// @access  Private (User)
+const updateProfile = async (req, res) => {
+  try {
+    const { errors, updates } = buildProfileUpdate(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: errors[0],
+        details: errors
+      });
+    }
+
+    const user = req.user;
+    user.set(updates);
+    await user.save();
+
+    console.log(`👤 Profile updated: ${user.email} (${Object.keys(updates).join(', ') || 'no changes'})`);
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: { user: user.getSafeData() }
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: messages[0],
+        details: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not update profile'
+    });
+  }
+};
+
+// @desc    List the user's resume library
+// @route   GET /api/users/resumes
+// @access  Private (User)
+const getResumes = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.ensureResumeLibrary()) {
+      await user.save({ validateBeforeSave: false });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        resumes: user.resumes,
+        limit: MAX_RESUMES
+      }
+    });
+  } catch (error) {
+    console.error('Get resumes error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not retrieve resumes'
+    });
+  }
+};
+
+// @desc    Add a resume to the library (the new version is the default unless makeDefault is false)
+// @route   POST /api/users/resumes (also POST /api/users/upload-resume)
+// @access  Private (User)
+const uploadResume = async (req, res) => {
+  const uploaded = describeUpload(req.file);
+
+  try {
+    const user = await loadResumeOwner(req.user._id);
+    user.ensureResumeLibrary();
+
+    if (user.resumes.length >= MAX_RESUMES) {
+      await removeStoredFile(uploaded);
+      return res.status(400).json({
+        success: false,
+        error: 'Resume limit reached',
+        message: `You can keep at most ${MAX_RESUMES} resumes. Delete one before uploading another.`
+      });
+    }
+
+    const resume = user.addResume(uploaded, {
+      name: req.body.name,
+      makeDefault: req.body.makeDefault !== false && req.body.makeDefault !== 'false'
+    });
+    await user.save();
+
+    queueResumeParsing(user._id, resume._id);
+
+    console.log(`📄 Resume uploaded: ${user.email} (${resume.name})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Resume uploaded successfully',
+      data: {
+        resume: resumeView(resume),
+        resumes: user.resumes.map(resumeView)
+      }
+    });
+  } catch (error) {
+    console.error('Upload resume error:', error);
+    await removeStoredFile(uploaded);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: messages[0],
+        details: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not save resume'
+    });
+  }
+};
+
+// @desc    Rename a resume or make it the default
+// @route   PUT /api/users/resumes/:resumeId
+// @access  Private (User)
+const updateResume = async (req, res) => {
+  try {
+    const { name, isDefault } = req.body;
+    const user = await loadResumeOwner(req.user._id);
+    user.ensureResumeLibrary();
+
+    const resume = user.resumes.id(req.params.resumeId);
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        error: 'Resume not found'
+      });
+    }
+
+    if (name !== undefined) resume.name = name;
+    if (isDefault === true) user.setDefaultResume(resume._id);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Resume updated',
+      data: {
+        resume: resumeView(resume),
+        resumes: user.resumes.map(resumeView)
+      }
+    });
+  } catch (error) {
+    console.error('Update resume error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: messages[0],
+        details: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not update resume'
+    });
+  }
+};
+
+// @desc    Delete a resume from the library
+// @route   DELETE /api/users/resumes/:resumeId
+// @access  Private (User)
+const deleteResume = async (req, res) => {
+  try {
+    const user = await loadResumeOwner(req.user._id);
+    user.ensureResumeLibrary();
+
+    const removed = user.removeResume(req.params.resumeId);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Resume not found'
+      });
+    }
+
+    await user.save({ validateBeforeSave: false });
+
+    // Applications keep the resume they were sent with, so a file one still points at stays
+    if (!(await Application.exists({ 'resume.url': removed.url }))) {
+      await removeStoredFile(removed);
+    }
+
+    console.log(`🗑️ Resume deleted: ${user.email} (${removed.name})`);
+
+    res.json({
+      success: true,
+      message: 'Resume deleted',
+      data: { resumes: user.resumes.map(resumeView) }
+    });
+  } catch (error) {
+    console.error('Delete resume error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not delete resume'
+    });
+  }
+};
+
+// @desc    Parse a resume again (e.g. after it failed or the skill list has grown)
+// @route   POST /api/users/resumes/:resumeId/parse
+// @access  Private (User)
+const reparseResume = async (req, res) => {
+  try {
+    const user = req.user;
+    user.ensureResumeLibrary();
+
+    const resume = user.resumes.id(req.params.resumeId);
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        error: 'Resume not found'
+      });
+    }
+
+    resume.set('parsing', { status: 'pending', attempts: 0 });
+    await user.save({ validateBeforeSave: false });
+
+    queueResumeParsing(user._id, resume._id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Resume queued for parsing',
+      data: { resume }
+    });
+  } catch (error) {
+    console.error('Reparse resume error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not queue resume for parsing'
+    });
+  }
+};
+
+// The resume suggestions are taken from - the one asked for, else the default
+const findSuggestionSource = (user, resumeId) => (
+  resumeId ? user.resumes.id(resumeId) : user.resumes.find(resume => resume.isDefault)
+);
+
+// @desc    Skills and experience detected in a resume that are not on the profile yet
+// @route   GET /api/users/profile/suggestions?resumeId=
+// @access  Private (User)
+const getProfileSuggestions = async (req, res) => {
+  try {
+    const user = req.user;
+
+    // Resumes from before the library get parsed the first time they are asked about
+    if (user.ensureResumeLibrary()) {
+      await user.save({ validateBeforeSave: false });
+      user.resumes.forEach(resume => queueResumeParsing(user._id, resume._id));
+    }
+
+    const resume = findSuggestionSource(user, req.query.resumeId);
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        error: 'Resume not found',
+        message: req.query.resumeId ? 'Resume not found' : 'Upload a resume to get profile suggestions'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        resume: {
+          _id: resume._id,
+          name: resume.name,
+          parsing: {
+            status: resume.parsing.status,
+            parsedAt: resume.parsing.parsedAt,
+            error: resume.parsing.error
+          }
+        },
+        suggestions: buildProfileSuggestions(user, resume)
+      }
+    });
+  } catch (error) {
+    console.error('Get profile suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not retrieve profile suggestions'
+    });
+  }
+};
+
+// @desc    Add suggested skills and/or the suggested experience band to the profile
+// @route   POST /api/users/profile/suggestions/accept
+// @access  Private (User)
+const acceptProfileSuggestions = async (req, res) => {
+  try {
+    const { resumeId, skills, experience } = req.body;
+    const user = req.user;
+
+    if (skills !== undefined && skills !== true && !(Array.isArray(skills) && skills.every(isText))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: 'Skills must be true (accept all) or a list of suggested skills'
+      });
+    }
+
+    const resume = findSuggestionSource(user, resumeId);
+    if (!resume) {
+      return res.status(404).json({
+        success: false,
+        error: 'Resume not found'
+      });
+    }
+
+    const suggestions = buildProfileSuggestions(user, resume);
+    const chosen = Array.isArray(skills) ? new Set(skills.map(skill => skill.trim().toLowerCase())) : null;
+    const acceptedSkills = skills === undefined
+      ? []
+      : suggestions.skills.filter(skill => !chosen || chosen.has(skill.toLowerCase()));
+    const acceptedExperience = experience === true ? suggestions.experience : null;
+
+    if (acceptedSkills.length === 0 && !acceptedExperience) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to accept',
+        message: 'None of the selected suggestions apply to your profile'
+      });
+    }
+
+    const updatedSkills = [...(user.profile?.skills || []), ...acceptedSkills];
+    if (updatedSkills.length > MAX_SKILLS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: `You can list at most ${MAX_SKILLS} skills`
+      });
+    }
+
+    user.set('profile.skills', updatedSkills);
+    if (acceptedExperience) user.set('profile.experience', acceptedExperience);
+    await user.save();
+
+    console.log(`👤 Resume suggestions accepted: ${user.email} (${acceptedSkills.length} skills${acceptedExperience ? ', experience' : ''})`);
+
+    res.json({
+      success: true,
+      message: 'Profile updated from your resume',
+      data: {
+        user: user.getSafeData(),
+        accepted: { skills: acceptedSkills, experience: acceptedExperience },
+        suggestions: buildProfileSuggestions(user, resume)
+      }
+    });
+  } catch (error) {
+    console.error('Accept profile suggestions error:', error);
+
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        message: messages[0],
+        details: messages
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not update profile'
+    });
+  }
+};
+
+// @desc    Upload (or replace) the user's profile photo
+// @route   POST /api/users/upload-photo
+// @access  Private (User)
+const uploadPhoto = async (req, res) => {
+  const { filename, url, uploadDate, storage } = describeUpload(req.file);
+  const uploaded = { filename, url, uploadDate, storage };
+
+  try {
+    const user = req.user;
+    const previous = user.toObject().profile?.profileImage;
+
+    user.set('profile.profileImage', uploaded);
+    await user.save({ validateBeforeSave: false });
+
+    if (previous?.url) {
+      await removeStoredFile(previous);
+    }
+
+    console.log(`🖼️ Profile photo uploaded: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Profile photo uploaded successfully',
+      data: { profileImage: user.profile.profileImage }
+    });
+  } catch (error) {
+    console.error('Upload photo error:', error);
+    await removeStoredFile(uploaded);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not save profile photo'
+    });
+  }
+};
+
+// @desc    Download everything we hold about the signed-in user
+// @route   GET /api/users/me/export
+// @access  Private (User)
+const exportMyData = async (req, res) => {
+  try {
+    const data = await buildUserExport(req.user._id);
+    const filename = `referd-data-export-${new Date().toISOString().slice(0, 10)}.json`;
+
+    console.log(`📦 Data export: user ${req.user.email}`);
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.json(data);
+  } catch (error) {
+    console.error('Export user data error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not export your data'
+    });
+  }
+};
+
+// @desc    Delete the signed-in user's account and anonymise their data
+// @route   DELETE /api/users/me
+// @access  Private (User)
+const deleteMyAccount = async (req, res) => {
+  try {
+    await confirmAccountOwner(req);
+
+    const result = await eraseUser(req.user, { forfeitEarnings: req.body.forfeitEarnings === true });
+
+    clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: 'Your account has been deleted',
+      data: result
+    });
+  } catch (error) {
+    console.error('Delete user account error:', error);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.title,
+        message: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not delete your account'
+    });
+  }
+};
+
+module.exports = {
+  getProfile,
+  updateProfile,
+  getResumes,
+  uploadResume,
+  updateResume,
+  deleteResume,
+  reparseResume,
+  getProfileSuggestions,
+  acceptProfileSuggestions,
+  uploadPhoto,
+  exportMyData,
+  deleteMyAccount
+};
@@ -0,0 +1,250 @@
+// controllers/webhookController.js - Stripe webhook handling
+const mongoose = require('mongoose');
+const Company = require('../models/Company');
+const Payment = require('../models/Payment');
+const Withdrawal = require('../models/Withdrawal');
+const WebhookEvent = require('../models/WebhookEvent');
+const Invoice = require('../models/Invoice');
+const { stripe } = require('../config/stripe');
+const { transitionPayment, releaseIfEligible } = require('../utils/ledger');
+const { markInvoicePaid } = require('../utils/invoicing');
+
+// Stripe subscription statuses mapped onto Company.billing.subscriptionStatus
+const SUBSCRIPTION_STATUS_MAP = {
+  active: 'active',
+  trialing: 'trial',
+  past_due: 'past_due',
+  unpaid: 'past_due',
+  canceled: 'cancelled',
+  incomplete: 'inactive',
+  incomplete_expired: 'cancelled',
+  paused: 'inactive'
+};
+
+// Find the company a Stripe object belongs to
+const findCompanyForObject = async (object) => {
+  const companyId = object.metadata?.companyId;
+  if (companyId && mongoose.Types.ObjectId.isValid(companyId)) {
+    const company = await Company.findById(companyId);
+    if (company) return company;
+  }
+
+  if (object.customer) {
+    return await Company.findOne({ 'billing.stripeCustomerId': object.customer });
+  }
+
+  return null;
+};
+
+// Find the ledger entry a PaymentIntent was collecting
+const findPaymentForIntent = async (intent) => {
+  const paymentId = intent.metadata?.paymentId || intent.metadata?.referralId;
+
+  if (paymentId && mongoose.Types.ObjectId.isValid(paymentId)) {
+    const payment = await Payment.findById(paymentId);
+    if (payment) return payment;
+  }
+
+  return await Payment.findOne({ 'funding.paymentIntentId': intent.id });
+};
+
+const handlePaymentIntentSucceeded = async (intent) => {
+  const payment = await findPaymentForIntent(intent);
+  if (!payment) return false;
+
+  payment.funding.status = 'paid';
+  payment.funding.paymentIntentId = intent.id;
+  payment.funding.paidAt = new Date();
+  payment.funding.failureReason = undefined;
+  await payment.save();
+
+  // The company has paid the fee - release it if the guarantee period is also over
+  await releaseIfEligible(payment);
+
+  return true;
+};
+
+const handlePaymentIntentFailed = async (intent) => {
+  const payment = await findPaymentForIntent(intent);
+  if (!payment) return false;
+
+  payment.funding.status = 'failed';
+  payment.funding.paymentIntentId = intent.id;
+  payment.funding.failureReason = intent.last_payment_error?.message || 'Payment failed';
+  await payment.save();
+
+  return true;
+};
+
+const handleInvoicePaid = async (invoice) => {
+  // Referral fee invoices raised by utils/invoicing.js
+  const invoiceId = invoice.metadata?.invoiceId;
+  const feeInvoice = invoiceId && mongoose.Types.ObjectId.isValid(invoiceId)
+    ? await Invoice.findById(invoiceId)
+    : await Invoice.findOne({ stripeInvoiceId: invoice.id });
+  if (feeInvoice) {
+    await markInvoicePaid(feeInvoice);
+  }
+
+  const company = await findCompanyForObject(invoice);
+  if (!company) return !!feeInvoice;
+
+  company.billing.lastPaymentAt = new Date();
+  if (invoice.subscription) {
+    company.billing.stripeSubscriptionId = invoice.subscription;
+    company.billing.subscriptionStatus = 'active';
+  }
+  await company.save({ validateBeforeSave: false });
+
+  return true;
+};
+
+const handleSubscriptionChange = async (subscription, deleted = false) => {
+  const company = await findCompanyForObject(subscription);
+  if (!company) return false;
+
+  company.billing.stripeSubscriptionId = subscription.id;
+  company.billing.subscriptionStatus = deleted
+    ? 'cancelled'
+    : SUBSCRIPTION_STATUS_MAP[subscription.status] || 'inactive';
+  if (subscription.current_period_end) {
+    company.billing.currentPeriodEnd = new Date(subscription.current_period_end * 1000);
+  }
+
+  const plan = subscription.metadata?.plan;
+  if (!deleted && ['basic', 'professional', 'enterprise'].includes(plan)) {
+    company.billing.subscriptionPlan = plan;
+  }
+
+  await company.save({ validateBeforeSave: false });
+
+  return true;
+};
+
+const findWithdrawalForTransfer = async (transfer) => {
+  const withdrawalId = transfer.metadata?.withdrawalId;
+  if (withdrawalId && mongoose.Types.ObjectId.isValid(withdrawalId)) {
+    const withdrawal = await Withdrawal.findById(withdrawalId);
+    if (withdrawal) return withdrawal;
+  }
+
+  return await Withdrawal.findOne({ stripeTransferId: transfer.id });
+};
+
+const handleTransferCreated = async (transfer) => {
+  const withdrawal = await findWithdrawalForTransfer(transfer);
+  if (!withdrawal) return false;
+
+  if (!withdrawal.stripeTransferId) {
+    withdrawal.stripeTransferId = transfer.id;
+    await withdrawal.save();
+  }
+
+  return true;
+};
+
+// A reversed payout puts the referrer's earnings back into their withdrawable balance
+const handleTransferReversed = async (transfer) => {
+  const withdrawal = await findWithdrawalForTransfer(transfer);
+  if (!withdrawal || withdrawal.status === 'reversed') return false;
+
+  withdrawal.status = 'reversed';
+  withdrawal.reversedAt = new Date();
+  await withdrawal.save();
+
+  const payments = await Payment.find({ _id: { $in: withdrawal.payments }, status: 'paid' });
+  for (const payment of payments) {
+    await transitionPayment(payment, 'failed', { note: `Stripe transfer ${transfer.id} reversed` });
+    await transitionPayment(payment, 'approved', { note: 'Returned to available balance' });
+  }
+
+  return true;
+};
+
+const EVENT_HANDLERS = {
+  'payment_intent.succeeded': handlePaymentIntentSucceeded,
+  'payment_intent.payment_failed': handlePaymentIntentFailed,
+  'invoice.paid': handleInvoicePaid,
+  'customer.subscription.created': (subscription) => handleSubscriptionChange(subscription),
+  'customer.subscription.updated': (subscription) => handleSubscriptionChange(subscription),
+  'customer.subscription.deleted': (subscription) => handleSubscriptionChange(subscription, true),
+  'transfer.created': handleTransferCreated,
+  'transfer.reversed': handleTransferReversed
+};
+
+// @desc    Receive Stripe webhook events
+// @route   POST /api/webhooks/stripe
+// @access  Public (Stripe signature required)
+const handleStripeWebhook = async (req, res) => {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+
+  if (!stripe || !secret) {
+    console.error('❌ Stripe webhook received but Stripe is not configured');
+    return res.status(503).json({
+      success: false,
+      error: 'Webhooks not configured'
+    });
+  }
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(
+      req.rawBody,
+      req.headers['stripe-signature'],
+      secret
+    );
+  } catch (error) {
+    console.error('❌ Stripe webhook signature verification failed:', error.message);
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid signature',
+      message: 'Webhook signature verification failed'
+    });
+  }
+
+  let record;
+  try {
+    record = await WebhookEvent.claim(event);
+  } catch (error) {
+    console.error('Webhook event storage error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+
+  if (!record) {
+    return res.json({ received: true, duplicate: true });
+  }
+
+  const handler = EVENT_HANDLERS[event.type];
+
+  try {
+    const handled = handler ? await handler(event.data.object) : false;
+
+    record.status = handled ? 'processed' : 'ignored';
+    record.processedAt = new Date();
+    await record.save();
+
+    console.log(`🔔 Stripe webhook ${event.type} (${event.id}): ${record.status}`);
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error(`Stripe webhook ${event.type} error:`, error);
+
+    record.status = 'failed';
+    record.error = error.message;
+    await record.save().catch(() => {});
+
+    // Non-2xx makes Stripe retry the delivery
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not process webhook event'
+    });
+  }
+};
+
+module.exports = {
+  handleStripeWebhook
+};
@@ -0,0 +1,41 @@
+// create-admin.js - Create (or reset the password of) a platform admin
+// Usage: node create-admin.js <email> <firstName> <lastName>
+// The password is read from ADMIN_PASSWORD so it never ends up in shell history.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Admin = require('./models/Admin');
+
+const createAdmin = async () => {
+  const [email, firstName, lastName] = process.argv.slice(2);
+  const password = process.env.ADMIN_PASSWORD;
+
+  if (!email || !firstName || !lastName || !password) {
+    console.error('❌ Usage: ADMIN_PASSWORD=... node create-admin.js <email> <firstName> <lastName>');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    let admin = await Admin.findOne({ email: email.toLowerCase() });
+
+    if (admin) {
+      admin.password = password;
+      admin.isActive = true;
+      await admin.save();
+      console.log(`✅ Admin password reset: ${admin.email}`);
+    } else {
+      admin = await Admin.create({ email, firstName, lastName, password });
+      console.log(`✅ Admin created: ${admin.email}`);
+    }
+
+    console.log('   Log in with POST /api/auth/login and "userType": "admin"');
+  } catch (error) {
+    console.error('❌ Could not create admin:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+createAdmin();
@@ -1,20 +1,106 @@
 // middleware/auth.js - ADD DEBUG LOGGING TO YOUR EXISTING AUTH MIDDLEWARE
 
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
 const Company = require('../models/Company');
+const CompanyMember = require('../models/CompanyMember');
+const Admin = require('../models/Admin');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { isValidCsrfRequest } = require('../utils/csrf');
 
-// @desc  Protect routes
-const auth = async (req, res, next) => {
-  let token;
+const ACCOUNT_MODELS = { User, Company, CompanyMember, Admin };
 
-  // Get token from header
+// Extract the access token - the Authorization header wins, then the httpOnly cookie
+const getTokenFromRequest = (req) => {
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
+    return { token: req.headers.authorization.split(' ')[1], fromCookie: false };
   }
+  if (req.cookies?.token && req.cookies.token !== 'none') {
+    return { token: req.cookies.token, fromCookie: true };
+  }
+  return { token: null, fromCookie: false };
+};
+
+// Find the account for a decoded token. The token's session must still be active,
+// and tokens issued before a password change are ignored.
+const findAccountForToken = async (decoded) => {
+  if (!decoded.sid) return null;
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive || session.accountId.toString() !== decoded.id) return null;
+
+  const account = await ACCOUNT_MODELS[session.accountModel].findById(decoded.id);
+  if (!account || account.changedPasswordAfter(decoded.iat)) return null;
+  return account;
+};
+
+/**
+ * Work out the request context for a signed-in account. A team member is resolved
+ * to their company, so company routes keep working with req.user; the member and
+ * their role are exposed as req.member and req.companyRole.
+ * Returns { context } to merge into req, or { denied } with an error response.
+ */
+const resolveAccountContext = async (account, decoded, req) => {
+  const context = {
+    account,
+    sessionId: decoded.sid,
+    actor: {
+      id: account._id,
+      model: account.constructor.modelName,
+      name: account.fullName || account.contactPersonName || account.companyName
+    }
+  };
+
+  if (!(account instanceof CompanyMember)) {
+    return {
+      context: {
+        ...context,
+        user: account,
+        userType: account.userType,
+        ...(account.userType === 'company' && { companyRole: 'owner' })
+      }
+    };
+  }
+
+  const company = await Company.findById(account.companyId);
+  if (!account.isActive || !company || !company.isActive || company.isBlocked) {
+    return { denied: { status: 401, body: { success: false, message: 'Your team access has been suspended' } } };
+  }
+
+  // Members must enrol in 2FA when their company requires it - only the auth routes stay open
+  if (company.security?.requireTwoFactor && !account.twoFactor?.enabled && !req.originalUrl.startsWith('/api/auth/')) {
+    return {
+      denied: {
+        status: 403,
+        body: {
+          success: false,
+          error: 'Two-factor required',
+          message: 'Your company requires two-factor authentication. Set it up to continue.',
+          code: 'TWO_FACTOR_SETUP_REQUIRED'
+        }
+      }
+    };
+  }
+
+  return {
+    context: {
+      ...context,
+      user: company,
+      userType: 'company',
+      member: account,
+      companyRole: account.role
+    }
+  };
+};
+
+// @desc  Protect routes
+const auth = async (req, res, next) => {
+  const { token, fromCookie } = getTokenFromRequest(req);
 
   console.log('🔐 AUTH MIDDLEWARE DEBUG:');
-  console.log('   Token exists:', !!token);
+  console.log('   Token exists:', !!token, fromCookie ? '(cookie)' : '');
   console.log('   Token preview:', token ? token.substring(0, 20) + '...' : 'No token');
 
   // Make sure token exists
@@ -26,17 +112,21 @@ const auth = async (req, res, next) => {
     });
   }
 
+  if (ApiKey.isApiKey(token)) {
+    console.log('❌ API key used on a route that does not accept them');
+    return res.status(401).json({
+      success: false,
+      message: 'API keys cannot be used for this route'
+    });
+  }
+
   try {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret_key');
     console.log('   Decoded token user ID:', decoded.id);
 
     // Try to find user first, then company
-    let currentUser = await User.findById(decoded.id);
-    
-    if (!currentUser) {
-      currentUser = await Company.findById(decoded.id);
-    }
+    const currentUser = await findAccountForToken(decoded);
 
     if (!currentUser) {
       console.log('❌ No user found with token ID:', decoded.id);
@@ -53,8 +143,24 @@ const auth = async (req, res, next) => {
       companyName: currentUser.companyName || 'N/A'
     });
 
-    req.user = currentUser;
-    req.userType = currentUser.userType;
+    // Browsers send cookies on cross-site requests, so those need the CSRF header too
+    if (fromCookie && !isValidCsrfRequest(req, decoded.sid)) {
+      console.log('❌ Missing or invalid CSRF token');
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid CSRF token',
+        message: 'Missing or invalid X-CSRF-Token header',
+        code: 'CSRF_TOKEN_INVALID'
+      });
+    }
+
+    const { context, denied } = await resolveAccountContext(currentUser, decoded, req);
+    if (denied) {
+      console.log('❌ Account access denied:', denied.body.message);
+      return res.status(denied.status).json(denied.body);
+    }
+
+    Object.assign(req, context);
     
     next();
   } catch (error) {
@@ -66,6 +172,102 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Per-key request budget (each key carries its own limit)
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: (req) => req.apiKey.rateLimitPerMinute,
+  keyGenerator: (req) => req.apiKey._id.toString(),
+  message: {
+    success: false,
+    error: 'Rate limit exceeded',
+    message: 'Too many requests for this API key, please slow down.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Read an API key from X-API-Key, or from a Bearer credential that is one
+const getApiKeyFromRequest = (req) => {
+  if (req.headers['x-api-key']) return req.headers['x-api-key'];
+
+  const { token, fromCookie } = getTokenFromRequest(req);
+  return !fromCookie && ApiKey.isApiKey(token) ? token : null;
+};
+
+// @desc  Protect routes integrations may call: accepts a company API key with the
+//        given scope, otherwise behaves exactly like auth
+const authOrApiKey = (scope) => async (req, res, next) => {
+  const key = getApiKeyFromRequest(req);
+  if (!key) return auth(req, res, next);
+
+  try {
+    const apiKey = await ApiKey.findByKey(key);
+
+    if (!apiKey) {
+      console.log('❌ Invalid or revoked API key');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or revoked API key'
+      });
+    }
+
+    if (!apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient scope',
+        message: `This API key does not have the ${scope} scope`
+      });
+    }
+
+    const company = await Company.findById(apiKey.companyId);
+    if (!company || !company.isActive || company.isBlocked) {
+      return res.status(401).json({
+        success: false,
+        message: 'Company account is not available'
+      });
+    }
+
+    req.user = company;
+    req.userType = 'company';
+    req.apiKey = apiKey;
+    req.actor = { id: apiKey._id, model: 'ApiKey', name: `API key "${apiKey.name}"` };
+
+    await apiKey.touch(req.ip);
+
+    console.log(`🔑 API key ${apiKey.keyId} (${company.companyName}) → ${req.method} ${req.originalUrl}`);
+
+    apiKeyLimiter(req, res, next);
+  } catch (error) {
+    console.error('❌ API key auth error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error during authentication'
+    });
+  }
+};
+
+// @desc  Attach the current user when a valid token is sent, but allow anonymous access
+const optionalAuth = async (req, res, next) => {
+  const { token, fromCookie } = getTokenFromRequest(req);
+
+  if (!token) return next();
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret_key');
+    const currentUser = await findAccountForToken(decoded);
+
+    if (currentUser && (!fromCookie || isValidCsrfRequest(req, decoded.sid))) {
+      const { context } = await resolveAccountContext(currentUser, decoded, req);
+      if (context) Object.assign(req, context);
+    }
+  } catch (error) {
+    // Invalid tokens are treated as anonymous on optional routes
+    console.log('⚠️ Optional auth ignored invalid token:', error.message);
+  }
+
+  next();
+};
+
 // @desc  Grant access to specific user types
 const requireUser = (req, res, next) => {
   console.log('👤 REQUIRE USER MIDDLEWARE:');
@@ -105,8 +307,43 @@ const requireCompany = (req, res, next) => {
   next();
 };
 
+// @desc  Grant access to platform administrators only
+const requireAdmin = (req, res, next) => {
+  if (req.userType !== 'admin' || !req.user?.isActive) {
+    console.log('❌ Access denied - not an admin');
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied',
+      message: 'Only administrators can access this resource'
+    });
+  }
+
+  next();
+};
+
+// @desc  Grant access to company team roles (use after requireCompany)
+const requireCompanyRole = (...roles) => (req, res, next) => {
+  // API keys are limited by their scopes instead
+  if (req.apiKey) return next();
+
+  if (!roles.includes(req.companyRole)) {
+    console.log('❌ Access denied - company role:', req.companyRole);
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied',
+      message: `Your team role (${(req.companyRole || 'none').replace('_', ' ')}) cannot perform this action`
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   auth,
+  authOrApiKey,
+  optionalAuth,
   requireUser,
-  requireCompany
+  requireCompany,
+  requireCompanyRole,
+  requireAdmin
 };
\ No newline at end of file
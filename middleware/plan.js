@@ -0,0 +1,31 @@
+// middleware/plan.js - Subscription plan feature gates
+const { getPlan } = require('../config/plans');
+const { hasPlanFeature } = require('../utils/planUsage');
+
+// Only allow companies whose plan includes the feature (use after requireCompany)
+const requirePlanFeature = (feature) => (req, res, next) => {
+  if (!hasPlanFeature(req.user, feature)) {
+    const plan = getPlan(req.user);
+    return res.status(403).json({
+      success: false,
+      error: 'Plan upgrade required',
+      message: `Your ${plan.name} plan does not include ${feature}. Upgrade your plan to access it.`,
+      code: 'PLAN_FEATURE_UNAVAILABLE'
+    });
+  }
+
+  if (!req.user.isSubscriptionActive) {
+    return res.status(402).json({
+      success: false,
+      error: 'Subscription inactive',
+      message: 'Your subscription is not active. Update your billing details to continue.',
+      code: 'SUBSCRIPTION_INACTIVE'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requirePlanFeature
+};
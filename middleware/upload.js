@@ -0,0 +1,65 @@
+// middleware/upload.js - Single-file uploads through the storage factories in config/cloudinary.js
+const multer = require('multer');
+const { resumeUpload, profileUpload } = require('../config/cloudinary');
+const { describeUpload, removeStoredFile } = require('../utils/fileStorage');
+
+// The factories check Cloudinary before choosing a storage, so each is built once, on first use
+const lazy = (factory) => {
+  let uploader;
+  return () => (uploader = uploader || factory());
+};
+
+const UPLOADERS = {
+  resume: lazy(resumeUpload),
+  profileImage: lazy(profileUpload)
+};
+
+// @desc  Accept one file in the given form field; bad files get a 400, and so do
+//        missing ones unless the file is optional (JSON requests pass straight through)
+const uploadSingle = (kind, field, { optional = false } = {}) => async (req, res, next) => {
+  try {
+    const upload = await UPLOADERS[kind]();
+
+    upload.single(field)(req, res, (error) => {
+      if (error) {
+        const message = error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE'
+          ? 'File is too large'
+          : error.message;
+
+        return res.status(400).json({
+          success: false,
+          error: 'Upload failed',
+          message
+        });
+      }
+
+      if (!req.file && !optional) {
+        return res.status(400).json({
+          success: false,
+          error: 'No file uploaded',
+          message: `Please attach a file in the "${field}" field`
+        });
+      }
+
+      next();
+    });
+  } catch (error) {
+    console.error('❌ Upload middleware error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: 'Could not process the upload'
+    });
+  }
+};
+
+// Remove a file accepted for a request that ends up being rejected
+const discardUpload = (req) => {
+  if (!req.file) return Promise.resolve(false);
+  return removeStoredFile(describeUpload(req.file));
+};
+
+module.exports = {
+  uploadSingle,
+  discardUpload
+};
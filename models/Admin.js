@@ -0,0 +1,114 @@
+// models/Admin.js - Platform administrators (Refer'd staff)
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const twoFactorPlugin = require('./plugins/twoFactor');
+const loginSecurityPlugin = require('./plugins/loginSecurity');
+
+const adminSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please enter a valid email address'
+    ]
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [12, 'Admin passwords must be at least 12 characters'],
+    select: false
+  },
+  firstName: {
+    type: String,
+    required: [true, 'First name is required'],
+    trim: true
+  },
+  lastName: {
+    type: String,
+    required: [true, 'Last name is required'],
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  passwordChangedAt: Date,
+  lastLogin: Date,
+  loginCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for full name
+adminSchema.virtual('fullName').get(function() {
+  return `${this.firstName} ${this.lastName}`;
+});
+
+adminSchema.virtual('userType').get(function() {
+  return 'admin';
+});
+
+// Pre-save middleware to hash password
+adminSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      // Backdate a second so a token issued straight after the change stays valid
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Method to compare password
+adminSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!candidatePassword) return false;
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Method to check if the password changed after a token was issued
+adminSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Method to update login info
+adminSchema.methods.updateLoginInfo = function() {
+  this.lastLogin = new Date();
+  this.loginCount += 1;
+  return this.save({ validateBeforeSave: false });
+};
+
+// Method to get safe admin data
+adminSchema.methods.getSafeData = function() {
+  const adminObject = this.toObject();
+
+  delete adminObject.password;
+  if (adminObject.twoFactor) {
+    delete adminObject.twoFactor.secret;
+    delete adminObject.twoFactor.pendingSecret;
+    delete adminObject.twoFactor.recoveryCodes;
+    delete adminObject.twoFactor.lastUsedStep;
+  }
+
+  return adminObject;
+};
+
+adminSchema.plugin(twoFactorPlugin);
+adminSchema.plugin(loginSecurityPlugin);
+
+module.exports = mongoose.model('Admin', adminSchema);
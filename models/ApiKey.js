@@ -0,0 +1,136 @@
+// models/ApiKey.js - Company-issued API keys for ATS / HR integrations
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'rfd_';
+const API_KEY_SCOPES = ['jobs:read', 'jobs:write', 'applications:read', 'applications:write'];
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const apiKeySchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Key name cannot exceed 100 characters']
+  },
+
+  // Public part of the key, used to look it up and to show which key is which
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  secretHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: API_KEY_SCOPES,
+        message: 'Scope must be one of: ' + API_KEY_SCOPES.join(', ')
+      }
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  rateLimitPerMinute: {
+    type: Number,
+    default: 60,
+    min: [1, 'Rate limit must be at least 1 request per minute'],
+    max: [600, 'Rate limit cannot exceed 600 requests per minute']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'createdByModel'
+  },
+  createdByModel: {
+    type: String,
+    enum: ['Company', 'CompanyMember']
+  },
+
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  expiresAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Virtual for the masked key shown in listings
+apiKeySchema.virtual('maskedKey').get(function() {
+  return `${KEY_PREFIX}${this.keyId}_••••••••`;
+});
+
+// Static method to check whether a credential looks like one of our keys
+apiKeySchema.statics.isApiKey = function(value) {
+  return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+};
+
+// Static method to issue a key. The full key is only ever returned here.
+apiKeySchema.statics.issue = async function(companyId, { name, scopes, rateLimitPerMinute, expiresAt, createdBy, createdByModel }) {
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  const apiKey = await this.create({
+    companyId,
+    name,
+    keyId,
+    secretHash: hashSecret(secret),
+    scopes: [...new Set(scopes)],
+    rateLimitPerMinute,
+    expiresAt,
+    createdBy,
+    createdByModel
+  });
+
+  return { apiKey, key: `${KEY_PREFIX}${keyId}_${secret}` };
+};
+
+// Static method to find the active key for a presented credential
+apiKeySchema.statics.findByKey = async function(key) {
+  const match = /^rfd_([a-f0-9]{12})_([a-f0-9]{64})$/.exec(key || '');
+  if (!match) return null;
+
+  const apiKey = await this.findOne({ keyId: match[1] }).select('+secretHash');
+  if (!apiKey || !apiKey.isActive) return null;
+
+  const expected = Buffer.from(apiKey.secretHash);
+  const presented = Buffer.from(hashSecret(match[2]));
+  if (!crypto.timingSafeEqual(expected, presented)) return null;
+
+  return apiKey;
+};
+
+// Method to record use - throttled to one write a minute per key
+apiKeySchema.methods.touch = function(ipAddress) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < 60 * 1000) return Promise.resolve();
+
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress } }
+  );
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
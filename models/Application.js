@@ -40,17 +40,47 @@ const applicationSchema = new mongoose.Schema({
     index: true
   },
   
+  // Why the referrer above was credited
+  referralAttribution: {
+    model: {
+      type: String,
+      enum: ['first_touch', 'last_touch']
+    },
+    windowDays: Number,
+    touchpointId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReferralClick'
+    },
+    touchpointSource: {
+      type: String,
+      enum: ['click', 'view', 'application']
+    },
+    touchedAt: Date,
+    touchpointCount: {
+      type: Number,
+      default: 0
+    },
+    reason: String
+  },
+  
   // Application content
   coverLetter: {
     type: String,
     maxlength: [2000, 'Cover letter cannot exceed 2000 characters']
   },
   resume: {
+    // Library version it came from (none for a one-off upload)
+    resumeId: mongoose.Schema.Types.ObjectId,
+    name: String,
     filename: String,
     originalName: String,
     fileSize: Number,
     uploadDate: Date,
-    url: String
+    url: String,
+    storage: {
+      type: String,
+      enum: ['cloudinary', 'local']
+    }
   },
   
   // Custom question responses
@@ -101,7 +131,7 @@ const applicationSchema = new mongoose.Schema({
     },
     updatedByModel: {
       type: String,
-      enum: ['User', 'Company']
+      enum: ['User', 'Company', 'CompanyMember', 'ApiKey']
     }
   }],
   
@@ -150,6 +180,15 @@ const applicationSchema = new mongoose.Schema({
       strengths: [String],
       concerns: [String]
     },
+    // Company account or team member who booked it
+    scheduledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'interviews.scheduledByModel'
+    },
+    scheduledByModel: {
+      type: String,
+      enum: ['Company', 'CompanyMember', 'ApiKey']
+    },
     createdAt: {
       type: Date,
       default: Date.now
@@ -224,14 +263,86 @@ const applicationSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['pending', 'processing', 'paid', 'failed'],
+      enum: ['pending', 'held', 'approved', 'processing', 'paid', 'failed', 'reversed'],
       default: 'pending'
     },
+    paymentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
     paidAt: Date,
     paymentReference: String,
     notes: String
   },
   
+  // Early leaver report (drives referral fee clawback)
+  departure: {
+    date: Date,
+    reason: String,
+    reportedAt: Date,
+    reportedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'departure.reportedByModel'
+    },
+    reportedByModel: {
+      type: String,
+      enum: ['Company', 'CompanyMember']
+    },
+    withinGuarantee: Boolean,
+    // What happened to the invoice the fee was billed on ('void_failed' needs voiding by hand)
+    invoiceAction: {
+      type: String,
+      enum: ['none', 'voided', 'credit_required', 'void_failed']
+    }
+  },
+  
+  // Referral fraud scoring and review
+  fraudReview: {
+    score: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    },
+    level: {
+      type: String,
+      enum: ['low', 'medium', 'high'],
+      default: 'low'
+    },
+    signals: [{
+      code: String,
+      weight: Number,
+      detail: String
+    }],
+    status: {
+      type: String,
+      enum: {
+        values: [
+          'clear',     // Below the review threshold
+          'flagged',   // Awaiting review - payment held
+          'approved',  // Reviewed and cleared
+          'rejected'   // Reviewed and confirmed fraudulent
+        ],
+        message: 'Invalid fraud review status'
+      },
+      default: 'clear'
+    },
+    checkedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'fraudReview.reviewedByModel'
+    },
+    reviewedByModel: {
+      type: String,
+      enum: ['Company', 'CompanyMember']
+    },
+    reviewNote: {
+      type: String,
+      maxlength: [500, 'Review note cannot exceed 500 characters']
+    }
+  },
+  
   // Application metadata
   applicationSource: {
     type: String,
@@ -302,6 +413,9 @@ const applicationSchema = new mongoose.Schema({
     }
   },
   
+  // Set when the applicant erased their account and their content was removed
+  anonymisedAt: Date,
+  
   // Internal notes (not visible to applicant)
   internalNotes: {
     type: String,
@@ -321,6 +435,8 @@ applicationSchema.index({ referredBy: 1, status: 1 });
 applicationSchema.index({ status: 1, createdAt: -1 });
 applicationSchema.index({ 'tracking.appliedAt': -1 });
 applicationSchema.index({ referralCode: 1, status: 1 });
+applicationSchema.index({ referralCode: 1, createdAt: -1 });
+applicationSchema.index({ companyId: 1, 'fraudReview.status': 1 });
 
 // Virtual for days since application
 applicationSchema.virtual('daysSinceApplied').get(function() {
@@ -356,17 +472,7 @@ applicationSchema.pre('save', function(next) {
     });
   }
   
-  // Set referral payment eligibility when hired
-  if (this.isModified('status') && this.status === 'hired' && this.isReferral) {
-    this.referralPayment.isEligible = true;
-    this.referralPayment.status = 'pending';
-    
-    // Set amount from job (we'll populate this from job data)
-    if (this.populated('jobId') && this.jobId.referralFee) {
-      this.referralPayment.amount = this.jobId.referralFee;
-      this.referralPayment.currency = this.jobId.referralFeeCurrency || 'GBP';
-    }
-  }
+  // Referral payment eligibility is owned by the payout ledger (utils/ledger.js)
   
   next();
 });
@@ -2,6 +2,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const twoFactorPlugin = require('./plugins/twoFactor');
+const loginSecurityPlugin = require('./plugins/loginSecurity');
 
 const companySchema = new mongoose.Schema({
   // Company authentication
@@ -221,11 +223,19 @@ const companySchema = new mongoose.Schema({
   // Billing and subscription information
   billing: {
     stripeCustomerId: String,
+    stripeSubscriptionId: String,
     subscriptionStatus: {
       type: String,
-      enum: ['active', 'inactive', 'trial', 'cancelled'],
+      enum: ['active', 'inactive', 'trial', 'past_due', 'cancelled'],
       default: 'trial'
     },
+    currentPeriodEnd: Date,
+    lastPaymentAt: Date,
+    invoicingMode: {
+      type: String,
+      enum: ['per_hire', 'monthly'],
+      default: 'per_hire'
+    },
     subscriptionPlan: {
       type: String,
       enum: ['basic', 'professional', 'enterprise'],
@@ -287,7 +297,39 @@ const companySchema = new mongoose.Schema({
       max: 100
     }
   },
-  
+
+  // Referral attribution rules
+  referralSettings: {
+    attributionWindowDays: {
+      type: Number,
+      default: 30,
+      min: [1, 'Attribution window must be at least 1 day'],
+      max: [365, 'Attribution window cannot exceed 365 days']
+    },
+    attributionModel: {
+      type: String,
+      enum: {
+        values: ['first_touch', 'last_touch'],
+        message: 'Attribution model must be first_touch or last_touch'
+      },
+      default: 'last_touch'
+    },
+    guaranteePeriodDays: {
+      type: Number,
+      default: 90,
+      min: [0, 'Guarantee period cannot be negative'],
+      max: [365, 'Guarantee period cannot exceed 365 days']
+    }
+  },
+
+  // Security policy for the company account and its team
+  security: {
+    requireTwoFactor: {
+      type: Boolean,
+      default: false
+    }
+  },
+
   // Account verification and security
   emailVerified: {
     type: Boolean,
@@ -311,6 +353,8 @@ const companySchema = new mongoose.Schema({
     type: Date,
     select: false
   },
+  // Tokens issued before this are no longer accepted
+  passwordChangedAt: Date,
   
   // Account status
   isActive: {
@@ -325,6 +369,8 @@ const companySchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set when the account is erased - the record is kept, anonymised, for invoices and the ledger
+  deletedAt: Date,
   
   // Login tracking
   lastLogin: Date,
@@ -391,6 +437,10 @@ companySchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      // Backdate a second so a token issued straight after the change stays valid
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -436,6 +486,12 @@ companySchema.methods.generatePasswordResetToken = function() {
   return token;
 };
 
+// Method to check if the password changed after a token was issued
+companySchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
 // Method to update login info
 companySchema.methods.updateLoginInfo = function() {
   this.lastLogin = new Date();
@@ -466,6 +522,12 @@ companySchema.methods.getSafeData = function() {
   delete companyObject.emailVerificationExpire;
   delete companyObject.resetPasswordToken;
   delete companyObject.resetPasswordExpire;
+  if (companyObject.twoFactor) {
+    delete companyObject.twoFactor.secret;
+    delete companyObject.twoFactor.pendingSecret;
+    delete companyObject.twoFactor.recoveryCodes;
+    delete companyObject.twoFactor.lastUsedStep;
+  }
   if (companyObject.billing) {
     delete companyObject.billing.stripeCustomerId;
     delete companyObject.billing.paymentMethods;
@@ -552,4 +614,8 @@ companySchema.statics.validateRegistrationData = function(data) {
   };
 };
 
+// Optional TOTP two-factor authentication
+companySchema.plugin(twoFactorPlugin);
+companySchema.plugin(loginSecurityPlugin);
+
 module.exports = mongoose.model('Company', companySchema);
\ No newline at end of file
@@ -0,0 +1,231 @@
+// models/CompanyMember.js - Team seats: individual logins that act on behalf of a company
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const twoFactorPlugin = require('./plugins/twoFactor');
+const loginSecurityPlugin = require('./plugins/loginSecurity');
+const { COMPANY_ROLES } = require('../config/companyRoles');
+
+const INVITE_EXPIRE_DAYS = parseInt(process.env.TEAM_INVITE_EXPIRE_DAYS) || 7;
+
+const companyMemberSchema = new mongoose.Schema({
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company ID is required'],
+    index: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+      'Please enter a valid email address'
+    ]
+  },
+  firstName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'First name cannot exceed 50 characters']
+  },
+  lastName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Last name cannot exceed 50 characters']
+  },
+  position: {
+    type: String,
+    trim: true
+  },
+  // Set when the invitation is accepted
+  password: {
+    type: String,
+    minlength: [8, 'Password must be at least 8 characters'],
+    validate: {
+      validator: function(password) {
+        return /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,}$/.test(password);
+      },
+      message: 'Password must contain at least one uppercase letter, one lowercase letter, and one number'
+    },
+    select: false
+  },
+  role: {
+    type: String,
+    enum: {
+      values: COMPANY_ROLES,
+      message: 'Role must be one of: ' + COMPANY_ROLES.join(', ')
+    },
+    required: [true, 'Role is required']
+  },
+  status: {
+    type: String,
+    enum: ['invited', 'active', 'suspended', 'removed'],
+    default: 'invited',
+    index: true
+  },
+
+  // Invitation
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'invitedByModel'
+  },
+  invitedByModel: {
+    type: String,
+    enum: ['Company', 'CompanyMember']
+  },
+  inviteToken: {
+    type: String,
+    select: false
+  },
+  inviteExpire: Date,
+  invitedAt: Date,
+  acceptedAt: Date,
+  removedAt: Date,
+
+  // Password reset
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: Date,
+  lastLogin: Date,
+  loginCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+companyMemberSchema.index({ companyId: 1, status: 1 });
+
+// Virtual for full name
+companyMemberSchema.virtual('fullName').get(function() {
+  return [this.firstName, this.lastName].filter(Boolean).join(' ') || this.email;
+});
+
+// Members act as the company they belong to
+companyMemberSchema.virtual('userType').get(function() {
+  return 'company_member';
+});
+
+// Only active members can sign in
+companyMemberSchema.virtual('isActive').get(function() {
+  return this.status === 'active';
+});
+
+// Pre-save middleware to hash password
+companyMemberSchema.pre('save', async function(next) {
+  if (!this.isModified('password') || !this.password) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.password = await bcrypt.hash(this.password, salt);
+    if (this.acceptedAt && !this.isModified('acceptedAt')) {
+      // Backdate a second so a token issued straight after the change stays valid
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Method to compare password
+companyMemberSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!candidatePassword || !this.password) return false;
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Method to generate an invitation token (stored hashed)
+companyMemberSchema.methods.generateInviteToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.inviteToken = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+
+  this.invitedAt = new Date();
+  this.inviteExpire = Date.now() + INVITE_EXPIRE_DAYS * 24 * 60 * 60 * 1000;
+
+  return token;
+};
+
+// Method to generate password reset token
+companyMemberSchema.methods.generatePasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+
+  this.resetPasswordExpire = Date.now() + 60 * 60 * 1000; // 1 hour
+
+  return token;
+};
+
+// Method to check if the password changed after a token was issued
+companyMemberSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Method to update login info
+companyMemberSchema.methods.updateLoginInfo = function() {
+  this.lastLogin = new Date();
+  this.loginCount += 1;
+  return this.save({ validateBeforeSave: false });
+};
+
+// Method to get safe member data
+companyMemberSchema.methods.getSafeData = function() {
+  const memberObject = this.toObject();
+
+  delete memberObject.password;
+  delete memberObject.inviteToken;
+  delete memberObject.resetPasswordToken;
+  delete memberObject.resetPasswordExpire;
+  if (memberObject.twoFactor) {
+    delete memberObject.twoFactor.secret;
+    delete memberObject.twoFactor.pendingSecret;
+    delete memberObject.twoFactor.recoveryCodes;
+    delete memberObject.twoFactor.lastUsedStep;
+  }
+
+  return memberObject;
+};
+
+// Static method to find a pending invitation by its (unhashed) token
+companyMemberSchema.statics.findByInviteToken = function(token) {
+  const hashedToken = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+
+  return this.findOne({
+    inviteToken: hashedToken,
+    inviteExpire: { $gt: Date.now() },
+    status: 'invited'
+  });
+};
+
+// Static method to count the seats a company is using (pending invites hold a seat)
+companyMemberSchema.statics.countSeats = function(companyId) {
+  return this.countDocuments({ companyId, status: { $in: ['invited', 'active', 'suspended'] } });
+};
+
+companyMemberSchema.plugin(twoFactorPlugin);
+companyMemberSchema.plugin(loginSecurityPlugin);
+
+module.exports = mongoose.model('CompanyMember', companyMemberSchema);
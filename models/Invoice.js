@@ -0,0 +1,148 @@
+// models/Invoice.js - Company invoices for referral and platform fees
+const mongoose = require('mongoose');
+
+const lineItemSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['referral_fee', 'platform_fee'],
+    required: true
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application'
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  quantity: {
+    type: Number,
+    default: 1
+  },
+  unitAmount: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    unique: true
+  },
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company ID is required'],
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['per_hire', 'monthly'],
+    required: true
+  },
+
+  // Billing period covered (monthly invoices)
+  periodStart: Date,
+  periodEnd: Date,
+
+  lineItems: [lineItemSchema],
+
+  // Totals
+  currency: {
+    type: String,
+    default: 'GBP',
+    enum: ['GBP', 'USD', 'EUR']
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  vatTreatment: {
+    type: String,
+    enum: ['standard', 'reverse_charge'],
+    default: 'standard'
+  },
+  vatRate: {
+    type: Number,
+    default: 0
+  },
+  vatAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // Snapshot of who was billed, so later profile edits don't rewrite history
+  billTo: {
+    companyName: String,
+    email: String,
+    vatNumber: String,
+    address: {
+      street: String,
+      city: String,
+      postcode: String,
+      country: String
+    }
+  },
+
+  status: {
+    type: String,
+    enum: ['draft', 'open', 'paid', 'void', 'uncollectible'],
+    default: 'draft',
+    index: true
+  },
+  issuedAt: Date,
+  dueDate: Date,
+  paidAt: Date,
+  voidedAt: Date,
+  voidReason: String,
+
+  // Stripe collection
+  stripeInvoiceId: {
+    type: String,
+    index: true
+  },
+  hostedInvoiceUrl: String,
+  collectionError: String,
+  collectionAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastCollectionAttemptAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+invoiceSchema.index({ companyId: 1, createdAt: -1 });
+
+// Pre-save middleware to generate the invoice number
+invoiceSchema.pre('save', function(next) {
+  if (!this.invoiceNumber) {
+    const now = new Date();
+    const period = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}`;
+    this.invoiceNumber = `INV-${period}-${this._id.toString().slice(-6).toUpperCase()}`;
+  }
+  next();
+});
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -9,6 +9,15 @@ const jobSchema = new mongoose.Schema({
     required: [true, 'Company ID is required'],
     index: true
   },
+  // Company account or team member who created it
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'postedByModel'
+  },
+  postedByModel: {
+    type: String,
+    enum: ['Company', 'CompanyMember', 'ApiKey']
+  },
   
   // Basic job information
   title: {
@@ -142,6 +151,13 @@ const jobSchema = new mongoose.Schema({
     default: 'GBP',
     enum: ['GBP', 'USD', 'EUR']
   },
+  // Days a hire must stay before the referral fee is released (null = company default)
+  guaranteePeriodDays: {
+    type: Number,
+    min: [0, 'Guarantee period cannot be negative'],
+    max: [365, 'Guarantee period cannot exceed 365 days'],
+    default: null
+  },
   
   // Skills and tags
   skills: [{
@@ -256,6 +272,13 @@ const jobSchema = new mongoose.Schema({
     default: 'public'
   },
   
+  // Featured placement - uses one of the company's plan credits while active
+  isFeatured: {
+    type: Boolean,
+    default: false
+  },
+  featuredAt: Date,
+  
   // Application and referral statistics
   stats: {
     views: {
@@ -328,6 +351,19 @@ const jobSchema = new mongoose.Schema({
     type: String,
     maxlength: [1000, 'Internal notes cannot exceed 1000 characters'],
     select: false // Don't include in normal queries
+  },
+  
+  // Platform moderation - a taken down job can't be reopened by the company
+  moderation: {
+    takenDownAt: Date,
+    takenDownBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    }
   }
 }, {
   timestamps: true,
@@ -0,0 +1,238 @@
+// models/Payment.js - Append-only referral payout ledger
+const mongoose = require('mongoose');
+
+// Allowed status transitions for a ledger entry
+const TRANSITIONS = {
+  pending: ['approved', 'reversed'],
+  approved: ['processing', 'reversed'],
+  processing: ['paid', 'failed'],
+  failed: ['approved', 'reversed'],
+  paid: ['failed', 'reversed'], // failed when the payout transfer is reversed by Stripe
+  reversed: []
+};
+
+const paymentSchema = new mongoose.Schema({
+  // What the entry is for. A clawback is a debit against a fee that was already
+  // paid out - it is recovered from the referrer's next withdrawals.
+  type: {
+    type: String,
+    enum: ['referral_fee', 'clawback'],
+    default: 'referral_fee',
+    immutable: true
+  },
+
+  // Core relationships
+  referrerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Referrer ID is required'],
+    immutable: true,
+    index: true
+  },
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company ID is required'],
+    immutable: true,
+    index: true
+  },
+  applicationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: [true, 'Application ID is required'],
+    immutable: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    immutable: true
+  },
+  referralId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Referral',
+    immutable: true
+  },
+  // Clawbacks: the paid fee being recovered
+  offsetsPaymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    immutable: true
+  },
+  // Fees: the clawback recorded against it, if any
+  clawbackId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+
+  // Amount owed to the referrer (owed by the referrer for a clawback)
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative'],
+    immutable: true
+  },
+  currency: {
+    type: String,
+    default: 'GBP',
+    enum: ['GBP', 'USD', 'EUR'],
+    immutable: true
+  },
+  paymentReference: {
+    type: String,
+    unique: true,
+    immutable: true
+  },
+
+  // Current state - only changed through transitionTo()
+  status: {
+    type: String,
+    enum: {
+      values: Object.keys(TRANSITIONS),
+      message: 'Invalid payment status'
+    },
+    default: 'pending',
+    index: true
+  },
+
+  // Append-only history of state changes
+  transitions: [{
+    from: String,
+    to: String,
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'transitions.byModel'
+    },
+    byModel: {
+      type: String,
+      enum: ['User', 'Company', 'CompanyMember', 'Admin']
+    },
+    note: String
+  }],
+
+  // Company side - collection of the fee from the hiring company
+  funding: {
+    status: {
+      type: String,
+      enum: ['unpaid', 'processing', 'paid', 'failed'],
+      default: 'unpaid'
+    },
+    paymentIntentId: String,
+    paidAt: Date,
+    failureReason: String
+  },
+
+  // Guarantee period - the fee stays pending until the hire has lasted this long
+  guarantee: {
+    periodDays: {
+      type: Number,
+      default: 0
+    },
+    startsAt: Date,
+    endsAt: Date,
+    releasedAt: Date
+  },
+
+  // Company invoice that bills this fee
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
+
+  // Withdrawal that paid this entry out
+  withdrawalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Withdrawal',
+    default: null
+  },
+
+  // Milestone timestamps
+  approvedAt: Date,
+  paidAt: Date,
+  failedAt: Date,
+  reversedAt: Date,
+  failureReason: String
+}, {
+  timestamps: true,
+  optimisticConcurrency: true, // Concurrent transitions on one entry fail instead of overwriting
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One referral fee per application - re-hiring never double counts
+paymentSchema.index({ applicationId: 1, type: 1 }, { unique: true });
+paymentSchema.index({ referrerId: 1, status: 1 });
+paymentSchema.index({ companyId: 1, status: 1 });
+paymentSchema.index({ status: 1, 'guarantee.endsAt': 1 });
+
+paymentSchema.statics.TRANSITIONS = TRANSITIONS;
+
+// Virtual for the amount as it counts towards the referrer's balance
+paymentSchema.virtual('signedAmount').get(function() {
+  return this.type === 'clawback' ? -this.amount : this.amount;
+});
+
+// Pre-save middleware to generate payment reference and opening history entry
+paymentSchema.pre('save', function(next) {
+  if (this.isNew) {
+    if (!this.paymentReference) {
+      const prefix = this.type === 'clawback' ? 'REF-CLW' : 'REF-PAY';
+      this.paymentReference = `${prefix}-${Date.now()}-${this._id.toString().slice(-6).toUpperCase()}`;
+    }
+    if (this.transitions.length === 0) {
+      this.transitions.push({ from: null, to: this.status, note: 'Ledger entry created' });
+    }
+  }
+  next();
+});
+
+// Ledger entries are never deleted - reverse them instead
+const preventDelete = function(next) {
+  next(new Error('Ledger entries cannot be deleted. Reverse the payment instead.'));
+};
+paymentSchema.pre('deleteOne', preventDelete);
+paymentSchema.pre('deleteMany', preventDelete);
+paymentSchema.pre('findOneAndDelete', preventDelete);
+
+// Method to check if a transition is allowed
+paymentSchema.methods.canTransitionTo = function(status) {
+  return (TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to move the entry to a new status and append it to the history
+paymentSchema.methods.transitionTo = function(status, { by = null, byModel, note } = {}) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Cannot move payment from ${this.status} to ${status}`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  this.transitions.push({
+    from: this.status,
+    to: status,
+    at: new Date(),
+    by,
+    byModel,
+    note
+  });
+
+  this.status = status;
+
+  const now = new Date();
+  if (status === 'approved') this.approvedAt = now;
+  if (status === 'paid') this.paidAt = now;
+  if (status === 'failed') {
+    this.failedAt = now;
+    this.failureReason = note;
+  }
+  if (status === 'reversed') this.reversedAt = now;
+
+  return this;
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,225 @@
+// models/Referral.js - Referral link model with funnel tracking
+const mongoose = require('mongoose');
+
+const referralSchema = new mongoose.Schema({
+  // Core relationships
+  referrerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Referrer ID is required'],
+    index: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: [true, 'Job ID is required'],
+    index: true
+  },
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company ID is required'],
+    index: true
+  },
+
+  // Referral link details
+  referralCode: {
+    type: String,
+    required: [true, 'Referral code is required'],
+    uppercase: true,
+    trim: true,
+    index: true
+  },
+  referralMethod: {
+    type: String,
+    enum: ['direct_link', 'email', 'linkedin', 'twitter', 'facebook', 'whatsapp', 'other'],
+    default: 'direct_link'
+  },
+  referralFee: {
+    type: Number,
+    min: [0, 'Referral fee cannot be negative'],
+    default: 0
+  },
+  referralFeeCurrency: {
+    type: String,
+    default: 'GBP',
+    enum: ['GBP', 'USD', 'EUR']
+  },
+
+  // Referral status
+  status: {
+    type: String,
+    enum: {
+      values: [
+        'active',      // Link is live and being tracked
+        'successful',  // At least one referred candidate was hired
+        'expired',     // Job closed or link retired
+        'cancelled'    // Referrer withdrew the link
+      ],
+      message: 'Invalid referral status'
+    },
+    default: 'active',
+    index: true
+  },
+
+  // Funnel counters
+  clicks: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  views: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  applications: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  hires: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Funnel timestamps
+  lastClickedAt: Date,
+  lastViewedAt: Date,
+  lastAppliedAt: Date,
+  hireDate: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One referral link per referrer per job
+referralSchema.index({ referrerId: 1, jobId: 1 }, { unique: true });
+referralSchema.index({ referralCode: 1, jobId: 1 });
+referralSchema.index({ companyId: 1, status: 1 });
+
+// Virtual for click-to-application conversion rate
+referralSchema.virtual('conversionRate').get(function() {
+  if (!this.clicks) return 0;
+  return Math.round((this.applications / this.clicks) * 100);
+});
+
+// Virtual for view-to-application conversion rate
+referralSchema.virtual('viewConversionRate').get(function() {
+  if (!this.views) return 0;
+  return Math.round((this.applications / this.views) * 100);
+});
+
+// Virtual for share link
+referralSchema.virtual('shareLink').get(function() {
+  const baseUrl = process.env.CLIENT_URL || 'http://127.0.0.1:5500';
+  return `${baseUrl}/job-details.html?id=${this.jobId?._id || this.jobId}&ref=${this.referralCode}`;
+});
+
+// Static method to find the referral for a code/job pair, creating it on first touch
+referralSchema.statics.findOrCreateByCode = async function(referralCode, jobId) {
+  if (!referralCode || typeof referralCode !== 'string' || !jobId) return null;
+
+  const code = referralCode.toUpperCase();
+  const existing = await this.findOne({ referralCode: code, jobId });
+  if (existing) return existing;
+
+  const User = mongoose.model('User');
+  const Job = mongoose.model('Job');
+
+  const [referrer, job] = await Promise.all([
+    User.findByReferralCode(code),
+    Job.findById(jobId).select('companyId referralFee referralFeeCurrency')
+  ]);
+
+  if (!referrer || !job) return null;
+
+  try {
+    return await this.create({
+      referrerId: referrer._id,
+      jobId: job._id,
+      companyId: job.companyId,
+      referralCode: code,
+      referralFee: job.referralFee,
+      referralFeeCurrency: job.referralFeeCurrency
+    });
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) {
+      return this.findOne({ referralCode: code, jobId });
+    }
+    throw error;
+  }
+};
+
+// Static method to record a funnel event against a referral link
+referralSchema.statics.recordEvent = async function(referralCode, jobId, event) {
+  const fields = {
+    click: { counter: 'clicks', timestamp: 'lastClickedAt' },
+    view: { counter: 'views', timestamp: 'lastViewedAt' },
+    application: { counter: 'applications', timestamp: 'lastAppliedAt' }
+  };
+
+  if (!fields[event]) {
+    throw new Error(`Unknown referral event: ${event}`);
+  }
+
+  const referral = await this.findOrCreateByCode(referralCode, jobId);
+  if (!referral) return null;
+
+  return this.findByIdAndUpdate(referral._id, {
+    $inc: { [fields[event].counter]: 1 },
+    $set: { [fields[event].timestamp]: new Date() }
+  }, { new: true });
+};
+
+// Static method to get funnel totals for a referrer
+referralSchema.statics.getFunnelStats = async function(referrerId) {
+  const stats = await this.aggregate([
+    { $match: { referrerId: new mongoose.Types.ObjectId(referrerId) } },
+    {
+      $group: {
+        _id: null,
+        totalLinks: { $sum: 1 },
+        activeLinks: {
+          $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] }
+        },
+        clicks: { $sum: '$clicks' },
+        views: { $sum: '$views' },
+        applications: { $sum: '$applications' },
+        hires: { $sum: '$hires' }
+      }
+    }
+  ]);
+
+  const totals = stats[0] || {
+    totalLinks: 0,
+    activeLinks: 0,
+    clicks: 0,
+    views: 0,
+    applications: 0,
+    hires: 0
+  };
+  delete totals._id;
+
+  totals.conversionRate = totals.clicks > 0
+    ? Math.round((totals.applications / totals.clicks) * 100)
+    : 0;
+  totals.hireRate = totals.applications > 0
+    ? Math.round((totals.hires / totals.applications) * 100)
+    : 0;
+
+  return totals;
+};
+
+// Method to record a successful hire
+referralSchema.methods.recordHire = function() {
+  this.hires += 1;
+  this.status = 'successful';
+  this.hireDate = new Date();
+  return this.save({ validateBeforeSave: false });
+};
+
+module.exports = mongoose.model('Referral', referralSchema);
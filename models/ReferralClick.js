@@ -0,0 +1,101 @@
+// models/ReferralClick.js - Individual referral touchpoints used for attribution
+const mongoose = require('mongoose');
+
+const referralClickSchema = new mongoose.Schema({
+  // Referral link that was touched
+  referralId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Referral',
+    required: [true, 'Referral ID is required'],
+    index: true
+  },
+  referrerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Referrer ID is required'],
+    index: true
+  },
+  referralCode: {
+    type: String,
+    required: [true, 'Referral code is required'],
+    uppercase: true,
+    trim: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: [true, 'Job ID is required']
+  },
+  companyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: [true, 'Company ID is required']
+  },
+
+  // Who touched the link - anonymous visitor and/or logged in candidate
+  visitorId: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Visitor ID cannot exceed 100 characters']
+  },
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // How the link was touched
+  source: {
+    type: String,
+    enum: {
+      values: [
+        'click',       // Referral link clicked
+        'view',        // Job viewed with a ref code
+        'application'  // Referral code entered on the application
+      ],
+      message: 'Invalid touchpoint source'
+    },
+    default: 'click'
+  },
+
+  // Request metadata
+  ipAddress: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Attribution lookups are per job, by visitor or candidate, newest first
+referralClickSchema.index({ jobId: 1, visitorId: 1, createdAt: -1 });
+referralClickSchema.index({ jobId: 1, candidateId: 1, createdAt: -1 });
+referralClickSchema.index({ visitorId: 1, candidateId: 1 });
+
+// Static method to store a touchpoint for a referral link
+referralClickSchema.statics.recordTouch = function(referral, { visitorId, candidateId, source = 'click', req } = {}) {
+  if (!visitorId && !candidateId) return null;
+
+  return this.create({
+    referralId: referral._id,
+    referrerId: referral.referrerId,
+    referralCode: referral.referralCode,
+    jobId: referral.jobId,
+    companyId: referral.companyId,
+    visitorId,
+    candidateId: candidateId || null,
+    source,
+    ipAddress: req?.ip,
+    userAgent: req?.headers['user-agent']
+  });
+};
+
+// Static method to attach an anonymous visitor's touchpoints to a candidate
+referralClickSchema.statics.linkVisitorToCandidate = function(visitorId, candidateId) {
+  if (!visitorId || !candidateId) return null;
+
+  return this.updateMany(
+    { visitorId, candidateId: null },
+    { $set: { candidateId } }
+  );
+};
+
+module.exports = mongoose.model('ReferralClick', referralClickSchema);
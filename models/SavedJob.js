@@ -0,0 +1,34 @@
+// models/SavedJob.js - Jobs a job seeker has bookmarked
+const mongoose = require('mongoose');
+
+const MAX_SAVED_JOBS = 200;
+
+const savedJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: [true, 'Job ID is required']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// A job can only be saved once per user
+savedJobSchema.index({ userId: 1, jobId: 1 }, { unique: true });
+savedJobSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SavedJob', savedJobSchema);
+module.exports.MAX_SAVED_JOBS = MAX_SAVED_JOBS;
@@ -0,0 +1,75 @@
+// models/SavedSearch.js - Job searches a job seeker keeps to re-run later
+const mongoose = require('mongoose');
+
+const MAX_SAVED_SEARCHES = 20;
+
+const savedSearchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Search name is required'],
+    trim: true,
+    maxlength: [100, 'Search name cannot exceed 100 characters']
+  },
+
+  // The GET /api/jobs query parameters (see JOB_SEARCH_FIELDS in utils/jobSearch.js)
+  query: {
+    search: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Search text cannot exceed 200 characters']
+    },
+    category: String,
+    location: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Location cannot exceed 100 characters']
+    },
+    country: String,
+    jobType: String,
+    workType: String,
+    experienceLevel: String,
+    salaryMin: {
+      type: Number,
+      min: [0, 'Minimum salary cannot be negative']
+    },
+    salaryMax: {
+      type: Number,
+      min: [0, 'Maximum salary cannot be negative']
+    },
+    sortBy: String,
+    sortOrder: {
+      type: String,
+      enum: ['asc', 'desc']
+    }
+  },
+
+  // Jobs posted after this are counted as new
+  lastViewedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // The visit before - lets later pages of the latest run still flag its new jobs
+  previousViewedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Method to get the stored query as plain GET /api/jobs parameters
+savedSearchSchema.methods.toSearchQuery = function() {
+  const query = this.toObject().query || {};
+  Object.keys(query).forEach(key => {
+    if (query[key] === undefined || query[key] === null) delete query[key];
+  });
+  return query;
+};
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
+module.exports.MAX_SAVED_SEARCHES = MAX_SAVED_SEARCHES;
@@ -0,0 +1,176 @@
+// models/Session.js - Server-side login sessions backing rotating refresh tokens
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionSchema = new mongoose.Schema({
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'accountModel',
+    required: [true, 'Account ID is required'],
+    index: true
+  },
+  accountModel: {
+    type: String,
+    enum: ['User', 'Company', 'CompanyMember', 'Admin'],
+    required: true
+  },
+
+  // Current refresh token (hashed) and the ones it replaced, for reuse detection
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+
+  // Device details
+  userAgent: String,
+  device: String,
+  ipAddress: String,
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'password_reset', 'token_reuse', 'blocked', 'account_deleted']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ accountId: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to describe a device from its user agent
+sessionSchema.statics.describeDevice = function(userAgent = '') {
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : null;
+  const os = /Windows/.test(userAgent) ? 'Windows'
+    : /iPhone|iPad/.test(userAgent) ? 'iOS'
+    : /Android/.test(userAgent) ? 'Android'
+    : /Mac OS X/.test(userAgent) ? 'macOS'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : null;
+
+  if (!browser && !os) return userAgent ? 'Unknown device' : 'API client';
+  return [browser, os].filter(Boolean).join(' on ');
+};
+
+// Static method to start a session. Returns the session and its refresh token.
+sessionSchema.statics.createForAccount = async function(account, req) {
+  const session = new this({
+    accountId: account._id,
+    accountModel: account.constructor.modelName,
+    userAgent: req.headers['user-agent'],
+    device: this.describeDevice(req.headers['user-agent']),
+    ipAddress: req.ip || req.connection?.remoteAddress,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const secret = crypto.randomBytes(48).toString('hex');
+  session.refreshTokenHash = hashToken(secret);
+  await session.save();
+
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+// Static method to find the active session a refresh token belongs to
+sessionSchema.statics.findByRefreshToken = async function(refreshToken) {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  const session = await this.findById(sessionId).select('+refreshTokenHash');
+  if (!session || !session.isActive || session.refreshTokenHash !== hashToken(secret)) return null;
+
+  return session;
+};
+
+/**
+ * Static method to exchange a refresh token for a new one.
+ * Presenting an already-rotated token revokes the whole session (it was probably stolen).
+ */
+sessionSchema.statics.rotate = async function(refreshToken, req) {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return { session: null };
+
+  const session = await this.findById(sessionId).select('+refreshTokenHash +previousTokenHashes');
+  if (!session || !session.isActive) return { session: null };
+
+  const presentedHash = hashToken(secret);
+
+  if (session.previousTokenHashes.includes(presentedHash)) {
+    session.revokedAt = new Date();
+    session.revokedReason = 'token_reuse';
+    await session.save();
+    console.log(`🚨 Refresh token reuse detected, session ${session._id} revoked`);
+    return { session: null, reused: true };
+  }
+
+  if (session.refreshTokenHash !== presentedHash) return { session: null };
+
+  const nextSecret = crypto.randomBytes(48).toString('hex');
+  const nextHash = hashToken(nextSecret);
+
+  // Conditional update so two concurrent refreshes can't both succeed
+  const rotated = await this.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: nextHash,
+        lastUsedAt: new Date(),
+        ipAddress: req.ip || req.connection?.remoteAddress,
+        userAgent: req.headers['user-agent'],
+        device: this.describeDevice(req.headers['user-agent'])
+      },
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -20 } }
+    },
+    { new: true }
+  );
+  if (!rotated) return { session: null };
+
+  return { session: rotated, refreshToken: `${rotated._id}.${nextSecret}` };
+};
+
+// Static method to revoke every active session for an account
+sessionSchema.statics.revokeAllForAccount = function(accountId, reason = 'logout_all', exceptSessionId = null) {
+  return this.updateMany(
+    {
+      accountId,
+      revokedAt: null,
+      ...(exceptSessionId && { _id: { $ne: exceptSessionId } })
+    },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Method to revoke this session
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
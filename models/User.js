@@ -2,6 +2,56 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
+const twoFactorPlugin = require('./plugins/twoFactor');
+const loginSecurityPlugin = require('./plugins/loginSecurity');
+
+const MAGIC_LINK_EXPIRE_MINUTES = parseInt(process.env.MAGIC_LINK_EXPIRE_MINUTES) || 15;
+const MAX_RESUMES = 10;
+
+// One version in a candidate's resume library
+const resumeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Resume name is required'],
+    trim: true,
+    maxlength: [80, 'Resume name cannot exceed 80 characters']
+  },
+  filename: String,
+  originalName: String,
+  fileSize: Number,
+  uploadDate: Date,
+  url: String,
+  storage: {
+    type: String,
+    enum: ['cloudinary', 'local']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+
+  // Filled in by the offline parsing pipeline (utils/resumeParser.js)
+  extractedText: {
+    type: String,
+    select: false
+  },
+  parsing: {
+    status: {
+      type: String,
+      enum: ['pending', 'parsed', 'failed', 'unsupported'],
+      default: 'pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    parsedAt: Date,
+    error: String,
+    skills: [String],
+    experience: String,
+    yearsOfExperience: Number
+  }
+});
 
 const userSchema = new mongoose.Schema({
   // Basic user information
@@ -91,12 +141,59 @@ const userSchema = new mongoose.Schema({
       originalName: String,
       fileSize: Number,
       uploadDate: Date,
-      url: String
+      url: String,
+      storage: {
+        type: String,
+        enum: ['cloudinary', 'local']
+      }
     },
     profileImage: {
       filename: String,
       url: String,
-      uploadDate: Date
+      uploadDate: Date,
+      storage: {
+        type: String,
+        enum: ['cloudinary', 'local']
+      }
+    },
+    // What the candidate is looking for - used by the match engine (utils/matchEngine.js)
+    jobPreferences: {
+      workTypes: [{
+        type: String,
+        enum: {
+          values: ['remote', 'hybrid', 'on-site'],
+          message: 'Work type must be remote, hybrid, or on-site'
+        }
+      }],
+      salary: {
+        min: {
+          type: Number,
+          min: [0, 'Expected salary cannot be negative']
+        },
+        currency: {
+          type: String,
+          default: 'GBP',
+          enum: ['GBP', 'USD', 'EUR']
+        },
+        period: {
+          type: String,
+          default: 'yearly',
+          enum: ['hourly', 'daily', 'monthly', 'yearly']
+        }
+      },
+      openToRelocation: {
+        type: Boolean,
+        default: false
+      }
+    }
+  },
+  
+  // Resume library - profile.resume mirrors the default version
+  resumes: {
+    type: [resumeSchema],
+    validate: {
+      validator: (resumes) => resumes.length <= MAX_RESUMES,
+      message: `You can keep at most ${MAX_RESUMES} resumes`
     }
   },
   
@@ -146,8 +243,15 @@ const userSchema = new mongoose.Schema({
     },
     preferredMethod: {
       type: String,
-      enum: ['bank_transfer', 'paypal'],
+      enum: ['bank_transfer', 'paypal', 'stripe'],
       default: 'bank_transfer'
+    },
+    
+    // Stripe Connect account used for withdrawals
+    stripeAccountId: String,
+    stripeOnboardingComplete: {
+      type: Boolean,
+      default: false
     }
   },
   
@@ -175,6 +279,18 @@ const userSchema = new mongoose.Schema({
     select: false
   },
   
+  // Passwordless sign-in
+  magicLinkToken: {
+    type: String,
+    select: false
+  },
+  magicLinkExpire: {
+    type: Date,
+    select: false
+  },
+  // Tokens issued before this are no longer accepted
+  passwordChangedAt: Date,
+  
   // Account status
   isActive: {
     type: Boolean,
@@ -184,6 +300,8 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Set when the account is erased - the record is kept, anonymised, for the ledger
+  deletedAt: Date,
   
   // Login tracking
   lastLogin: Date,
@@ -222,6 +340,7 @@ userSchema.index({ email: 1 });
 userSchema.index({ referralCode: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ 'profile.location.city': 1 });
+userSchema.index({ 'resumes.parsing.status': 1 });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -242,6 +361,10 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) {
+      // Backdate a second so a token issued straight after the change stays valid
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -293,6 +416,103 @@ userSchema.methods.generatePasswordResetToken = function() {
   return token;
 };
 
+// Method to generate a single-use magic sign-in link token
+userSchema.methods.generateMagicLinkToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  
+  this.magicLinkToken = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+  
+  this.magicLinkExpire = Date.now() + MAGIC_LINK_EXPIRE_MINUTES * 60 * 1000;
+  
+  return token;
+};
+
+// Method to copy the default library resume onto profile.resume (what older clients read)
+userSchema.methods.syncDefaultResume = function() {
+  const current = this.resumes.find(resume => resume.isDefault);
+  
+  if (current) {
+    const { filename, originalName, fileSize, uploadDate, url, storage } = current;
+    this.set('profile.resume', { filename, originalName, fileSize, uploadDate, url, storage });
+  } else {
+    this.set('profile.resume', undefined);
+  }
+};
+
+// Method to bring a pre-library profile.resume into the library
+userSchema.methods.ensureResumeLibrary = function() {
+  const legacy = this.profile?.resume;
+  if (this.resumes.length > 0 || !legacy?.url) return false;
+  
+  this.resumes.push({
+    name: legacy.originalName || 'My resume',
+    filename: legacy.filename,
+    originalName: legacy.originalName,
+    fileSize: legacy.fileSize,
+    uploadDate: legacy.uploadDate,
+    url: legacy.url,
+    storage: legacy.storage,
+    isDefault: true
+  });
+  return true;
+};
+
+// Method to add a resume to the library (the first one always becomes the default)
+userSchema.methods.addResume = function(fileDetails, { name, makeDefault = false } = {}) {
+  this.ensureResumeLibrary();
+  
+  const isDefault = makeDefault || this.resumes.length === 0;
+  if (isDefault) {
+    this.resumes.forEach(resume => { resume.isDefault = false; });
+  }
+  
+  this.resumes.push({
+    ...fileDetails,
+    name: name || fileDetails.originalName || 'Resume',
+    isDefault
+  });
+  this.syncDefaultResume();
+  
+  return this.resumes[this.resumes.length - 1];
+};
+
+// Method to make a library resume the default
+userSchema.methods.setDefaultResume = function(resumeId) {
+  const chosen = this.resumes.id(resumeId);
+  if (!chosen) return null;
+  
+  this.resumes.forEach(resume => { resume.isDefault = resume._id.equals(chosen._id); });
+  this.syncDefaultResume();
+  
+  return chosen;
+};
+
+// Method to take a resume out of the library; the newest remaining one becomes the default
+userSchema.methods.removeResume = function(resumeId) {
+  const removed = this.resumes.id(resumeId);
+  if (!removed) return null;
+  
+  const details = removed.toObject();
+  this.resumes.pull(removed._id);
+  
+  if (details.isDefault && this.resumes.length > 0) {
+    const newest = [...this.resumes].sort((a, b) => new Date(b.uploadDate) - new Date(a.uploadDate))[0];
+    newest.isDefault = true;
+  }
+  this.syncDefaultResume();
+  
+  return details;
+};
+
+// Method to check if the password changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
 // Method to update login info
 userSchema.methods.updateLoginInfo = function() {
   this.lastLogin = new Date();
@@ -323,29 +543,30 @@ userSchema.methods.getSafeData = function() {
   delete userObject.emailVerificationExpire;
   delete userObject.resetPasswordToken;
   delete userObject.resetPasswordExpire;
+  delete userObject.magicLinkToken;
+  delete userObject.magicLinkExpire;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   delete userObject.paymentDetails.bankAccount;
   delete userObject.paymentDetails.sortCode;
   
   return userObject;
 };
 
-// Method to update referral stats
-userSchema.methods.updateReferralStats = function(type, amount = 0) {
-  switch (type) {
-    case 'add_referral':
-      this.referralStats.totalReferrals += 1;
-      break;
-    case 'successful_referral':
-      this.referralStats.successfulReferrals += 1;
-      this.referralStats.pendingEarnings += amount;
-      this.referralStats.totalEarnings += amount;
-      break;
-    case 'payment_processed':
-      this.referralStats.pendingEarnings -= amount;
-      this.referralStats.paidEarnings += amount;
-      break;
-  }
-  return this.save({ validateBeforeSave: false });
+// Method to refresh referral stats - earnings are derived from the payout ledger
+userSchema.methods.updateReferralStats = function() {
+  const { syncReferrerStats } = require('../utils/ledger');
+  return syncReferrerStats(this._id);
 };
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+// Optional TOTP two-factor authentication
+userSchema.plugin(twoFactorPlugin);
+userSchema.plugin(loginSecurityPlugin);
+
+module.exports = mongoose.model('User', userSchema);
+module.exports.MAGIC_LINK_EXPIRE_MINUTES = MAGIC_LINK_EXPIRE_MINUTES;
+module.exports.MAX_RESUMES = MAX_RESUMES;
\ No newline at end of file
@@ -0,0 +1,72 @@
+// models/WebhookEvent.js - Processed webhook events, stored for idempotency
+const mongoose = require('mongoose');
+
+// An event still "processing" after this long is assumed lost (crash or hung handler)
+const STALE_PROCESSING_MS = (parseInt(process.env.WEBHOOK_STALE_MINUTES) || 5) * 60 * 1000;
+
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['stripe'],
+    default: 'stripe'
+  },
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+    unique: true
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required'],
+    index: true
+  },
+  livemode: Boolean,
+
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  error: String,
+  processedAt: Date,
+
+  // Stripe object the event was about
+  objectId: String
+}, {
+  timestamps: true
+});
+
+// Static method to claim an event for processing.
+// Returns null when the event has already been handled (or is being handled right now).
+webhookEventSchema.statics.claim = async function(event) {
+  try {
+    return await this.create({
+      eventId: event.id,
+      type: event.type,
+      livemode: event.livemode,
+      objectId: event.data?.object?.id
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Failed events are retried, and so are ones whose processing never finished
+    return await this.findOneAndUpdate(
+      {
+        eventId: event.id,
+        $or: [
+          { status: 'failed' },
+          { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+        ]
+      },
+      { $set: { status: 'processing', error: null }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,60 @@
+// models/Withdrawal.js - Referrer payout withdrawals via Stripe Connect
+const mongoose = require('mongoose');
+
+const withdrawalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true
+  },
+
+  // Ledger entries paid out by this withdrawal
+  payments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }],
+
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'GBP',
+    enum: ['GBP', 'USD', 'EUR']
+  },
+
+  method: {
+    type: String,
+    enum: ['stripe'],
+    default: 'stripe'
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'processing', 'paid', 'failed', 'reversed'],
+    default: 'requested',
+    index: true
+  },
+
+  // Stripe details
+  stripeAccountId: String,
+  stripeTransferId: {
+    type: String,
+    index: true
+  },
+
+  failureReason: String,
+  paidAt: Date,
+  failedAt: Date,
+  reversedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+withdrawalSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Withdrawal', withdrawalSchema);
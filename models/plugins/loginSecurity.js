@@ -0,0 +1,194 @@
+// models/plugins/loginSecurity.js - Per-account lockout, login history and known devices
+const crypto = require('crypto');
+const Session = require('../Session');
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const BASE_LOCK_MINUTES = 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+const HISTORY_LIMIT = 50;
+const KNOWN_DEVICE_LIMIT = 20;
+
+// Coarse "location" for an address: the /24 for IPv4, the /64 for IPv6
+const networkOf = (ip = '') => {
+  const address = ip.replace(/^::ffff:/, '');
+  if (address.includes('.')) return address.split('.').slice(0, 3).join('.');
+  return address.split(':').slice(0, 4).join(':');
+};
+
+const describeRequest = (req) => {
+  const ipAddress = req.ip || req.connection?.remoteAddress || '';
+  const userAgent = req.headers['user-agent'] || '';
+  const device = Session.describeDevice(userAgent);
+
+  return {
+    ipAddress,
+    userAgent,
+    device,
+    fingerprint: crypto.createHash('sha256').update(`${device}|${networkOf(ipAddress)}`).digest('hex')
+  };
+};
+
+module.exports = function loginSecurityPlugin(schema) {
+  schema.add({
+    loginSecurity: {
+      failedAttempts: {
+        type: Number,
+        default: 0
+      },
+      lockUntil: Date,
+      // Lockouts since the last successful login - each one doubles the next lock
+      lockCount: {
+        type: Number,
+        default: 0
+      },
+      lastFailedAt: Date
+    },
+    loginHistory: {
+      type: [{
+        at: {
+          type: Date,
+          default: Date.now
+        },
+        success: Boolean,
+        reason: {
+          type: String,
+          enum: ['password', 'two_factor', 'magic_link', 'bad_password', 'bad_two_factor_code', 'locked']
+        },
+        ipAddress: String,
+        userAgent: String,
+        device: String,
+        newDevice: Boolean
+      }],
+      select: false
+    },
+    knownDevices: {
+      type: [{
+        fingerprint: String,
+        device: String,
+        ipAddress: String,
+        firstSeenAt: Date,
+        lastSeenAt: Date
+      }],
+      select: false
+    }
+  });
+
+  // Virtual for whether the account is currently locked out
+  schema.virtual('isLocked').get(function() {
+    return !!(this.loginSecurity?.lockUntil && this.loginSecurity.lockUntil > new Date());
+  });
+
+  // Minutes until a locked account can try again
+  schema.virtual('lockRemainingMinutes').get(function() {
+    if (!this.isLocked) return 0;
+    return Math.ceil((this.loginSecurity.lockUntil - Date.now()) / 60000);
+  });
+
+  /**
+   * Method to record a failed attempt. Counters are updated atomically so parallel
+   * guesses from many IPs all count; enough failures lock the account, for longer each time.
+   */
+  schema.methods.registerFailedLogin = async function(req, reason = 'bad_password') {
+    const { ipAddress, userAgent, device } = describeRequest(req);
+
+    const updated = await this.constructor.findByIdAndUpdate(
+      this._id,
+      {
+        $inc: { 'loginSecurity.failedAttempts': 1 },
+        $set: { 'loginSecurity.lastFailedAt': new Date() },
+        $push: {
+          loginHistory: {
+            $each: [{ at: new Date(), success: false, reason, ipAddress, userAgent, device }],
+            $slice: -HISTORY_LIMIT
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!updated || updated.loginSecurity.failedAttempts < MAX_FAILED_ATTEMPTS) return false;
+
+    const lockMinutes = Math.min(BASE_LOCK_MINUTES * 2 ** updated.loginSecurity.lockCount, MAX_LOCK_MINUTES);
+    await this.constructor.updateOne(
+      { _id: this._id },
+      {
+        $set: {
+          'loginSecurity.failedAttempts': 0,
+          'loginSecurity.lockUntil': new Date(Date.now() + lockMinutes * 60 * 1000)
+        },
+        $inc: { 'loginSecurity.lockCount': 1 }
+      }
+    );
+
+    console.log(`🔒 Account locked for ${lockMinutes} minutes: ${this.email}`);
+    return true;
+  };
+
+  // Method to note an attempt made while locked (the password is never checked)
+  schema.methods.registerLockedLogin = function(req) {
+    const { ipAddress, userAgent, device } = describeRequest(req);
+
+    return this.constructor.updateOne(
+      { _id: this._id },
+      {
+        $push: {
+          loginHistory: {
+            $each: [{ at: new Date(), success: false, reason: 'locked', ipAddress, userAgent, device }],
+            $slice: -HISTORY_LIMIT
+          }
+        }
+      }
+    );
+  };
+
+  /**
+   * Method to record a successful login: clears the lockout counters, adds the
+   * login to the history and remembers the device. Returns { newDevice, ... }
+   * where newDevice is only true once the account already has a known device.
+   */
+  schema.methods.registerSuccessfulLogin = async function(req, method = 'password') {
+    const { ipAddress, userAgent, device, fingerprint } = describeRequest(req);
+    const now = new Date();
+
+    const existing = await this.constructor.findById(this._id).select('+knownDevices');
+    const knownDevices = existing?.knownDevices || [];
+    const known = knownDevices.some(entry => entry.fingerprint === fingerprint);
+    const newDevice = !known && knownDevices.length > 0;
+
+    const update = {
+      $set: {
+        'loginSecurity.failedAttempts': 0,
+        'loginSecurity.lockCount': 0,
+        'loginSecurity.lockUntil': null
+      },
+      $push: {
+        loginHistory: {
+          $each: [{ at: now, success: true, reason: method, ipAddress, userAgent, device, newDevice }],
+          $slice: -HISTORY_LIMIT
+        }
+      }
+    };
+
+    if (known) {
+      await this.constructor.updateOne({ _id: this._id }, update);
+      await this.constructor.updateOne(
+        { _id: this._id, 'knownDevices.fingerprint': fingerprint },
+        { $set: { 'knownDevices.$.lastSeenAt': now, 'knownDevices.$.ipAddress': ipAddress } }
+      );
+    } else {
+      update.$push.knownDevices = {
+        $each: [{ fingerprint, device, ipAddress, firstSeenAt: now, lastSeenAt: now }],
+        $slice: -KNOWN_DEVICE_LIMIT
+      };
+      await this.constructor.updateOne({ _id: this._id }, update);
+    }
+
+    // Keep the loaded document in step with the database
+    if (this.loginSecurity) {
+      this.loginSecurity.failedAttempts = 0;
+      this.loginSecurity.lockCount = 0;
+      this.loginSecurity.lockUntil = undefined;
+    }
+
+    return { newDevice, device, ipAddress, at: now };
+  };
+};
@@ -0,0 +1,106 @@
+// models/plugins/twoFactor.js - TOTP two-factor authentication for User and Company
+const crypto = require('crypto');
+const { generateSecret, verifyCode } = require('../../utils/totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+module.exports = function twoFactorPlugin(schema) {
+  schema.add({
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      secret: {
+        type: String,
+        select: false
+      },
+      // Secret issued by setup, only promoted to `secret` once a code confirms it
+      pendingSecret: {
+        type: String,
+        select: false
+      },
+      recoveryCodes: {
+        type: [String], // sha256 hashes
+        select: false
+      },
+      // Last accepted time step - stops a code being replayed inside its window
+      lastUsedStep: {
+        type: Number,
+        select: false
+      },
+      enabledAt: Date
+    }
+  });
+
+  // Method to start enrolment - returns the new (unconfirmed) secret
+  schema.methods.startTwoFactorSetup = function() {
+    const secret = generateSecret();
+    this.twoFactor.pendingSecret = secret;
+    return secret;
+  };
+
+  // Method to generate a fresh set of recovery codes - returns them in plain text, once
+  schema.methods.generateRecoveryCodes = function() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+    return codes;
+  };
+
+  // Method to confirm the pending secret with a code and switch 2FA on
+  schema.methods.enableTwoFactor = function(code) {
+    const step = this.twoFactor.pendingSecret ? verifyCode(this.twoFactor.pendingSecret, code) : null;
+    if (step === null) return null;
+
+    this.twoFactor.secret = this.twoFactor.pendingSecret;
+    this.twoFactor.pendingSecret = undefined;
+    this.twoFactor.enabled = true;
+    this.twoFactor.enabledAt = new Date();
+    this.twoFactor.lastUsedStep = step;
+
+    return this.generateRecoveryCodes();
+  };
+
+  // Method to switch 2FA off
+  schema.methods.disableTwoFactor = function() {
+    this.twoFactor.enabled = false;
+    this.twoFactor.secret = undefined;
+    this.twoFactor.pendingSecret = undefined;
+    this.twoFactor.recoveryCodes = [];
+    this.twoFactor.lastUsedStep = undefined;
+    this.twoFactor.enabledAt = undefined;
+  };
+
+  /**
+   * Method to check an authenticator code or a recovery code.
+   * Recovery codes are single use. Needs the document loaded with
+   * +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep.
+   */
+  schema.methods.verifyTwoFactorCode = function(code) {
+    if (!this.twoFactor?.enabled || !code) return false;
+
+    const step = verifyCode(this.twoFactor.secret, code);
+    if (step !== null) {
+      if (this.twoFactor.lastUsedStep !== undefined && step <= this.twoFactor.lastUsedStep) return false;
+      this.twoFactor.lastUsedStep = step;
+      return true;
+    }
+
+    const hashed = hashRecoveryCode(String(code));
+    const index = (this.twoFactor.recoveryCodes || []).indexOf(hashed);
+    if (index === -1) return false;
+
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  };
+};
+
+module.exports.TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+  searchUsers,
+  searchCompanies,
+  setUserBlocked,
+  setCompanyBlocked,
+  verifyCompany,
+  takeDownJob,
+  getPayouts,
+  approvePayout,
+  getPlatformStats
+} = require('../controllers/adminController');
+
+const { auth, requireAdmin } = require('../middleware/auth');
+
+router.get('/test', (req, res) => {
+  res.json({
+    message: 'Admin routes are working!',
+    endpoints: {
+      'GET /stats': 'Platform-wide statistics',
+      'GET /users': 'Search users',
+      'PUT /users/:id/block': 'Block or unblock a user',
+      'GET /companies': 'Search companies',
+      'PUT /companies/:id/block': 'Block or unblock a company',
+      'PUT /companies/:id/verify': 'Verify a company',
+      'PUT /jobs/:id/takedown': 'Take down a job',
+      'GET /payouts': 'List payouts by status',
+      'PUT /payouts/:id/approve': 'Approve a payout (waiveGuarantee: true to release inside the guarantee period)'
+    }
+  });
+});
+
+// @desc    Platform-wide statistics
+// @route   GET /api/admin/stats
+// @access  Private (Admin)
+router.get('/stats', auth, requireAdmin, getPlatformStats);
+
+// @desc    Search users
+// @route   GET /api/admin/users
+// @access  Private (Admin)
+router.get('/users', auth, requireAdmin, searchUsers);
+
+// @desc    Block or unblock a user
+// @route   PUT /api/admin/users/:id/block
+// @access  Private (Admin)
+router.put('/users/:id/block', auth, requireAdmin, setUserBlocked);
+
+// @desc    Search companies
+// @route   GET /api/admin/companies
+// @access  Private (Admin)
+router.get('/companies', auth, requireAdmin, searchCompanies);
+
+// @desc    Block or unblock a company
+// @route   PUT /api/admin/companies/:id/block
+// @access  Private (Admin)
+router.put('/companies/:id/block', auth, requireAdmin, setCompanyBlocked);
+
+// @desc    Verify a company
+// @route   PUT /api/admin/companies/:id/verify
+// @access  Private (Admin)
+router.put('/companies/:id/verify', auth, requireAdmin, verifyCompany);
+
+// @desc    Take down a job
+// @route   PUT /api/admin/jobs/:id/takedown
+// @access  Private (Admin)
+router.put('/jobs/:id/takedown', auth, requireAdmin, takeDownJob);
+
+// @desc    List payouts by status
+// @route   GET /api/admin/payouts
+// @access  Private (Admin)
+router.get('/payouts', auth, requireAdmin, getPayouts);
+
+// @desc    Approve a payout
+// @route   PUT /api/admin/payouts/:id/approve
+// @access  Private (Admin)
+router.put('/payouts/:id/approve', auth, requireAdmin, approvePayout);
+
+module.exports = router;
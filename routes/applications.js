@@ -11,10 +11,17 @@ const {
   updateApplicationStatus,
   getApplicationById,
   withdrawApplication,
-  scheduleInterview
+  scheduleInterview,
+  reviewReferralFraud,
+  reportDeparture
 } = require('../controllers/applicationController');
 
-const { auth, requireUser, requireCompany } = require('../middleware/auth');
+const { auth, authOrApiKey, requireUser, requireCompany, requireCompanyRole } = require('../middleware/auth');
+const { uploadSingle, discardUpload } = require('../middleware/upload');
+const { ROLE_PERMISSIONS } = require('../config/companyRoles');
+
+const canManageApplications = requireCompanyRole(...ROLE_PERMISSIONS.manageApplications);
+const canScheduleInterviews = requireCompanyRole(...ROLE_PERMISSIONS.scheduleInterviews);
 
 // Test route
 router.get('/test', (req, res) => {
@@ -24,11 +31,13 @@ router.get('/test', (req, res) => {
       'POST /': 'Submit job application (users only)',
       'GET /my-applications': 'Get user applications (users only)',
       'GET /my-referrals': 'Get user referrals (users only)',
-      'GET /company-applications': 'Get company applications (companies only)',
+      'GET /company-applications': 'Get company applications (companies only; sortBy=match for best fit first)',
       'GET /:id': 'Get application by ID',
       'PUT /:id/status': 'Update application status (companies only)',
       'PUT /:id/withdraw': 'Withdraw application (users only)',
-      'POST /:id/interview': 'Schedule interview (companies only)'
+      'POST /:id/interview': 'Schedule interview (companies only)',
+      'PUT /:id/referral-review': 'Review flagged referral (companies only)',
+      'POST /:id/departure': 'Report an early leaver (companies only)'
     }
   });
 });
@@ -37,12 +46,21 @@ router.get('/test', (req, res) => {
 
 // @desc    Submit job application
 // @route   POST /api/applications
-// @access  Private (User)
-router.post('/', auth, requireUser, (req, res, next) => {
+// @access  Private (User - JSON, or multipart with a one-off "resume" file)
+router.post('/', auth, requireUser, uploadSingle('resume', 'resume', { optional: true }), (req, res, next) => {
   // Validation middleware for application submission
   const { jobId, consent } = req.body;
   
+  // Multipart forms send the consent flags as strings
+  if (consent && typeof consent === 'object') {
+    Object.keys(consent).forEach(key => {
+      if (consent[key] === 'true') consent[key] = true;
+      if (consent[key] === 'false') consent[key] = false;
+    });
+  }
+  
   if (!jobId) {
+    discardUpload(req);
     return res.status(400).json({
       success: false,
       error: 'Missing job ID',
@@ -52,6 +70,7 @@ router.post('/', auth, requireUser, (req, res, next) => {
   
   // Check consent requirements
   if (!consent || consent.dataProcessing === false) {
+    discardUpload(req);
     return res.status(400).json({
       success: false,
       error: 'Consent required',
@@ -62,11 +81,6 @@ router.post('/', auth, requireUser, (req, res, next) => {
   next();
 }, submitApplication);
 
-// @desc    Get application by ID
-// @route   GET /api/applications/:id
-// @access  Private (Applicant, Company, or Referrer)
-router.get('/:id', auth, getApplicationById);
-
 // User-specific routes
 
 // @desc    Get user's applications
@@ -86,15 +100,22 @@ router.put('/:id/withdraw', auth, requireUser, withdrawApplication);
 
 // Company-specific routes
 
-// @desc    Get company applications
+// @desc    Get company applications (sortBy=match ranks by candidate fit)
 // @route   GET /api/applications/company-applications
-// @access  Private (Company)
-router.get('/company-applications', auth, requireCompany, getCompanyApplications);
+// @access  Private (Company, or API key with applications:read)
+router.get('/company-applications', authOrApiKey('applications:read'), requireCompany, getCompanyApplications);
+
+// Routes with an ID parameter (must come after the fixed paths above)
+
+// @desc    Get application by ID
+// @route   GET /api/applications/:id
+// @access  Private (Applicant, Company, Referrer, or API key with applications:read)
+router.get('/:id', authOrApiKey('applications:read'), getApplicationById);
 
 // @desc    Update application status
 // @route   PUT /api/applications/:id/status
-// @access  Private (Company)
-router.put('/:id/status', auth, requireCompany, (req, res, next) => {
+// @access  Private (Company - hiring team, or API key with applications:write)
+router.put('/:id/status', authOrApiKey('applications:write'), requireCompany, canManageApplications, (req, res, next) => {
   // Validation middleware for status updates
   const { status } = req.body;
   
@@ -195,8 +216,8 @@ router.post('/', auth, requireUser, async (req, res) => {
 
 // @desc    Schedule interview
 // @route   POST /api/applications/:id/interview
-// @access  Private (Company)
-router.post('/:id/interview', auth, requireCompany, (req, res, next) => {
+// @access  Private (Company - hiring team, or API key with applications:write)
+router.post('/:id/interview', authOrApiKey('applications:write'), requireCompany, canScheduleInterviews, (req, res, next) => {
   // Validation middleware for interview scheduling
   const { type, scheduledAt } = req.body;
   
@@ -230,4 +251,14 @@ router.post('/:id/interview', auth, requireCompany, (req, res, next) => {
   next();
 }, scheduleInterview);
 
+// @desc    Review a referral flagged by fraud scoring
+// @route   PUT /api/applications/:id/referral-review
+// @access  Private (Company - hiring team)
+router.put('/:id/referral-review', auth, requireCompany, canManageApplications, reviewReferralFraud);
+
+// @desc    Report that a hired candidate has left
+// @route   POST /api/applications/:id/departure
+// @access  Private (Company - hiring team)
+router.post('/:id/departure', auth, requireCompany, canManageApplications, reportDeparture);
+
 module.exports = router;
\ No newline at end of file
@@ -8,9 +8,28 @@ const {
   registerCompany,
   login,
   getMe,
-  logout
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  requestMagicLink,
+  loginWithMagicLink,
+  loginTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  acceptInvite,
+  getLoginHistory
 } = require('../controllers/authController');
 
+const { auth, optionalAuth } = require('../middleware/auth');
+
 // Test route
 router.get('/test', (req, res) => {
   console.log('✅ Auth test route accessed');
@@ -22,8 +41,25 @@ router.get('/test', (req, res) => {
       'POST /register': 'Register new user',
       'POST /register-company': 'Register new company',
       'POST /login': 'User/Company login',
+      'POST /login/2fa': 'Complete login with two-factor code',
+      'POST /2fa/setup': 'Start two-factor enrolment',
+      'POST /2fa/enable': 'Enable two-factor',
+      'POST /2fa/disable': 'Disable two-factor',
+      'POST /2fa/recovery-codes': 'Regenerate recovery codes',
       'GET /me': 'Get current user',
-      'POST /logout': 'User logout'
+      'POST /refresh': 'Refresh access token',
+      'POST /logout': 'User logout',
+      'POST /logout-all': 'Logout from all devices',
+      'GET /sessions': 'List active sessions',
+      'DELETE /sessions/:id': 'Revoke a session',
+      'GET /login-history': 'Recent sign-in activity',
+      'POST /verify-email/:token': 'Verify email address',
+      'POST /resend-verification': 'Resend verification email',
+      'POST /forgot-password': 'Request password reset link',
+      'PUT /reset-password/:token': 'Reset password',
+      'POST /magic-link': 'Email a passwordless sign-in link (job seekers)',
+      'GET /magic-link/:token': 'Sign in with a magic link',
+      'POST /accept-invite/:token': 'Accept company team invitation'
     }
   });
 });
@@ -43,14 +79,99 @@ router.post('/register-company', registerCompany);
 // @access  Public
 router.post('/login', login);
 
+// @desc    Complete login with two-factor code
+// @route   POST /api/auth/login/2fa
+// @access  Public (challenge token required)
+router.post('/login/2fa', loginTwoFactor);
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
-router.get('/me', getMe);
+router.get('/me', auth, getMe);
+
+// @desc    Refresh access token
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token required)
+router.post('/refresh', refresh);
 
 // @desc    Logout user
 // @route   POST /api/auth/logout
 // @access  Private
-router.post('/logout', logout);
+router.post('/logout', optionalAuth, logout);
+
+// @desc    Logout from all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', auth, logoutAll);
+
+// @desc    List active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', auth, getSessions);
+
+// @desc    Revoke a session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', auth, revokeSession);
+
+// @desc    Recent sign-in activity
+// @route   GET /api/auth/login-history
+// @access  Private
+router.get('/login-history', auth, getLoginHistory);
+
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+router.post('/verify-email/:token', verifyEmail);
+
+// @desc    Resend verification email
+// @route   POST /api/auth/resend-verification
+// @access  Public
+router.post('/resend-verification', resendVerification);
+
+// @desc    Request password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', forgotPassword);
+
+// @desc    Reset password
+// @route   PUT /api/auth/reset-password/:token
+// @access  Public
+router.put('/reset-password/:token', resetPassword);
+
+// @desc    Email a passwordless sign-in link
+// @route   POST /api/auth/magic-link
+// @access  Public
+router.post('/magic-link', requestMagicLink);
+
+// @desc    Sign in with a magic link
+// @route   GET /api/auth/magic-link/:token
+// @access  Public
+router.get('/magic-link/:token', loginWithMagicLink);
+
+// @desc    Start two-factor enrolment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post('/2fa/setup', auth, setupTwoFactor);
+
+// @desc    Enable two-factor
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+router.post('/2fa/enable', auth, enableTwoFactor);
+
+// @desc    Disable two-factor
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable', auth, disableTwoFactor);
+
+// @desc    Regenerate recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post('/2fa/recovery-codes', auth, regenerateRecoveryCodes);
+
+// @desc    Accept company team invitation
+// @route   POST /api/auth/accept-invite/:token
+// @access  Public
+router.post('/accept-invite/:token', acceptInvite);
 
 module.exports = router;
\ No newline at end of file
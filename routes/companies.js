@@ -1,6 +1,43 @@
 const express = require('express');
 const router = express.Router();
 
+// Import controllers and middleware
+const {
+  getReferralSettings,
+  updateReferralSettings,
+  getBillingUsage,
+  updateSecuritySettings,
+  exportCompanyData,
+  deleteCompanyAccount
+} = require('../controllers/companyController');
+const {
+  getInvoices,
+  getInvoiceById,
+  downloadInvoicePdf,
+  updateInvoicingMode
+} = require('../controllers/invoiceController');
+const {
+  getTeam,
+  inviteMember,
+  resendInvite,
+  updateMember,
+  removeMember
+} = require('../controllers/teamController');
+
+const {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+
+const { auth, requireCompany, requireCompanyRole } = require('../middleware/auth');
+const { ROLE_PERMISSIONS } = require('../config/companyRoles');
+
+const canManageSettings = requireCompanyRole(...ROLE_PERMISSIONS.manageSettings);
+const canManageBilling = requireCompanyRole(...ROLE_PERMISSIONS.manageBilling);
+const canManageTeam = requireCompanyRole(...ROLE_PERMISSIONS.manageTeam);
+const canManageAccountData = requireCompanyRole(...ROLE_PERMISSIONS.manageAccountData);
+
 router.get('/test', (req, res) => {
   res.json({
     message: 'Company routes are working!',
@@ -9,11 +46,119 @@ router.get('/test', (req, res) => {
       'PUT /profile': 'Update company profile',
       'GET /jobs': 'Get company jobs',
       'POST /jobs': 'Create new job',
-      'GET /applications': 'Get job applications'
+      'GET /applications': 'Get job applications',
+      'GET /referral-settings': 'Get referral attribution settings',
+      'PUT /referral-settings': 'Update referral attribution settings',
+      'GET /billing/usage': 'Get plan limits and usage',
+      'PUT /security': 'Update team security policy',
+      'PUT /billing/invoicing': 'Choose per-hire or monthly invoicing',
+      'GET /invoices': 'Get invoices',
+      'GET /invoices/:id': 'Get invoice details',
+      'GET /invoices/:id/pdf': 'Download invoice PDF',
+      'GET /team': 'List team members and seats',
+      'POST /team/invite': 'Invite a team member',
+      'POST /team/:memberId/resend-invite': 'Resend a team invitation',
+      'PUT /team/:memberId': 'Change a member role or access',
+      'DELETE /team/:memberId': 'Remove a team member',
+      'GET /api-keys': 'List API keys',
+      'POST /api-keys': 'Create an API key',
+      'DELETE /api-keys/:id': 'Revoke an API key',
+      'GET /me/export': 'Download all company data (JSON)',
+      'DELETE /me': 'Delete the company account'
     }
   });
 });
 
+// @desc    Get referral attribution settings
+// @route   GET /api/companies/referral-settings
+// @access  Private (Company)
+router.get('/referral-settings', auth, requireCompany, getReferralSettings);
+
+// @desc    Update referral attribution settings
+// @route   PUT /api/companies/referral-settings
+// @access  Private (Company owner/admin)
+router.put('/referral-settings', auth, requireCompany, canManageSettings, updateReferralSettings);
+
+// @desc    Get plan limits and usage
+// @route   GET /api/companies/billing/usage
+// @access  Private (Company)
+router.get('/billing/usage', auth, requireCompany, getBillingUsage);
+
+// @desc    Update team security policy
+// @route   PUT /api/companies/security
+// @access  Private (Company owner/admin)
+router.put('/security', auth, requireCompany, canManageSettings, updateSecuritySettings);
+
+// @desc    Choose per-hire or monthly invoicing
+// @route   PUT /api/companies/billing/invoicing
+// @access  Private (Company owner/admin)
+router.put('/billing/invoicing', auth, requireCompany, canManageBilling, updateInvoicingMode);
+
+// @desc    Get invoices
+// @route   GET /api/companies/invoices
+// @access  Private (Company owner/admin)
+router.get('/invoices', auth, requireCompany, canManageBilling, getInvoices);
+
+// @desc    Get invoice details
+// @route   GET /api/companies/invoices/:id
+// @access  Private (Company owner/admin)
+router.get('/invoices/:id', auth, requireCompany, canManageBilling, getInvoiceById);
+
+// @desc    Download invoice PDF
+// @route   GET /api/companies/invoices/:id/pdf
+// @access  Private (Company owner/admin)
+router.get('/invoices/:id/pdf', auth, requireCompany, canManageBilling, downloadInvoicePdf);
+
+// @desc    List team members and seats
+// @route   GET /api/companies/team
+// @access  Private (Company)
+router.get('/team', auth, requireCompany, getTeam);
+
+// @desc    Invite a team member
+// @route   POST /api/companies/team/invite
+// @access  Private (Company owner/admin)
+router.post('/team/invite', auth, requireCompany, canManageTeam, inviteMember);
+
+// @desc    Resend a team invitation
+// @route   POST /api/companies/team/:memberId/resend-invite
+// @access  Private (Company owner/admin)
+router.post('/team/:memberId/resend-invite', auth, requireCompany, canManageTeam, resendInvite);
+
+// @desc    Change a member role or access
+// @route   PUT /api/companies/team/:memberId
+// @access  Private (Company owner/admin)
+router.put('/team/:memberId', auth, requireCompany, canManageTeam, updateMember);
+
+// @desc    Remove a team member
+// @route   DELETE /api/companies/team/:memberId
+// @access  Private (Company owner/admin)
+router.delete('/team/:memberId', auth, requireCompany, canManageTeam, removeMember);
+
+// @desc    List API keys
+// @route   GET /api/companies/api-keys
+// @access  Private (Company owner/admin)
+router.get('/api-keys', auth, requireCompany, canManageSettings, getApiKeys);
+
+// @desc    Create an API key
+// @route   POST /api/companies/api-keys
+// @access  Private (Company owner/admin)
+router.post('/api-keys', auth, requireCompany, canManageSettings, createApiKey);
+
+// @desc    Revoke an API key
+// @route   DELETE /api/companies/api-keys/:id
+// @access  Private (Company owner/admin)
+router.delete('/api-keys/:id', auth, requireCompany, canManageSettings, revokeApiKey);
+
+// @desc    Download all company data
+// @route   GET /api/companies/me/export
+// @access  Private (Company owner)
+router.get('/me/export', auth, requireCompany, canManageAccountData, exportCompanyData);
+
+// @desc    Delete the company account
+// @route   DELETE /api/companies/me
+// @access  Private (Company owner)
+router.delete('/me', auth, requireCompany, canManageAccountData, deleteCompanyAccount);
+
 // Placeholder routes
 router.get('/profile', (req, res) => {
   res.json({ message: 'Get company profile endpoint - Coming soon!' });
@@ -31,4 +176,4 @@ router.post('/jobs', (req, res) => {
   res.json({ message: 'Create new job endpoint - Coming soon!' });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
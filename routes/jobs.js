@@ -5,6 +5,7 @@ const router = express.Router();
 // Import controllers and middleware
 const {
   getJobs,
+  getJobMatches,
   getJobById,
   createJob,
   updateJob,
@@ -16,7 +17,11 @@ const {
   getJobStats
 } = require('../controllers/jobController');
 
-const { auth, requireUser, requireCompany } = require('../middleware/auth');
+const { auth, authOrApiKey, optionalAuth, requireUser, requireCompany, requireCompanyRole } = require('../middleware/auth');
+const { requirePlanFeature } = require('../middleware/plan');
+const { ROLE_PERMISSIONS } = require('../config/companyRoles');
+
+const canManageJobs = requireCompanyRole(...ROLE_PERMISSIONS.manageJobs);
 
 // Test route
 router.get('/test', (req, res) => {
@@ -25,6 +30,7 @@ router.get('/test', (req, res) => {
     endpoints: {
       'GET /': 'Get all jobs (with filters)',
       'GET /filters': 'Get available filters',
+      'GET /matches': 'Jobs ranked by match score for you, with a per-factor breakdown (users only)',
       'GET /:id': 'Get job by ID',
       'POST /': 'Create new job (companies only)',
       'PUT /:id': 'Update job (companies only)',
@@ -49,23 +55,28 @@ router.get('/', getJobs);
 // @access  Public
 router.get('/filters', getJobFilters);
 
+// @desc    Get jobs ranked by how well they match the user
+// @route   GET /api/jobs/matches
+// @access  Private (User)
+router.get('/matches', auth, requireUser, getJobMatches);
+
 // Company-only routes (must come before /:id to avoid conflicts)
 
 // @desc    Get company's jobs
 // @route   GET /api/jobs/company/mine
-// @access  Private (Company)
-router.get('/company/mine', auth, requireCompany, getCompanyJobs);
+// @access  Private (Company, or API key with jobs:read)
+router.get('/company/mine', authOrApiKey('jobs:read'), requireCompany, getCompanyJobs);
 
 // Protected routes with ID parameter
 
 // @desc    Get single job by ID
 // @route   GET /api/jobs/:id
-// @access  Public
-router.get('/:id', getJobById);
+// @access  Public (candidate attached when logged in)
+router.get('/:id', optionalAuth, getJobById);
 
 // @desc    Create new job
 // @route   POST /api/jobs
-// @access  Private (Company)
+// @access  Private (Company - job managers, or API key with jobs:write)
 router.post('/', 
   // Debug logging middleware
   (req, res, next) => {
@@ -85,7 +96,7 @@ router.post('/',
   },
   
   // Authentication middleware
-  auth, 
+  authOrApiKey('jobs:write'), 
   
   // Debug after auth
   (req, res, next) => {
@@ -99,6 +110,7 @@ router.post('/',
   
   // Company authorization middleware
   requireCompany, 
+  canManageJobs,
   
   // Debug after requireCompany
   (req, res, next) => {
@@ -166,13 +178,13 @@ router.post('/',
 
 // @desc    Update job
 // @route   PUT /api/jobs/:id
-// @access  Private (Company)
-router.put('/:id', auth, requireCompany, updateJob);
+// @access  Private (Company - job managers, or API key with jobs:write)
+router.put('/:id', authOrApiKey('jobs:write'), requireCompany, canManageJobs, updateJob);
 
 // @desc    Update job status
 // @route   PUT /api/jobs/:id/status
-// @access  Private (Company)
-router.put('/:id/status', auth, requireCompany, (req, res, next) => {
+// @access  Private (Company - job managers, or API key with jobs:write)
+router.put('/:id/status', authOrApiKey('jobs:write'), requireCompany, canManageJobs, (req, res, next) => {
   // Validation middleware for status updates
   const { status } = req.body;
   
@@ -198,8 +210,8 @@ router.put('/:id/status', auth, requireCompany, (req, res, next) => {
 
 // @desc    Get job statistics
 // @route   GET /api/jobs/:id/stats
-// @access  Private (Company)
-router.get('/:id/stats', auth, requireCompany, getJobStats);
+// @access  Private (Company, or API key with jobs:read)
+router.get('/:id/stats', authOrApiKey('jobs:read'), requireCompany, requirePlanFeature('analytics'), getJobStats);
 
 // @desc    Generate referral link for job
 // @route   GET /api/jobs/:id/referral-link
@@ -254,7 +266,7 @@ router.post('/:id/view', async (req, res) => {
 
 // @desc    Delete job
 // @route   DELETE /api/jobs/:id
-// @access  Private (Company)
-router.delete('/:id', auth, requireCompany, deleteJob);
+// @access  Private (Company - job managers, or API key with jobs:write)
+router.delete('/:id', authOrApiKey('jobs:write'), requireCompany, canManageJobs, deleteJob);
 
 module.exports = router;
\ No newline at end of file
@@ -1,32 +1,68 @@
 const express = require('express');
 const router = express.Router();
 
+// Import controllers and middleware
+const {
+  getEarnings,
+  getPaymentHistory,
+  approvePayment,
+  onboardPayoutAccount,
+  getPaymentMethods,
+  withdraw,
+  getWithdrawals
+} = require('../controllers/paymentController');
+
+const { auth, requireUser, requireCompany, requireCompanyRole } = require('../middleware/auth');
+const { ROLE_PERMISSIONS } = require('../config/companyRoles');
+
 router.get('/test', (req, res) => {
   res.json({
     message: 'Payment routes are working!',
     endpoints: {
       'GET /earnings': 'Get user earnings',
       'GET /history': 'Get payment history',
+      'PUT /:id/approve': 'Approve referral fee (companies only, waiveGuarantee: true inside the guarantee period)',
+      'POST /connect/onboard': 'Set up a Stripe payout account',
       'POST /withdraw': 'Request payment withdrawal',
+      'GET /withdrawals': 'Get withdrawal history',
       'GET /methods': 'Get payment methods'
     }
   });
 });
 
-// Placeholder routes
-router.get('/earnings', (req, res) => {
-  res.json({ 
-    message: 'Get user earnings endpoint - Coming soon!',
-    sampleData: {
-      totalEarnings: 2400,
-      pendingEarnings: 1000,
-      paidEarnings: 1400
-    }
-  });
-});
+// @desc    Get user earnings from the payout ledger
+// @route   GET /api/payments/earnings
+// @access  Private (User)
+router.get('/earnings', auth, requireUser, getEarnings);
 
-router.get('/history', (req, res) => {
-  res.json({ message: 'Get payment history endpoint - Coming soon!' });
-});
+// @desc    Get payment history
+// @route   GET /api/payments/history
+// @access  Private (User or Company)
+router.get('/history', auth, getPaymentHistory);
+
+// @desc    Start Stripe Connect onboarding
+// @route   POST /api/payments/connect/onboard
+// @access  Private (User)
+router.post('/connect/onboard', auth, requireUser, onboardPayoutAccount);
+
+// @desc    Get payout methods
+// @route   GET /api/payments/methods
+// @access  Private (User)
+router.get('/methods', auth, requireUser, getPaymentMethods);
+
+// @desc    Withdraw approved earnings
+// @route   POST /api/payments/withdraw
+// @access  Private (User)
+router.post('/withdraw', auth, requireUser, withdraw);
+
+// @desc    Get withdrawal history
+// @route   GET /api/payments/withdrawals
+// @access  Private (User)
+router.get('/withdrawals', auth, requireUser, getWithdrawals);
+
+// @desc    Approve a pending referral fee
+// @route   PUT /api/payments/:id/approve
+// @access  Private (Company owner/admin)
+router.put('/:id/approve', auth, requireCompany, requireCompanyRole(...ROLE_PERMISSIONS.manageBilling), approvePayment);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
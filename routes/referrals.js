@@ -1,6 +1,17 @@
+// routes/referrals.js - Referral link and funnel tracking routes
 const express = require('express');
 const router = express.Router();
 
+// Import controllers and middleware
+const {
+  createReferral,
+  trackReferralClick,
+  getUserReferrals,
+  getReferralStats
+} = require('../controllers/referralController');
+
+const { auth, optionalAuth, requireUser } = require('../middleware/auth');
+
 router.get('/test', (req, res) => {
   res.json({
     message: 'Referral routes are working!',
@@ -13,17 +24,24 @@ router.get('/test', (req, res) => {
   });
 });
 
-// Placeholder routes
-router.post('/create', (req, res) => {
-  res.json({ message: 'Create referral endpoint - Coming soon!' });
-});
+// @desc    Create referral link for a job
+// @route   POST /api/referrals/create
+// @access  Private (User)
+router.post('/create', auth, requireUser, createReferral);
 
-router.get('/my-referrals', (req, res) => {
-  res.json({ message: 'Get user referrals endpoint - Coming soon!' });
-});
+// @desc    Get user's referral links
+// @route   GET /api/referrals/my-referrals
+// @access  Private (User)
+router.get('/my-referrals', auth, requireUser, getUserReferrals);
 
-router.post('/track-click', (req, res) => {
-  res.json({ message: 'Track referral click endpoint - Coming soon!' });
-});
+// @desc    Track referral link click
+// @route   POST /api/referrals/track-click
+// @access  Public (candidate attached when logged in)
+router.post('/track-click', optionalAuth, trackReferralClick);
+
+// @desc    Get referral funnel statistics
+// @route   GET /api/referrals/stats
+// @access  Private (User)
+router.get('/stats', auth, requireUser, getReferralStats);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,28 +1,170 @@
 const express = require('express');
 const router = express.Router();
 
+const {
+  getProfile,
+  updateProfile,
+  getResumes,
+  uploadResume,
+  updateResume,
+  deleteResume,
+  reparseResume,
+  getProfileSuggestions,
+  acceptProfileSuggestions,
+  uploadPhoto,
+  exportMyData,
+  deleteMyAccount
+} = require('../controllers/userController');
+const {
+  getSavedJobs,
+  saveJob,
+  unsaveJob,
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  runSavedSearch
+} = require('../controllers/savedController');
+const { auth, requireUser } = require('../middleware/auth');
+const { uploadSingle } = require('../middleware/upload');
+
 router.get('/test', (req, res) => {
   res.json({
     message: 'User routes are working!',
     endpoints: {
       'GET /profile': 'Get user profile',
       'PUT /profile': 'Update user profile',
+      'GET /profile/suggestions': 'Skills and experience detected in your resume (optional ?resumeId=)',
+      'POST /profile/suggestions/accept': 'Add suggested skills (true or a list) and/or experience (true) to your profile',
       'GET /referrals': 'Get user referrals',
       'GET /earnings': 'Get user earnings',
-      'POST /upload-resume': 'Upload resume'
+      'POST /upload-resume': 'Upload resume as the new default (multipart field "resume")',
+      'GET /resumes': 'List resume library',
+      'POST /resumes': 'Add a resume to the library (multipart field "resume", optional name, makeDefault)',
+      'PUT /resumes/:resumeId': 'Rename a resume or make it the default',
+      'DELETE /resumes/:resumeId': 'Delete a resume',
+      'POST /resumes/:resumeId/parse': 'Parse a resume again',
+      'POST /upload-photo': 'Upload profile photo (multipart field "photo")',
+      'GET /saved-jobs': 'List saved jobs with their current status',
+      'POST /saved-jobs/:jobId': 'Save a job (optional note)',
+      'DELETE /saved-jobs/:jobId': 'Remove a saved job',
+      'GET /saved-searches': 'List saved searches with new job counts',
+      'POST /saved-searches': 'Save a job search (name, query with GET /api/jobs parameters)',
+      'PUT /saved-searches/:searchId': 'Rename a saved search or change its query',
+      'DELETE /saved-searches/:searchId': 'Delete a saved search',
+      'GET /saved-searches/:searchId/jobs': 'Re-run a saved search (marks new jobs as seen)',
+      'GET /me/export': 'Download all your data (JSON)',
+      'DELETE /me': 'Delete your account'
     }
   });
 });
 
-// Placeholder routes
-router.get('/profile', (req, res) => {
-  res.json({ message: 'Get user profile endpoint - Coming soon!' });
-});
+// @desc    Get the user's profile
+// @route   GET /api/users/profile
+// @access  Private (User)
+router.get('/profile', auth, requireUser, getProfile);
 
-router.put('/profile', (req, res) => {
-  res.json({ message: 'Update user profile endpoint - Coming soon!' });
-});
+// @desc    Update the user's profile
+// @route   PUT /api/users/profile
+// @access  Private (User)
+router.put('/profile', auth, requireUser, updateProfile);
+
+// @desc    Get profile suggestions from a parsed resume
+// @route   GET /api/users/profile/suggestions
+// @access  Private (User)
+router.get('/profile/suggestions', auth, requireUser, getProfileSuggestions);
+
+// @desc    Apply profile suggestions from a parsed resume
+// @route   POST /api/users/profile/suggestions/accept
+// @access  Private (User)
+router.post('/profile/suggestions/accept', auth, requireUser, acceptProfileSuggestions);
+
+// @desc    Upload a new default resume (kept for older clients - adds to the library)
+// @route   POST /api/users/upload-resume
+// @access  Private (User)
+router.post('/upload-resume', auth, requireUser, uploadSingle('resume', 'resume'), uploadResume);
+
+// @desc    List the user's resumes
+// @route   GET /api/users/resumes
+// @access  Private (User)
+router.get('/resumes', auth, requireUser, getResumes);
+
+// @desc    Add a resume to the library
+// @route   POST /api/users/resumes
+// @access  Private (User)
+router.post('/resumes', auth, requireUser, uploadSingle('resume', 'resume'), uploadResume);
+
+// @desc    Rename a resume or make it the default
+// @route   PUT /api/users/resumes/:resumeId
+// @access  Private (User)
+router.put('/resumes/:resumeId', auth, requireUser, updateResume);
+
+// @desc    Delete a resume
+// @route   DELETE /api/users/resumes/:resumeId
+// @access  Private (User)
+router.delete('/resumes/:resumeId', auth, requireUser, deleteResume);
+
+// @desc    Queue a resume to be parsed again
+// @route   POST /api/users/resumes/:resumeId/parse
+// @access  Private (User)
+router.post('/resumes/:resumeId/parse', auth, requireUser, reparseResume);
 
+// @desc    Upload or replace the user's profile photo
+// @route   POST /api/users/upload-photo
+// @access  Private (User)
+router.post('/upload-photo', auth, requireUser, uploadSingle('profileImage', 'photo'), uploadPhoto);
+
+// @desc    List saved jobs
+// @route   GET /api/users/saved-jobs
+// @access  Private (User)
+router.get('/saved-jobs', auth, requireUser, getSavedJobs);
+
+// @desc    Save a job
+// @route   POST /api/users/saved-jobs/:jobId
+// @access  Private (User)
+router.post('/saved-jobs/:jobId', auth, requireUser, saveJob);
+
+// @desc    Remove a saved job
+// @route   DELETE /api/users/saved-jobs/:jobId
+// @access  Private (User)
+router.delete('/saved-jobs/:jobId', auth, requireUser, unsaveJob);
+
+// @desc    List saved searches
+// @route   GET /api/users/saved-searches
+// @access  Private (User)
+router.get('/saved-searches', auth, requireUser, getSavedSearches);
+
+// @desc    Save a job search
+// @route   POST /api/users/saved-searches
+// @access  Private (User)
+router.post('/saved-searches', auth, requireUser, createSavedSearch);
+
+// @desc    Update a saved search
+// @route   PUT /api/users/saved-searches/:searchId
+// @access  Private (User)
+router.put('/saved-searches/:searchId', auth, requireUser, updateSavedSearch);
+
+// @desc    Delete a saved search
+// @route   DELETE /api/users/saved-searches/:searchId
+// @access  Private (User)
+router.delete('/saved-searches/:searchId', auth, requireUser, deleteSavedSearch);
+
+// @desc    Re-run a saved search
+// @route   GET /api/users/saved-searches/:searchId/jobs
+// @access  Private (User)
+router.get('/saved-searches/:searchId/jobs', auth, requireUser, runSavedSearch);
+
+// @desc    Download all of the user's data
+// @route   GET /api/users/me/export
+// @access  Private (User)
+router.get('/me/export', auth, requireUser, exportMyData);
+
+// @desc    Delete the user's account
+// @route   DELETE /api/users/me
+// @access  Private (User)
+router.delete('/me', auth, requireUser, deleteMyAccount);
+
+// Placeholder routes
 router.get('/referrals', (req, res) => {
   res.json({ message: 'Get user referrals endpoint - Coming soon!' });
 });
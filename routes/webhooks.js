@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 
+const { handleStripeWebhook } = require('../controllers/webhookController');
+
 router.get('/test', (req, res) => {
   res.json({
     message: 'Webhook routes are working!',
@@ -11,11 +13,12 @@ router.get('/test', (req, res) => {
   });
 });
 
-// Placeholder routes
-router.post('/stripe', (req, res) => {
-  res.json({ message: 'Stripe webhook endpoint - Coming soon!' });
-});
+// @desc    Stripe webhook events
+// @route   POST /api/webhooks/stripe
+// @access  Public (Stripe signature required)
+router.post('/stripe', handleStripeWebhook);
 
+// Placeholder routes
 router.post('/email', (req, res) => {
   res.json({ message: 'Email webhook endpoint - Coming soon!' });
 });
@@ -9,6 +9,7 @@ const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const morgan = require('morgan');
+const cookieParser = require('cookie-parser');
 const path = require('path');
 
 // Import configurations
@@ -19,6 +20,7 @@ const {
   setupGracefulShutdown 
 } = require('./config');
 const configureSocket = require('./config/socket');
+const { startScheduler } = require('./utils/scheduler');
 
 // Initialize Express app
 const app = express();
@@ -68,6 +70,9 @@ const startServer = async () => {
         // 9. Setup graceful shutdown
         setupGracefulShutdown(server);
         
+        // 10. Start recurring tasks (invoicing, etc.)
+        startScheduler();
+        
         return server;
       } catch (error) {
         if (error.code === 'EADDRINUSE') {
@@ -134,7 +139,7 @@ const setupMiddleware = (app, config) => {
       }
   },
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Visitor-Id', 'X-CSRF-Token'],
     exposedHeaders: ['Content-Range', 'X-Content-Range'],
     credentials: true,
     maxAge: 86400 // 24 hours
@@ -150,7 +155,7 @@ const setupMiddleware = (app, config) => {
   app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', 'http://127.0.0.1:5500');
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, X-Visitor-Id, X-CSRF-Token');
     res.header('Access-Control-Allow-Credentials', 'true');
     next();
   });
@@ -179,6 +184,33 @@ const setupMiddleware = (app, config) => {
   });
   app.use('/api/auth/login', authLimiter);
   app.use('/api/auth/register', authLimiter);
+  app.use('/api/auth/resend-verification', authLimiter);
+  app.use('/api/auth/accept-invite', authLimiter);
+  
+  // Separate budget for password reset links so they can't be used to lock out logins (or vice versa)
+  const passwordResetLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5, // 5 requests per window
+    message: {
+      error: 'Too many password reset requests, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+  app.use('/api/auth/forgot-password', passwordResetLimiter);
+  app.use('/api/auth/reset-password', passwordResetLimiter);
+  
+  // Sign-in link requests get their own budget; following a link (GET /magic-link/:token) is not limited here
+  const magicLinkLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5, // 5 requests per window
+    message: {
+      error: 'Too many sign-in link requests, please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+  app.post('/api/auth/magic-link', magicLinkLimiter);
   
   // Logging
   if (config.logLevel !== 'none') {
@@ -197,6 +229,9 @@ const setupMiddleware = (app, config) => {
   }));
   app.use(express.urlencoded({ extended: true, limit: '10mb' }));
   
+  // Cookies are an auth channel (token / refreshToken) alongside the Authorization header
+  app.use(cookieParser());
+  
   // Static file serving for uploads
   app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
   
@@ -298,6 +333,7 @@ const setupRoutes = (app) => {
   app.use('/api/payments', require('./routes/payments'));
   app.use('/api/dashboard', require('./routes/dashboard'));
   app.use('/api/webhooks', require('./routes/webhooks'));
+  app.use('/api/admin', require('./routes/admin'));
   
   console.log('✅ Routes configured');
 };
@@ -0,0 +1,38 @@
+// utils/csrf.js - CSRF tokens for cookie-authenticated requests
+const crypto = require('crypto');
+
+const CSRF_COOKIE = 'csrfToken';
+const CSRF_HEADER = 'x-csrf-token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * The token is an HMAC of the session id, so it is tied to one login session:
+ * a token planted by another site (or left over from an old session) never matches.
+ * It is handed to the browser in a readable cookie and must be echoed back
+ * in the X-CSRF-Token header (double submit).
+ */
+const generateCsrfToken = (sessionId) => crypto
+  .createHmac('sha256', process.env.CSRF_SECRET || process.env.JWT_SECRET || 'fallback_secret_key')
+  .update(`csrf:${sessionId}`)
+  .digest('hex');
+
+// Check the header sent with a request against the session's token
+const isValidCsrfRequest = (req, sessionId) => {
+  if (SAFE_METHODS.includes(req.method)) return true;
+
+  const sent = req.headers[CSRF_HEADER];
+  if (!sent || !sessionId) return false;
+
+  // Compare byte lengths - a header with non-ASCII characters would make timingSafeEqual throw
+  const sentBuffer = Buffer.from(String(sent));
+  const expectedBuffer = Buffer.from(generateCsrfToken(sessionId));
+  return sentBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(sentBuffer, expectedBuffer);
+};
+
+module.exports = {
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  generateCsrfToken,
+  isValidCsrfRequest
+};
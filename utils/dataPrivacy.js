@@ -0,0 +1,436 @@
+// utils/dataPrivacy.js - GDPR data exports and account erasure
+const crypto = require('crypto');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const CompanyMember = require('../models/CompanyMember');
+const Application = require('../models/Application');
+const Referral = require('../models/Referral');
+const ReferralClick = require('../models/ReferralClick');
+const Payment = require('../models/Payment');
+const Withdrawal = require('../models/Withdrawal');
+const Invoice = require('../models/Invoice');
+const Job = require('../models/Job');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const SavedJob = require('../models/SavedJob');
+const SavedSearch = require('../models/SavedSearch');
+const { OUTSTANDING_STATUSES, getEarningsSummary, transitionPayment } = require('./ledger');
+const { cancelSubscription } = require('../config/stripe');
+const { TWO_FACTOR_SECRET_FIELDS } = require('../models/plugins/twoFactor');
+const { removeStoredFile } = require('./fileStorage');
+
+const EXPORT_FORMAT_VERSION = 1;
+const OPEN_APPLICATION_STATUSES = ['pending', 'reviewing', 'shortlisted', 'interviewing', 'offered'];
+
+const privacyError = (title, message, statusCode, code, details) => {
+  const error = new Error(message);
+  error.title = title;
+  error.statusCode = statusCode;
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+// Placeholder address for an erased account - the .invalid TLD never receives mail
+const erasedEmail = (id) => `deleted-${id}@deleted.invalid`;
+
+// Not a bcrypt hash, so no password will ever match it
+const unusablePassword = () => `erased:${crypto.randomBytes(16).toString('hex')}`;
+
+// Erasure can't be undone, so the signed-in person re-proves who they are first
+const confirmAccountOwner = async (req) => {
+  const { password, code } = req.body;
+
+  const account = await req.account.constructor
+    .findById(req.account._id)
+    .select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+
+  const passwordOk = await account.comparePassword(password);
+  const codeOk = !account.twoFactor?.enabled || account.verifyTwoFactorCode(code);
+
+  if (!passwordOk || !codeOk) {
+    throw privacyError(
+      'Confirmation failed',
+      account.twoFactor?.enabled ? 'Invalid password or authentication code' : 'Invalid password',
+      401,
+      'CONFIRMATION_FAILED'
+    );
+  }
+};
+
+const exportHeader = (type, id) => ({
+  format: 'referd-data-export',
+  version: EXPORT_FORMAT_VERSION,
+  exportedAt: new Date(),
+  accountType: type,
+  accountId: id
+});
+
+// Everything we hold about a job seeker / referrer, as plain JSON
+const buildUserExport = async (userId) => {
+  const [user, applications, referrals, referredApplications, payments, withdrawals, earnings, sessions, savedJobs, savedSearches] = await Promise.all([
+    User.findById(userId).select('+loginHistory +knownDevices +paymentDetails.bankAccount +paymentDetails.sortCode +resumes.extractedText'),
+    Application.find({ applicantId: userId })
+      .select('-fraudReview -referralAttribution')
+      .populate('jobId', 'title')
+      .populate('companyId', 'companyName')
+      .lean(),
+    Referral.find({ referrerId: userId }).populate('jobId', 'title').lean(),
+    // Candidates the user referred are someone else's data - only the outcome is exported
+    Application.find({ referredBy: userId })
+      .select('jobId companyId status isReferral referralPayment createdAt')
+      .populate('jobId', 'title')
+      .populate('companyId', 'companyName')
+      .lean(),
+    Payment.find({ referrerId: userId }).sort({ createdAt: -1 }).lean(),
+    Withdrawal.find({ userId }).sort({ createdAt: -1 }).lean(),
+    getEarningsSummary(userId),
+    Session.find({ accountId: userId }).sort({ createdAt: -1 }).lean(),
+    SavedJob.find({ userId }).populate('jobId', 'title').lean(),
+    SavedSearch.find({ userId }).lean()
+  ]);
+
+  const account = user.getSafeData();
+  delete account.twoFactor;
+
+  return {
+    ...exportHeader('user', userId),
+    account: {
+      ...account,
+      twoFactorEnabled: !!user.twoFactor?.enabled
+    },
+    applications,
+    referrals,
+    referredApplications,
+    earnings: {
+      summary: earnings,
+      payments,
+      withdrawals
+    },
+    savedJobs,
+    savedSearches,
+    sessions
+  };
+};
+
+// Everything held for a company account, its team and its hiring activity
+const buildCompanyExport = async (companyId) => {
+  const [company, members, jobs, applications, payments, invoices, apiKeys, sessions] = await Promise.all([
+    Company.findById(companyId).select('+loginHistory +knownDevices'),
+    CompanyMember.find({ companyId }).lean(),
+    Job.find({ companyId }).lean(),
+    Application.find({ companyId })
+      .select('jobId applicantId status isReferral referredBy statusHistory interviews offer createdAt')
+      .populate('applicantId', 'firstName lastName email')
+      .populate('jobId', 'title')
+      .lean(),
+    Payment.find({ companyId }).sort({ createdAt: -1 }).lean(),
+    Invoice.find({ companyId }).sort({ createdAt: -1 }).lean(),
+    ApiKey.find({ companyId }).lean(),
+    Session.find({ accountId: companyId }).sort({ createdAt: -1 }).lean()
+  ]);
+
+  const account = company.getSafeData();
+  delete account.twoFactor;
+
+  members.forEach(member => {
+    delete member.password;
+    delete member.inviteToken;
+    delete member.twoFactor;
+  });
+
+  return {
+    ...exportHeader('company', companyId),
+    account: {
+      ...account,
+      twoFactorEnabled: !!company.twoFactor?.enabled
+    },
+    team: members,
+    jobs,
+    applications,
+    referralFees: payments,
+    invoices,
+    apiKeys,
+    sessions
+  };
+};
+
+/**
+ * Erase a job seeker / referrer. The account document is kept (anonymised) so
+ * ledger entries, withdrawals and applications keep pointing at a valid id;
+ * everything that identifies the person is removed.
+ * Outstanding earnings must be explicitly forfeited - they are reversed through
+ * the ledger rather than deleted.
+ */
+const eraseUser = async (user, { forfeitEarnings = false } = {}) => {
+  const [payoutInProgress, processingPayment, outstandingPayments] = await Promise.all([
+    Withdrawal.exists({ userId: user._id, status: { $in: ['requested', 'processing'] } }),
+    Payment.exists({ referrerId: user._id, status: 'processing' }),
+    Payment.find({ referrerId: user._id, status: { $in: OUTSTANDING_STATUSES.filter(status => status !== 'processing') } })
+  ]);
+
+  if (payoutInProgress || processingPayment) {
+    throw privacyError(
+      'Payout in progress',
+      'A payout to you is being processed. Please try again once it has completed.',
+      409,
+      'PAYOUT_IN_PROGRESS'
+    );
+  }
+
+  // Unrecovered clawbacks are written off with the account; only earnings need confirming
+  const outstandingEarnings = outstandingPayments.filter(payment => payment.type !== 'clawback');
+
+  if (outstandingEarnings.length > 0 && !forfeitEarnings) {
+    const amount = outstandingEarnings.reduce((sum, payment) => sum + payment.amount, 0);
+    throw privacyError(
+      'Outstanding earnings',
+      'You have referral earnings that have not been paid out yet. Withdraw them first, or confirm that you want to forfeit them.',
+      409,
+      'OUTSTANDING_EARNINGS',
+      { outstandingAmount: amount, entries: outstandingEarnings.length }
+    );
+  }
+
+  for (const payment of outstandingPayments) {
+    await transitionPayment(payment, 'reversed', {
+      by: user._id,
+      byModel: 'User',
+      note: payment.type === 'clawback' ? 'Written off on account deletion' : 'Forfeited on account deletion'
+    });
+  }
+
+  const now = new Date();
+
+  // Uploaded files go too - the profile and library copies and any sent with applications
+  const applicationResumes = await Application.find({ applicantId: user._id, 'resume.url': { $exists: true } }).select('resume');
+  const storedFiles = [
+    user.profile?.resume,
+    user.profile?.profileImage,
+    ...(user.resumes || []),
+    ...applicationResumes.map(application => application.resume)
+  ];
+  const removedUrls = new Set();
+  for (const stored of storedFiles) {
+    if (!stored?.url || removedUrls.has(stored.url)) continue;
+    removedUrls.add(stored.url);
+    await removeStoredFile(stored);
+  }
+
+  // Open applications are withdrawn so companies stop processing them
+  await Application.updateMany(
+    { applicantId: user._id, status: { $in: OPEN_APPLICATION_STATUSES } },
+    {
+      $set: { status: 'withdrawn' },
+      $push: {
+        statusHistory: {
+          status: 'withdrawn',
+          timestamp: now,
+          note: 'Applicant deleted their account',
+          updatedBy: user._id,
+          updatedByModel: 'User'
+        }
+      }
+    }
+  );
+
+  // Status, dates and payment links stay; the candidate's content goes
+  await Application.updateMany(
+    { applicantId: user._id },
+    {
+      $set: {
+        communications: [],
+        'consent.dataProcessing': false,
+        'consent.marketing': false,
+        anonymisedAt: now
+      },
+      $unset: {
+        coverLetter: 1,
+        resume: 1,
+        customResponses: 1,
+        internalNotes: 1,
+        companyFeedback: 1,
+        'tracking.ipAddress': 1,
+        'tracking.browserInfo': 1,
+        'tracking.deviceType': 1,
+        'offer.declineReason': 1
+      }
+    }
+  );
+
+  await Referral.updateMany(
+    { referrerId: user._id, status: 'active' },
+    { $set: { status: 'cancelled' } }
+  );
+
+  await ReferralClick.updateMany(
+    { candidateId: user._id },
+    {
+      $set: { candidateId: null },
+      $unset: { visitorId: 1, ipAddress: 1, userAgent: 1 }
+    }
+  );
+
+  await Promise.all([
+    SavedJob.deleteMany({ userId: user._id }),
+    SavedSearch.deleteMany({ userId: user._id })
+  ]);
+
+  await Session.revokeAllForAccount(user._id, 'account_deleted');
+
+  // Bypasses validation on purpose - required profile fields are being removed
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        firstName: 'Deleted',
+        lastName: 'User',
+        email: erasedEmail(user._id),
+        password: unusablePassword(),
+        isActive: false,
+        emailVerified: false,
+        deletedAt: now
+      },
+      $unset: {
+        phone: 1,
+        referralCode: 1,
+        profile: 1,
+        resumes: 1,
+        paymentDetails: 1,
+        preferences: 1,
+        emailVerificationToken: 1,
+        emailVerificationExpire: 1,
+        resetPasswordToken: 1,
+        resetPasswordExpire: 1,
+        magicLinkToken: 1,
+        magicLinkExpire: 1,
+        twoFactor: 1,
+        loginSecurity: 1,
+        loginHistory: 1,
+        knownDevices: 1,
+        lastLogin: 1
+      }
+    }
+  );
+
+  console.log(`🗑️ User account erased: ${user._id} (${outstandingPayments.length} ledger entries forfeited)`);
+
+  return { forfeitedEntries: outstandingPayments.length };
+};
+
+/**
+ * Erase a company account. Unsettled invoices block deletion. Jobs are closed,
+ * the team is removed and anonymised, API keys and sessions are revoked and the
+ * subscription is cancelled. Invoices and ledger entries are kept as they are -
+ * they are financial records we are required to retain.
+ */
+const eraseCompany = async (company) => {
+  const unsettledInvoices = await Invoice.countDocuments({
+    companyId: company._id,
+    status: { $in: ['draft', 'open'] }
+  });
+
+  if (unsettledInvoices > 0) {
+    throw privacyError(
+      'Unsettled invoices',
+      'Your account has invoices that are not yet settled. Please pay them before deleting the account.',
+      409,
+      'UNSETTLED_INVOICES',
+      { invoices: unsettledInvoices }
+    );
+  }
+
+  if (company.billing?.stripeSubscriptionId && !['cancelled', 'inactive'].includes(company.billing.subscriptionStatus)) {
+    try {
+      await cancelSubscription(company.billing.stripeSubscriptionId);
+    } catch (error) {
+      console.error('❌ Subscription cancel error:', error);
+      throw privacyError(
+        'Subscription error',
+        'We could not cancel your subscription. Please try again or contact support.',
+        502,
+        'SUBSCRIPTION_CANCEL_FAILED'
+      );
+    }
+  }
+
+  const now = new Date();
+
+  await Job.updateMany(
+    { companyId: company._id, status: { $in: ['draft', 'active', 'paused'] } },
+    { $set: { status: 'closed' } }
+  );
+
+  const members = await CompanyMember.find({ companyId: company._id }).select('_id');
+  const accountIds = [company._id, ...members.map(member => member._id)];
+
+  await Session.updateMany(
+    { accountId: { $in: accountIds }, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: 'account_deleted' } }
+  );
+
+  await ApiKey.updateMany(
+    { companyId: company._id, revokedAt: null },
+    { $set: { revokedAt: now } }
+  );
+
+  // Pipeline update so every member gets their own placeholder address
+  await CompanyMember.updateMany(
+    { companyId: company._id },
+    [
+      {
+        $set: {
+          email: { $concat: ['deleted-', { $toString: '$_id' }, '@deleted.invalid'] },
+          status: 'removed',
+          removedAt: { $ifNull: ['$removedAt', now] }
+        }
+      },
+      {
+        $unset: ['firstName', 'lastName', 'position', 'password', 'inviteToken', 'inviteExpire',
+          'resetPasswordToken', 'resetPasswordExpire',
+          'twoFactor', 'loginSecurity', 'loginHistory', 'knownDevices']
+      }
+    ]
+  );
+
+  // Bypasses validation on purpose - required contact fields are being removed
+  await Company.updateOne(
+    { _id: company._id },
+    {
+      $set: {
+        email: erasedEmail(company._id),
+        password: unusablePassword(),
+        isActive: false,
+        emailVerified: false,
+        deletedAt: now,
+        'billing.subscriptionStatus': 'cancelled'
+      },
+      $unset: {
+        'profile.contactPerson': 1,
+        'billing.paymentMethods': 1,
+        emailVerificationToken: 1,
+        emailVerificationExpire: 1,
+        resetPasswordToken: 1,
+        resetPasswordExpire: 1,
+        twoFactor: 1,
+        loginSecurity: 1,
+        loginHistory: 1,
+        knownDevices: 1,
+        lastLogin: 1
+      }
+    }
+  );
+
+  console.log(`🗑️ Company account erased: ${company._id} (${members.length} team members)`);
+
+  return { teamMembers: members.length };
+};
+
+module.exports = {
+  EXPORT_FORMAT_VERSION,
+  confirmAccountOwner,
+  buildUserExport,
+  buildCompanyExport,
+  eraseUser,
+  eraseCompany
+};
@@ -0,0 +1,80 @@
+// utils/fileStorage.js - Describe, read and remove files stored through config/cloudinary.js
+const path = require('path');
+const fs = require('fs');
+const axios = require('axios');
+const { cloudinary } = require('../config/cloudinary');
+
+const UPLOAD_ROOT = path.join(__dirname, '..', 'uploads');
+const MAX_READ_BYTES = 10 * 1024 * 1024;
+
+// Entries saved before the storage was recorded
+const storageOf = (stored) => stored.storage || (stored.url.startsWith('/uploads/') ? 'local' : 'cloudinary');
+
+// Absolute path of a local upload, or null if the url points outside the uploads folder
+const localPath = (stored) => {
+  const filePath = path.resolve(UPLOAD_ROOT, stored.url.replace(/^\/uploads\//, ''));
+  return filePath.startsWith(UPLOAD_ROOT + path.sep) ? filePath : null;
+};
+
+// Details saved on a document for a file multer has just stored
+const describeUpload = (file) => {
+  // Disk storage sets destination; Cloudinary storage returns the secure URL as path
+  const isLocal = !!file.destination;
+
+  return {
+    filename: file.filename,
+    originalName: file.originalname,
+    fileSize: file.size,
+    uploadDate: new Date(),
+    url: isLocal ? `/uploads/${path.basename(file.destination)}/${file.filename}` : file.path,
+    storage: isLocal ? 'local' : 'cloudinary'
+  };
+};
+
+// Delete a stored file (never throws - a leftover file is not worth failing a request for)
+const removeStoredFile = async (stored) => {
+  if (!stored?.filename || !stored?.url) return false;
+
+  try {
+    if (storageOf(stored) === 'cloudinary') {
+      await cloudinary.uploader.destroy(stored.filename, { invalidate: true });
+    } else {
+      const filePath = localPath(stored);
+      if (!filePath) return false;
+      await fs.promises.unlink(filePath);
+    }
+
+    console.log(`🗑️ Removed stored file: ${stored.filename}`);
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Remove stored file error:', error);
+    }
+    return false;
+  }
+};
+
+// Load a stored file's contents into a Buffer (throws if it cannot be read)
+const readStoredFile = async (stored) => {
+  if (!stored?.url) throw new Error('File has no stored location');
+
+  if (storageOf(stored) === 'cloudinary') {
+    const response = await axios.get(stored.url, {
+      responseType: 'arraybuffer',
+      timeout: 15000,
+      maxContentLength: MAX_READ_BYTES
+    });
+    return Buffer.from(response.data);
+  }
+
+  const filePath = localPath(stored);
+  if (!filePath) throw new Error('File is outside the uploads folder');
+  return fs.promises.readFile(filePath);
+};
+
+module.exports = {
+  UPLOAD_ROOT,
+  describeUpload,
+  removeStoredFile,
+  readStoredFile
+};
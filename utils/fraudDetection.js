@@ -0,0 +1,178 @@
+// utils/fraudDetection.js - Score referral applications for self-referral and ring behaviour
+const Application = require('../models/Application');
+const ReferralClick = require('../models/ReferralClick');
+const User = require('../models/User');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Applications scoring at or above this are held for review
+const REVIEW_THRESHOLD = parseInt(process.env.FRAUD_REVIEW_THRESHOLD) || 40;
+
+// Any one strong signal (same IP, device or name as the referrer, or a near-identical
+// email) reaches the threshold on its own, whatever it is set to
+const STRONG_SIGNAL_WEIGHT = REVIEW_THRESHOLD;
+
+// Signal weights - weaker ones must combine to reach the threshold
+const WEIGHTS = {
+  SAME_IP_AS_REFERRER: STRONG_SIGNAL_WEIGHT,
+  SAME_DEVICE_AS_REFERRER: STRONG_SIGNAL_WEIGHT,
+  SIMILAR_EMAIL: STRONG_SIGNAL_WEIGHT,
+  SAME_EMAIL_DOMAIN: 10,
+  SAME_NAME: STRONG_SIGNAL_WEIGHT,
+  NEW_ACCOUNT: 10,
+  VELOCITY_HOURLY: 25,
+  VELOCITY_DAILY: 15,
+  SHARED_IP_RING: 30
+};
+
+// Free mail providers are shared by unrelated people
+const PUBLIC_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'hotmail.co.uk',
+  'live.com', 'yahoo.com', 'yahoo.co.uk', 'icloud.com', 'me.com', 'aol.com',
+  'protonmail.com', 'proton.me', 'gmx.com', 'mail.com'
+];
+
+// Split an email into a comparable local part and domain
+const normaliseEmail = (email = '') => {
+  const [local = '', domain = ''] = email.toLowerCase().split('@');
+  return {
+    local: local.split('+')[0].replace(/[^a-z]/g, ''),
+    domain
+  };
+};
+
+// Levenshtein distance for short strings
+const editDistance = (a, b) => {
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = Math.min(
+        dp[i - 1][j] + 1,
+        dp[i][j - 1] + 1,
+        dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+  }
+
+  return dp[a.length][b.length];
+};
+
+// First three octets of an IPv4 address (or the full address for IPv6)
+const ipNetwork = (ip = '') => {
+  const v4 = ip.replace(/^::ffff:/, '');
+  const parts = v4.split('.');
+  return parts.length === 4 ? parts.slice(0, 3).join('.') : ip;
+};
+
+// Collect the IPs and browsers a referrer has been seen using
+const getReferrerFingerprints = async (referrerId) => {
+  const [applications, clicks] = await Promise.all([
+    Application.find({ applicantId: referrerId })
+      .select('tracking.ipAddress tracking.browserInfo')
+      .lean(),
+    ReferralClick.find({ candidateId: referrerId })
+      .select('ipAddress userAgent')
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean()
+  ]);
+
+  const fingerprints = [
+    ...applications.map(app => ({ ip: app.tracking?.ipAddress, userAgent: app.tracking?.browserInfo })),
+    ...clicks.map(click => ({ ip: click.ipAddress, userAgent: click.userAgent }))
+  ];
+
+  return fingerprints.filter(fp => fp.ip || fp.userAgent);
+};
+
+/**
+ * Score a referred application before it is created.
+ * Returns the fraudReview subdocument stored on the Application.
+ */
+const scoreReferralApplication = async ({ candidate, referrerId, referralCode, ipAddress, userAgent }) => {
+  const signals = [];
+  const addSignal = (code, detail) => signals.push({ code, weight: WEIGHTS[code], detail });
+
+  const referrer = await User.findById(referrerId).select('firstName lastName email createdAt');
+  if (!referrer) {
+    return { score: 0, level: 'low', signals, status: 'clear', checkedAt: new Date() };
+  }
+
+  // Same person behind both accounts - network and device
+  const fingerprints = await getReferrerFingerprints(referrerId);
+  if (ipAddress && fingerprints.some(fp => fp.ip === ipAddress)) {
+    addSignal('SAME_IP_AS_REFERRER', `Candidate applied from ${ipAddress}, an IP the referrer has used`);
+  }
+  if (userAgent && fingerprints.some(fp => fp.userAgent === userAgent && ipNetwork(fp.ip) === ipNetwork(ipAddress))) {
+    addSignal('SAME_DEVICE_AS_REFERRER', 'Candidate browser and network match a device the referrer has used');
+  }
+
+  // Same person behind both accounts - identity
+  const candidateEmail = normaliseEmail(candidate.email);
+  const referrerEmail = normaliseEmail(referrer.email);
+  if (candidateEmail.local.length >= 4 && referrerEmail.local.length >= 4 &&
+      editDistance(candidateEmail.local, referrerEmail.local) <= 2) {
+    addSignal('SIMILAR_EMAIL', `Email addresses ${candidate.email} and ${referrer.email} are near-identical`);
+  } else if (candidateEmail.domain && candidateEmail.domain === referrerEmail.domain &&
+             !PUBLIC_EMAIL_DOMAINS.includes(candidateEmail.domain)) {
+    addSignal('SAME_EMAIL_DOMAIN', `Both accounts use the private domain ${candidateEmail.domain}`);
+  }
+
+  if (candidate.firstName?.toLowerCase() === referrer.firstName?.toLowerCase() &&
+      candidate.lastName?.toLowerCase() === referrer.lastName?.toLowerCase()) {
+    addSignal('SAME_NAME', 'Candidate and referrer have the same name');
+  }
+
+  if (candidate.createdAt && Date.now() - new Date(candidate.createdAt).getTime() < HOUR_MS) {
+    addSignal('NEW_ACCOUNT', 'Candidate account was created less than an hour ago');
+  }
+
+  // Bursts of referred applications from one code
+  const code = referralCode?.toUpperCase();
+  const [lastHour, lastDay, sameIp] = await Promise.all([
+    Application.countDocuments({ referralCode: code, createdAt: { $gte: new Date(Date.now() - HOUR_MS) } }),
+    Application.countDocuments({ referralCode: code, createdAt: { $gte: new Date(Date.now() - 24 * HOUR_MS) } }),
+    ipAddress
+      ? Application.countDocuments({
+        referralCode: code,
+        'tracking.ipAddress': ipAddress,
+        applicantId: { $ne: candidate._id },
+        createdAt: { $gte: new Date(Date.now() - 7 * 24 * HOUR_MS) }
+      })
+      : 0
+  ]);
+
+  if (lastHour >= 3) {
+    addSignal('VELOCITY_HOURLY', `${lastHour} referred applications from ${code} in the last hour`);
+  }
+  if (lastDay >= 10) {
+    addSignal('VELOCITY_DAILY', `${lastDay} referred applications from ${code} in the last 24 hours`);
+  }
+  if (sameIp >= 1) {
+    addSignal('SHARED_IP_RING', `${sameIp} other candidate(s) referred by ${code} applied from the same IP this week`);
+  }
+
+  const score = Math.min(100, signals.reduce((sum, signal) => sum + signal.weight, 0));
+  const level = score >= 60 ? 'high' : score >= REVIEW_THRESHOLD ? 'medium' : 'low';
+
+  return {
+    score,
+    level,
+    signals,
+    status: score >= REVIEW_THRESHOLD ? 'flagged' : 'clear',
+    checkedAt: new Date()
+  };
+};
+
+// Whether a fraud review blocks referral payment eligibility
+const isHeldForReview = (application) => {
+  return ['flagged', 'rejected'].includes(application.fraudReview?.status);
+};
+
+module.exports = {
+  REVIEW_THRESHOLD,
+  scoreReferralApplication,
+  isHeldForReview
+};
@@ -0,0 +1,421 @@
+// utils/invoicing.js - Company invoices for referral fees plus platform fees
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Company = require('../models/Company');
+const Application = require('../models/Application');
+const {
+  stripe,
+  createCustomer,
+  createInvoiceItem,
+  createStripeInvoice,
+  voidStripeInvoice,
+  calculatePlatformFee
+} = require('../config/stripe');
+const { releaseIfEligible } = require('./ledger');
+
+const VAT_RATE = parseFloat(process.env.VAT_RATE) || 0.2;
+const PAYMENT_TERMS_DAYS = parseInt(process.env.INVOICE_PAYMENT_TERMS_DAYS) || 30;
+// Failed collections are retried hourly; Stripe keeps idempotency keys for 24 hours,
+// so every retry lands inside that window and never duplicates invoice items
+const MAX_COLLECTION_ATTEMPTS = 5;
+const UK_COUNTRY_NAMES = ['united kingdom', 'uk', 'gb', 'great britain', 'england', 'scotland', 'wales', 'northern ireland'];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Work out VAT for a company.
+ * UK companies pay standard VAT; VAT-registered companies abroad are reverse charged.
+ */
+const getVatTreatment = (company) => {
+  const country = (company.profile?.address?.country || 'United Kingdom').trim().toLowerCase();
+  const isUk = UK_COUNTRY_NAMES.includes(country);
+
+  if (!isUk && company.vatNumber) {
+    return { vatTreatment: 'reverse_charge', vatRate: 0 };
+  }
+
+  return { vatTreatment: 'standard', vatRate: VAT_RATE };
+};
+
+// One referral fee line and one platform fee line per hire
+const buildLineItems = (payments) => {
+  const lineItems = [];
+
+  payments.forEach(payment => {
+    const jobTitle = payment.jobId?.title ? ` - ${payment.jobId.title}` : '';
+    const platformFee = calculatePlatformFee(payment.amount);
+
+    lineItems.push({
+      kind: 'referral_fee',
+      description: `Referral fee${jobTitle} (${payment.paymentReference})`,
+      paymentId: payment._id,
+      applicationId: payment.applicationId,
+      jobId: payment.jobId?._id || payment.jobId,
+      unitAmount: payment.amount,
+      amount: payment.amount
+    });
+
+    lineItems.push({
+      kind: 'platform_fee',
+      description: `Platform fee${jobTitle} (${payment.paymentReference})`,
+      paymentId: payment._id,
+      applicationId: payment.applicationId,
+      jobId: payment.jobId?._id || payment.jobId,
+      unitAmount: platformFee,
+      amount: platformFee
+    });
+  });
+
+  return lineItems;
+};
+
+// Make sure the company has a Stripe customer to bill
+const ensureStripeCustomer = async (company) => {
+  if (company.billing?.stripeCustomerId) return company.billing.stripeCustomerId;
+
+  const customer = await createCustomer(company.email, company.companyName, {
+    companyId: company._id.toString()
+  });
+
+  company.billing.stripeCustomerId = customer.id;
+  await company.save({ validateBeforeSave: false });
+
+  return customer.id;
+};
+
+/**
+ * Send an invoice to the company's Stripe customer for collection.
+ * Failures are recorded on the invoice and retried by retryFailedCollections.
+ */
+const collectInvoice = async (invoice, company) => {
+  if (!stripe) {
+    invoice.collectionError = 'Stripe not configured';
+    await invoice.save();
+    return invoice;
+  }
+
+  invoice.collectionAttempts = (invoice.collectionAttempts || 0) + 1;
+  invoice.lastCollectionAttemptAt = new Date();
+
+  try {
+    const customerId = await ensureStripeCustomer(company);
+    const metadata = { invoiceId: invoice._id.toString(), companyId: company._id.toString() };
+    // Same keys on every attempt, so a retry after a partial failure doesn't bill twice
+    const keyPrefix = `invoice-${invoice._id}`;
+
+    for (const [index, item] of invoice.lineItems.entries()) {
+      await createInvoiceItem(customerId, item.amount, invoice.currency, item.description, metadata, `${keyPrefix}-item-${index}`);
+    }
+    if (invoice.vatAmount > 0) {
+      await createInvoiceItem(customerId, invoice.vatAmount, invoice.currency, `VAT (${invoice.vatRate * 100}%)`, metadata, `${keyPrefix}-vat`);
+    }
+
+    const stripeInvoice = await createStripeInvoice(customerId, {
+      daysUntilDue: PAYMENT_TERMS_DAYS,
+      metadata,
+      idempotencyKey: keyPrefix
+    });
+
+    invoice.stripeInvoiceId = stripeInvoice.id;
+    invoice.hostedInvoiceUrl = stripeInvoice.hosted_invoice_url;
+    invoice.collectionError = undefined;
+    await invoice.save();
+  } catch (error) {
+    console.error(`❌ Invoice ${invoice.invoiceNumber} collection failed:`, error.message);
+    invoice.collectionError = error.message;
+    await invoice.save();
+  }
+
+  return invoice;
+};
+
+/**
+ * Create an invoice for a company's un-invoiced ledger entries (all in one currency).
+ * Entries are claimed one by one so concurrent runs never bill a hire twice.
+ */
+const createInvoice = async (company, payments, { type = 'per_hire', periodStart, periodEnd } = {}) => {
+  if (payments.length === 0) return null;
+
+  const invoice = new Invoice({
+    companyId: company._id,
+    type,
+    periodStart,
+    periodEnd,
+    currency: payments[0].currency,
+    subtotal: 0,
+    total: 0
+  });
+
+  const claimed = [];
+  for (const payment of payments) {
+    const result = await Payment.updateOne(
+      { _id: payment._id, invoiceId: null },
+      { $set: { invoiceId: invoice._id } }
+    );
+    if (result.modifiedCount === 1) claimed.push(payment);
+  }
+
+  if (claimed.length === 0) return null;
+
+  const { vatTreatment, vatRate } = getVatTreatment(company);
+  const lineItems = buildLineItems(claimed);
+  const subtotal = roundMoney(lineItems.reduce((sum, item) => sum + item.amount, 0));
+  const vatAmount = roundMoney(subtotal * vatRate);
+
+  invoice.set({
+    lineItems,
+    subtotal,
+    vatTreatment,
+    vatRate,
+    vatAmount,
+    total: roundMoney(subtotal + vatAmount),
+    billTo: {
+      companyName: company.companyName,
+      email: company.email,
+      vatNumber: company.vatNumber,
+      address: {
+        street: company.profile?.address?.street,
+        city: company.profile?.address?.city,
+        postcode: company.profile?.address?.postcode,
+        country: company.profile?.address?.country
+      }
+    },
+    status: 'open',
+    issuedAt: new Date(),
+    dueDate: new Date(Date.now() + PAYMENT_TERMS_DAYS * 24 * 60 * 60 * 1000)
+  });
+  await invoice.save();
+
+  console.log(`🧾 Invoice ${invoice.invoiceNumber}: ${invoice.currency} ${invoice.total} for ${company.companyName}`);
+
+  return await collectInvoice(invoice, company);
+};
+
+// Invoice a single hire straight away when the company is billed per hire
+const invoiceHire = async (payment) => {
+  const company = await Company.findById(payment.companyId);
+  if (!company || company.billing?.invoicingMode === 'monthly') return null;
+
+  await payment.populate('jobId', 'title');
+  return await createInvoice(company, [payment], { type: 'per_hire' });
+};
+
+/**
+ * Consolidate last month's un-invoiced hires for companies billed monthly.
+ * Safe to run repeatedly - already invoiced entries are skipped.
+ */
+const runMonthlyInvoicing = async (now = new Date()) => {
+  const periodEnd = new Date(now.getFullYear(), now.getMonth(), 1);
+  const periodStart = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+
+  const companies = await Company.find({ 'billing.invoicingMode': 'monthly' });
+  const invoices = [];
+
+  for (const company of companies) {
+    const payments = await Payment.find({
+      companyId: company._id,
+      type: 'referral_fee',
+      invoiceId: null,
+      status: { $ne: 'reversed' },
+      createdAt: { $lt: periodEnd }
+    }).populate('jobId', 'title');
+
+    const byCurrency = {};
+    payments.forEach(payment => {
+      byCurrency[payment.currency] = byCurrency[payment.currency] || [];
+      byCurrency[payment.currency].push(payment);
+    });
+
+    for (const currencyPayments of Object.values(byCurrency)) {
+      const invoice = await createInvoice(company, currencyPayments, { type: 'monthly', periodStart, periodEnd });
+      if (invoice) invoices.push(invoice);
+    }
+  }
+
+  if (invoices.length > 0) {
+    console.log(`🧾 Monthly invoicing: ${invoices.length} invoices created`);
+  }
+
+  return invoices;
+};
+
+// Retry open invoices that never reached Stripe (run by the scheduler)
+const retryFailedCollections = async () => {
+  if (!stripe) return 0;
+
+  const invoices = await Invoice.find({
+    status: 'open',
+    stripeInvoiceId: { $exists: false },
+    collectionError: { $exists: true, $ne: null },
+    collectionAttempts: { $lt: MAX_COLLECTION_ATTEMPTS }
+  });
+
+  let collected = 0;
+  for (const invoice of invoices) {
+    const company = await Company.findById(invoice.companyId);
+    if (!company) continue;
+
+    await collectInvoice(invoice, company);
+    if (invoice.stripeInvoiceId) {
+      collected++;
+    } else if (invoice.collectionAttempts >= MAX_COLLECTION_ATTEMPTS) {
+      console.error(`❌ Invoice ${invoice.invoiceNumber} collection abandoned after ${invoice.collectionAttempts} attempts`);
+    }
+  }
+
+  if (collected > 0) {
+    console.log(`🧾 Collection retried: ${collected} invoices sent to Stripe`);
+  }
+
+  return collected;
+};
+
+/**
+ * Record a paid invoice and mark the fees it covers as funded,
+ * releasing pending ledger entries whose guarantee period is over.
+ */
+const markInvoicePaid = async (invoice) => {
+  if (invoice.status === 'paid') return invoice;
+
+  invoice.status = 'paid';
+  invoice.paidAt = new Date();
+  await invoice.save();
+
+  const payments = await Payment.find({ invoiceId: invoice._id });
+  for (const payment of payments) {
+    payment.funding.status = 'paid';
+    payment.funding.paidAt = invoice.paidAt;
+    await payment.save();
+
+    await releaseIfEligible(payment);
+  }
+
+  return invoice;
+};
+
+/**
+ * Cancel the billing for a clawed back fee.
+ * A single-hire invoice that is still unpaid is voided; anything else needs a credit note.
+ */
+const voidInvoiceForPayment = async (payment, reason) => {
+  if (!payment.invoiceId) return 'none';
+
+  const invoice = await Invoice.findById(payment.invoiceId);
+  if (!invoice || invoice.status === 'void') return 'none';
+
+  const otherHires = invoice.lineItems.some(item => item.paymentId && item.paymentId.toString() !== payment._id.toString());
+  if (invoice.status !== 'open' || otherHires) {
+    console.log(`🧾 Invoice ${invoice.invoiceNumber} needs a credit note for ${payment.paymentReference}`);
+    return 'credit_required';
+  }
+
+  if (invoice.stripeInvoiceId && stripe) {
+    await voidStripeInvoice(invoice.stripeInvoiceId);
+  }
+
+  invoice.status = 'void';
+  invoice.voidedAt = new Date();
+  invoice.voidReason = reason;
+  await invoice.save();
+
+  console.log(`🧾 Invoice ${invoice.invoiceNumber} voided: ${reason}`);
+
+  return 'voided';
+};
+
+// Scheduled task - void the invoices of departures whose void failed when they were reported
+const retryFailedInvoiceVoids = async () => {
+  const applications = await Application.find({ 'departure.invoiceAction': 'void_failed' }).select('_id');
+
+  let voided = 0;
+  for (const application of applications) {
+    const payment = await Payment.findOne({ applicationId: application._id, type: 'referral_fee' });
+    let action = 'none';
+
+    if (payment) {
+      try {
+        action = await voidInvoiceForPayment(payment, 'Hire left during the guarantee period');
+      } catch (error) {
+        console.error(`❌ Invoice void retry failed for ${payment.paymentReference}:`, error.message);
+        continue;
+      }
+    }
+
+    await Application.updateOne({ _id: application._id }, { $set: { 'departure.invoiceAction': action } });
+    if (action === 'voided') voided++;
+  }
+
+  if (voided > 0) {
+    console.log(`🧾 Void retried: ${voided} invoices voided`);
+  }
+
+  return voided;
+};
+
+// Render an invoice as a PDF document stream
+const renderInvoicePdf = (invoice) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const money = (amount) => `${invoice.currency} ${amount.toFixed(2)}`;
+
+  doc.fontSize(20).text('Refer\'d', { continued: false });
+  doc.fontSize(10).fillColor('#555').text('Invoice').fillColor('#000');
+  doc.moveDown();
+
+  doc.fontSize(10)
+    .text(`Invoice number: ${invoice.invoiceNumber}`)
+    .text(`Issued: ${(invoice.issuedAt || invoice.createdAt).toISOString().slice(0, 10)}`)
+    .text(`Due: ${invoice.dueDate ? invoice.dueDate.toISOString().slice(0, 10) : '-'}`)
+    .text(`Status: ${invoice.status.toUpperCase()}`);
+  if (invoice.periodStart && invoice.periodEnd) {
+    doc.text(`Period: ${invoice.periodStart.toISOString().slice(0, 10)} to ${invoice.periodEnd.toISOString().slice(0, 10)}`);
+  }
+  doc.moveDown();
+
+  const { billTo = {} } = invoice;
+  doc.fontSize(11).text('Bill to', { underline: true }).fontSize(10);
+  doc.text(billTo.companyName || '');
+  [billTo.address?.street, billTo.address?.city, billTo.address?.postcode, billTo.address?.country]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+  if (billTo.vatNumber) doc.text(`VAT number: ${billTo.vatNumber}`);
+  doc.moveDown();
+
+  doc.fontSize(11).text('Items', { underline: true }).fontSize(10);
+  invoice.lineItems.forEach(item => {
+    const y = doc.y;
+    doc.text(item.description, 50, y, { width: 380 });
+    doc.text(money(item.amount), 430, y, { width: 115, align: 'right' });
+    doc.moveDown(0.3);
+  });
+  doc.moveDown();
+
+  const totalsRow = (label, value) => {
+    const y = doc.y;
+    doc.text(label, 300, y, { width: 130 });
+    doc.text(value, 430, y, { width: 115, align: 'right' });
+  };
+  totalsRow('Subtotal', money(invoice.subtotal));
+  totalsRow(`VAT (${invoice.vatRate * 100}%)`, money(invoice.vatAmount));
+  totalsRow('Total', money(invoice.total));
+
+  if (invoice.vatTreatment === 'reverse_charge') {
+    doc.moveDown().text('Reverse charge: customer to account for VAT.', 50);
+  }
+
+  doc.end();
+  return doc;
+};
+
+module.exports = {
+  getVatTreatment,
+  createInvoice,
+  collectInvoice,
+  invoiceHire,
+  runMonthlyInvoicing,
+  markInvoicePaid,
+  voidInvoiceForPayment,
+  retryFailedCollections,
+  retryFailedInvoiceVoids,
+  renderInvoicePdf
+};
@@ -0,0 +1,126 @@
+// utils/jobSearch.js - Public job search shared by the jobs listing and saved searches
+const Job = require('../models/Job');
+
+// Query parameters that make up a job search (everything except paging and referral tracking)
+const JOB_SEARCH_FIELDS = [
+  'search',
+  'category',
+  'location',
+  'country',
+  'jobType',
+  'workType',
+  'experienceLevel',
+  'salaryMin',
+  'salaryMax',
+  'sortBy',
+  'sortOrder'
+];
+
+// Fields a search can be sorted by (text searches are ranked by relevance first anyway)
+const JOB_SORT_FIELDS = ['createdAt', 'postedDate', 'title', 'salary.min', 'salary.max', 'referralFee'];
+
+// Largest page of results a search returns
+const MAX_PAGE_SIZE = 50;
+
+// Searches are typed by users, so text used in a pattern is matched literally
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The search fields present in a query, without anything else
+const pickJobSearch = (query = {}) => JOB_SEARCH_FIELDS.reduce((picked, field) => {
+  if (query[field] !== undefined && query[field] !== null && query[field] !== '') {
+    picked[field] = query[field];
+  }
+  return picked;
+}, {});
+
+// Mongo filter for a search - public, active jobs only
+const buildJobFilters = ({
+  search,
+  category,
+  location,
+  country,
+  jobType,
+  workType,
+  experienceLevel,
+  salaryMin,
+  salaryMax
+} = {}) => {
+  const filters = {
+    status: 'active',
+    visibility: 'public'
+  };
+
+  if (search) filters.$text = { $search: search };
+  if (category) filters.category = category;
+  if (location) filters['location.city'] = new RegExp(escapeRegex(String(location)), 'i');
+  if (country) filters['location.country'] = country;
+  if (jobType) filters.jobType = jobType;
+  if (workType) filters.workType = workType;
+  if (experienceLevel) filters.experienceLevel = experienceLevel;
+
+  // Salary filter
+  if (salaryMin || salaryMax) {
+    filters.$and = [];
+    if (salaryMin) {
+      filters.$and.push({
+        $or: [
+          { 'salary.max': { $gte: parseInt(salaryMin) } },
+          { 'salary.min': { $gte: parseInt(salaryMin) } }
+        ]
+      });
+    }
+    if (salaryMax) {
+      filters.$and.push({
+        'salary.min': { $lte: parseInt(salaryMax) }
+      });
+    }
+  }
+
+  return filters;
+};
+
+/**
+ * Run a job search and return one page of results with the total match count.
+ * Text searches are ranked by relevance first; featured jobs always lead.
+ */
+const runJobSearch = async (query = {}, { page = 1, limit = 20 } = {}) => {
+  const { search, sortBy = 'createdAt', sortOrder = 'desc' } = query;
+  const filters = buildJobFilters(query);
+
+  const sortObj = {};
+  if (search) {
+    sortObj.score = { $meta: 'textScore' };
+  }
+  sortObj.isFeatured = -1; // Featured jobs are listed first
+  sortObj[JOB_SORT_FIELDS.includes(sortBy) ? sortBy : 'createdAt'] = sortOrder === 'desc' ? -1 : 1;
+
+  const [jobs, total] = await Promise.all([
+    Job.find(filters)
+      .populate('companyId', search
+        ? 'companyName profile.logo'
+        : 'companyName profile.logo profile.description profile.website')
+      .sort(sortObj)
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .lean(),
+    Job.countDocuments(filters)
+  ]);
+
+  return { jobs, total, filters };
+};
+
+// Jobs matching a search that went live after the given date (drafts get postedDate when activated)
+const countNewJobs = (query, since) => Job.countDocuments({
+  ...buildJobFilters(query),
+  postedDate: { $gt: since }
+});
+
+module.exports = {
+  JOB_SEARCH_FIELDS,
+  JOB_SORT_FIELDS,
+  MAX_PAGE_SIZE,
+  pickJobSearch,
+  buildJobFilters,
+  runJobSearch,
+  countNewJobs
+};
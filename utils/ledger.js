@@ -0,0 +1,296 @@
+// utils/ledger.js - Referral payout ledger operations and derived earnings
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const Application = require('../models/Application');
+const User = require('../models/User');
+
+// Ledger statuses that still count towards what a referrer is owed
+const OUTSTANDING_STATUSES = ['pending', 'approved', 'processing', 'failed'];
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_GUARANTEE_DAYS = 90;
+
+// Guarantee period for a hire - the job's override, else the company's setting
+const resolveGuaranteePeriod = (job, company) => {
+  if (job?.guaranteePeriodDays !== null && job?.guaranteePeriodDays !== undefined) {
+    return job.guaranteePeriodDays;
+  }
+  const companyDays = company?.referralSettings?.guaranteePeriodDays;
+  return companyDays !== null && companyDays !== undefined ? companyDays : DEFAULT_GUARANTEE_DAYS;
+};
+
+/**
+ * Record the referral fee for a hired application.
+ * Idempotent - a second hire of the same application returns the existing entry.
+ * The entry stays pending until the guarantee period has passed.
+ */
+const recordReferralFee = async (application, job, referralId = null, { guaranteePeriodDays = 0, hiredAt = new Date() } = {}) => {
+  const existing = await Payment.findOne({ applicationId: application._id, type: 'referral_fee' });
+  if (existing) return { payment: existing, created: false };
+
+  try {
+    const payment = await Payment.create({
+      type: 'referral_fee',
+      referrerId: application.referredBy._id || application.referredBy,
+      companyId: application.companyId._id || application.companyId,
+      applicationId: application._id,
+      jobId: job._id,
+      referralId,
+      amount: job.referralFee,
+      currency: job.referralFeeCurrency || 'GBP',
+      guarantee: {
+        periodDays: guaranteePeriodDays,
+        startsAt: hiredAt,
+        endsAt: new Date(hiredAt.getTime() + guaranteePeriodDays * DAY)
+      }
+    });
+
+    return { payment, created: true };
+  } catch (error) {
+    // Concurrent hire updates race on the unique index
+    if (error.code === 11000) {
+      const payment = await Payment.findOne({ applicationId: application._id, type: 'referral_fee' });
+      return { payment, created: false };
+    }
+    throw error;
+  }
+};
+
+// Mirror a ledger entry onto the application's referralPayment summary
+const mirrorToApplication = (payment) => {
+  // The fee itself stays paid - the application only records that it was clawed back
+  if (payment.type === 'clawback') {
+    return Application.findByIdAndUpdate(payment.applicationId, {
+      $set: {
+        'referralPayment.isEligible': false,
+        'referralPayment.notes': `Clawed back (${payment.paymentReference}) - recovered from future payouts`
+      }
+    });
+  }
+
+  return Application.findByIdAndUpdate(payment.applicationId, {
+    $set: {
+      'referralPayment.isEligible': payment.status !== 'reversed',
+      'referralPayment.amount': payment.amount,
+      'referralPayment.currency': payment.currency,
+      'referralPayment.status': payment.status,
+      'referralPayment.paymentId': payment._id,
+      'referralPayment.paymentReference': payment.paymentReference,
+      ...(payment.paidAt && { 'referralPayment.paidAt': payment.paidAt })
+    }
+  });
+};
+
+// Sum a referrer's ledger entries by status
+const getEarningsSummary = async (referrerId) => {
+  const rows = await Payment.aggregate([
+    { $match: { referrerId: new mongoose.Types.ObjectId(referrerId) } },
+    {
+      $group: {
+        _id: { status: '$status', currency: '$currency', type: '$type' },
+        // Clawbacks count against the balance
+        amount: { $sum: { $cond: [{ $eq: ['$type', 'clawback'] }, { $multiply: ['$amount', -1] }, '$amount'] } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const summary = {
+    totalEarnings: 0,
+    pendingEarnings: 0,
+    approvedEarnings: 0,
+    processingEarnings: 0,
+    paidEarnings: 0,
+    reversedEarnings: 0,
+    clawbackOwed: 0,
+    byStatus: {},
+    byCurrency: {}
+  };
+
+  rows.forEach(({ _id, amount, count }) => {
+    const { status, currency, type } = _id;
+
+    // Clawbacks still to be recovered from future withdrawals
+    if (type === 'clawback' && (status === 'approved' || status === 'failed')) {
+      summary.clawbackOwed -= amount;
+    }
+
+    summary.byStatus[status] = summary.byStatus[status] || { amount: 0, count: 0 };
+    summary.byStatus[status].amount += amount;
+    summary.byStatus[status].count += count;
+
+    if (status === 'reversed') {
+      summary.reversedEarnings += amount;
+      return;
+    }
+
+    summary.totalEarnings += amount;
+    if (status === 'paid') summary.paidEarnings += amount;
+    if (status === 'approved') summary.approvedEarnings += amount;
+    if (status === 'processing') summary.processingEarnings += amount;
+    if (OUTSTANDING_STATUSES.includes(status)) summary.pendingEarnings += amount;
+
+    summary.byCurrency[currency] = (summary.byCurrency[currency] || 0) + amount;
+  });
+
+  return summary;
+};
+
+// Rewrite a referrer's cached referralStats from the ledger and their applications
+const syncReferrerStats = async (referrerId) => {
+  const [summary, totalReferrals, successfulReferrals] = await Promise.all([
+    getEarningsSummary(referrerId),
+    Application.countDocuments({ referredBy: referrerId }),
+    Application.countDocuments({ referredBy: referrerId, status: 'hired' })
+  ]);
+
+  await User.findByIdAndUpdate(referrerId, {
+    $set: {
+      'referralStats.totalReferrals': totalReferrals,
+      'referralStats.successfulReferrals': successfulReferrals,
+      'referralStats.totalEarnings': summary.totalEarnings,
+      'referralStats.pendingEarnings': summary.pendingEarnings,
+      'referralStats.paidEarnings': summary.paidEarnings
+    }
+  });
+
+  return summary;
+};
+
+/**
+ * Move a ledger entry to a new status, then refresh the application mirror
+ * and the referrer's derived stats.
+ */
+const transitionPayment = async (payment, status, actor = {}) => {
+  payment.transitionTo(status, actor);
+  await payment.save();
+
+  await mirrorToApplication(payment);
+  await syncReferrerStats(payment.referrerId);
+
+  console.log(`📒 Ledger: ${payment.paymentReference} → ${status}`);
+
+  return payment;
+};
+
+// Release a pending entry to the referrer once its guarantee period is over
+const releaseIfEligible = async (payment, now = new Date()) => {
+  if (payment.status !== 'pending') return false;
+  if (payment.guarantee?.endsAt && payment.guarantee.endsAt > now) return false;
+
+  payment.guarantee.releasedAt = now;
+  await transitionPayment(payment, 'approved', { note: 'Guarantee period completed' });
+
+  return true;
+};
+
+// Release every pending entry whose guarantee period has ended (run by the scheduler)
+const releaseGuaranteedPayouts = async (now = new Date()) => {
+  const payments = await Payment.find({
+    status: 'pending',
+    'guarantee.endsAt': { $lte: now }
+  });
+
+  let released = 0;
+  for (const payment of payments) {
+    try {
+      if (await releaseIfEligible(payment, now)) released++;
+    } catch (error) {
+      // Another process moved it first
+      if (error.name !== 'VersionError') throw error;
+    }
+  }
+
+  if (released > 0) {
+    console.log(`🔓 Released ${released} referral payouts after their guarantee period`);
+  }
+
+  return released;
+};
+
+/**
+ * Record a debit for a fee that has already been paid out. The paid entry is left
+ * as it is; the debit is netted off the referrer's next withdrawals.
+ * Idempotent - one clawback per application.
+ */
+const recordClawback = async (payment, { note, by = null, byModel } = {}) => {
+  let clawback = await Payment.findOne({ applicationId: payment.applicationId, type: 'clawback' });
+
+  if (!clawback) {
+    try {
+      clawback = await Payment.create({
+        type: 'clawback',
+        referrerId: payment.referrerId,
+        companyId: payment.companyId,
+        applicationId: payment.applicationId,
+        jobId: payment.jobId,
+        referralId: payment.referralId,
+        offsetsPaymentId: payment._id,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: 'approved',
+        approvedAt: new Date(),
+        transitions: [{ from: null, to: 'approved', by, byModel, note }]
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      clawback = await Payment.findOne({ applicationId: payment.applicationId, type: 'clawback' });
+    }
+  }
+
+  payment.clawbackId = clawback._id;
+  await payment.save();
+
+  await mirrorToApplication(clawback);
+  await syncReferrerStats(payment.referrerId);
+
+  console.log(`📒 Ledger: ${clawback.paymentReference} clawback of ${payment.paymentReference}`);
+
+  return clawback;
+};
+
+/**
+ * Claw back the referral fee when a hire leaves inside the guarantee period.
+ * Entries that were never paid are reversed; a paid one gets an offsetting debit
+ * (recordClawback). An entry mid-withdrawal can't be touched.
+ */
+const clawbackReferralFee = async (application, { departureDate = new Date(), actor = {} } = {}) => {
+  const payment = await Payment.findOne({ applicationId: application._id, type: 'referral_fee' });
+  if (!payment) return { payment: null, withinGuarantee: true, clawedBack: false };
+
+  const withinGuarantee = !payment.guarantee?.endsAt || departureDate < payment.guarantee.endsAt;
+  if (!withinGuarantee || payment.status === 'reversed' || payment.clawbackId) {
+    return { payment, withinGuarantee, clawedBack: false };
+  }
+
+  if (payment.status === 'processing') {
+    const error = new Error('The referral fee is being paid out right now. Try again once the withdrawal has finished.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const note = `Clawback: hire left on ${departureDate.toISOString().slice(0, 10)}, inside the ${payment.guarantee.periodDays}-day guarantee`;
+
+  if (payment.status === 'paid') {
+    const debit = await recordClawback(payment, { ...actor, note });
+    return { payment, debit, withinGuarantee, clawedBack: true };
+  }
+
+  await transitionPayment(payment, 'reversed', { ...actor, note });
+
+  return { payment, withinGuarantee, clawedBack: true };
+};
+
+module.exports = {
+  OUTSTANDING_STATUSES,
+  resolveGuaranteePeriod,
+  recordReferralFee,
+  mirrorToApplication,
+  getEarningsSummary,
+  syncReferrerStats,
+  transitionPayment,
+  releaseIfEligible,
+  releaseGuaranteedPayouts,
+  recordClawback,
+  clawbackReferralFee
+};
@@ -0,0 +1,206 @@
+// utils/matchEngine.js - Score how well a candidate fits a job, with a per-factor breakdown
+const User = require('../models/User');
+const { SKILL_TAXONOMY } = require('../config/skills');
+const { buildSkillPattern } = require('./resumeParser');
+
+// Points each factor contributes to the 0-100 match score
+const MATCH_WEIGHTS = {
+  skills: 45,
+  experience: 20,
+  location: 20,
+  salary: 15
+};
+
+// How much a job skill counts towards the skills factor
+const SKILL_LEVEL_WEIGHTS = { basic: 1, intermediate: 1.5, advanced: 2, expert: 2.5 };
+const REQUIRED_SKILL_MULTIPLIER = 2;
+const RESUME_MENTION_CREDIT = 0.5;
+
+// Profile experience bands that suit each job level (indexes into the User enum)
+const EXPERIENCE_BANDS = User.schema.path('profile.experience').enumValues;
+const LEVEL_BANDS = {
+  entry: [0, 1],
+  mid: [1, 2],
+  senior: [2, 3],
+  lead: [3, 4],
+  executive: [4, 4]
+};
+
+// Rough multipliers to compare salaries quoted per hour, day, month or year
+const ANNUAL_SALARY_FACTORS = { hourly: 1950, daily: 230, monthly: 12, yearly: 1 };
+
+// Alias or name (lower case) → canonical skill, so "ReactJS" on a job matches "React" on a profile
+const CANONICAL_SKILLS = new Map();
+SKILL_TAXONOMY.forEach(skill => {
+  const canonical = skill.name.toLowerCase();
+  CANONICAL_SKILLS.set(canonical, canonical);
+  skill.aliases.forEach(alias => CANONICAL_SKILLS.set(alias, canonical));
+});
+
+const normaliseSkill = (name) => {
+  const key = String(name || '').trim().toLowerCase();
+  return CANONICAL_SKILLS.get(key) || key;
+};
+
+const skillAliases = (name) => {
+  const canonical = normaliseSkill(name);
+  const skill = SKILL_TAXONOMY.find(entry => entry.name.toLowerCase() === canonical);
+  return skill ? skill.aliases : [canonical];
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const factor = (name, score, details) => ({
+  weight: MATCH_WEIGHTS[name],
+  score: round(score),
+  points: round(score * MATCH_WEIGHTS[name]),
+  ...details
+});
+
+/**
+ * The parts of a user the engine looks at: profile skills plus those detected in
+ * the default resume, experience, location, job preferences and the resume text.
+ */
+const buildCandidate = (user) => {
+  const profile = user.profile || {};
+  const resume = (user.resumes || []).find(entry => entry.isDefault);
+
+  return {
+    skills: new Set([...(profile.skills || []), ...(resume?.parsing?.skills || [])].map(normaliseSkill)),
+    experience: profile.experience,
+    location: profile.location || {},
+    preferences: profile.jobPreferences || {},
+    resumeText: resume?.extractedText || ''
+  };
+};
+
+// Candidates for the given user ids, keyed by id (resume text included)
+const loadCandidates = async (userIds) => {
+  const users = await User.find({ _id: { $in: userIds } })
+    .select('profile resumes +resumes.extractedText')
+    .lean();
+
+  return new Map(users.map(user => [user._id.toString(), buildCandidate(user)]));
+};
+
+const scoreSkills = (candidate, job) => {
+  const jobSkills = (job.skills || []).filter(skill => skill.name);
+  if (jobSkills.length === 0) {
+    return factor('skills', 0.5, { note: 'The job lists no skills' });
+  }
+
+  const matched = [];
+  const partial = [];
+  const missing = [];
+  const missingRequired = [];
+  let earned = 0;
+  let possible = 0;
+
+  jobSkills.forEach(skill => {
+    const weight = (SKILL_LEVEL_WEIGHTS[skill.level] || SKILL_LEVEL_WEIGHTS.intermediate) *
+      (skill.required ? REQUIRED_SKILL_MULTIPLIER : 1);
+    possible += weight;
+
+    if (candidate.skills.has(normaliseSkill(skill.name))) {
+      earned += weight;
+      matched.push(skill.name);
+    } else if (candidate.resumeText && buildSkillPattern(skillAliases(skill.name)).test(candidate.resumeText)) {
+      // Mentioned in the resume but not claimed as a skill
+      earned += weight * RESUME_MENTION_CREDIT;
+      partial.push(skill.name);
+    } else {
+      missing.push(skill.name);
+      if (skill.required) missingRequired.push(skill.name);
+    }
+  });
+
+  return factor('skills', earned / possible, { matched, partial, missing, missingRequired });
+};
+
+const scoreExperience = (candidate, job) => {
+  const band = EXPERIENCE_BANDS.indexOf(candidate.experience);
+  const [low, high] = LEVEL_BANDS[job.experienceLevel] || [];
+  const details = { candidate: candidate.experience || null, required: job.experienceLevel || null };
+
+  if (band === -1 || low === undefined) {
+    return factor('experience', 0.5, { ...details, note: 'Experience not known' });
+  }
+
+  let score = 1;
+  if (band < low) score = low - band === 1 ? 0.5 : 0;
+  else if (band > high) score = band - high === 1 ? 0.8 : 0.6; // Overqualified
+
+  return factor('experience', score, details);
+};
+
+const scoreLocation = (candidate, job) => {
+  const preferred = candidate.preferences.workTypes || [];
+  const isRemote = job.workType === 'remote' || job.location?.isRemote || job.location?.remotePolicy === 'fully-remote';
+  const sameCity = !!candidate.location.city && !!job.location?.city &&
+    candidate.location.city.trim().toLowerCase() === job.location.city.trim().toLowerCase();
+  const sameCountry = !!candidate.location.country && !!job.location?.country &&
+    candidate.location.country.trim().toLowerCase() === job.location.country.trim().toLowerCase();
+  const relocate = !!candidate.preferences.openToRelocation;
+  const details = { workType: job.workType, remotePolicy: job.location?.remotePolicy };
+
+  if (preferred.length > 0 && !preferred.includes(job.workType)) {
+    return factor('location', 0.2, { ...details, note: 'Work type is not one you prefer' });
+  }
+  if (isRemote) return factor('location', 1, { ...details, note: 'Remote role' });
+  if (sameCity) return factor('location', 1, { ...details, note: 'In your city' });
+  if (!candidate.location.city) return factor('location', 0.5, { ...details, note: 'Your location is not set' });
+  if (sameCountry) return factor('location', relocate ? 0.7 : 0.4, { ...details, note: 'In your country' });
+
+  return factor('location', relocate ? 0.5 : 0, { ...details, note: 'Outside your country' });
+};
+
+const scoreSalary = (candidate, job) => {
+  const expected = candidate.preferences.salary;
+  const offered = job.salary?.max || job.salary?.min;
+
+  if (!expected?.min) return factor('salary', 0.5, { note: 'No salary expectation set' });
+  if (!offered) return factor('salary', 0.5, { note: 'Salary not listed' });
+  if ((expected.currency || 'GBP') !== (job.salary.currency || 'GBP')) {
+    return factor('salary', 0.5, { note: 'Salary is in a different currency' });
+  }
+
+  const expectedYearly = expected.min * ANNUAL_SALARY_FACTORS[expected.period || 'yearly'];
+  const offeredYearly = offered * ANNUAL_SALARY_FACTORS[job.salary.period || 'yearly'];
+  const details = { expected: Math.round(expectedYearly), offered: Math.round(offeredYearly), currency: job.salary.currency || 'GBP' };
+
+  if (offeredYearly >= expectedYearly) return factor('salary', 1, details);
+
+  // A 20% shortfall halves the score, 40% or more scores nothing
+  const shortfall = 1 - offeredYearly / expectedYearly;
+  const score = Math.max(0, 1 - shortfall * 2.5) + (job.salary.isNegotiable ? 0.1 : 0);
+
+  return factor('salary', Math.min(score, 1), details);
+};
+
+/**
+ * Score a candidate (from buildCandidate) against a job.
+ * Returns the 0-100 score and each factor's weight, score (0-1), points and reasons.
+ */
+const scoreMatch = (candidate, job) => {
+  const breakdown = {
+    skills: scoreSkills(candidate, job),
+    experience: scoreExperience(candidate, job),
+    location: scoreLocation(candidate, job),
+    salary: scoreSalary(candidate, job)
+  };
+
+  const total = Object.values(breakdown).reduce((sum, item) => sum + item.points, 0);
+
+  return {
+    score: Math.round(total),
+    breakdown
+  };
+};
+
+module.exports = {
+  MATCH_WEIGHTS,
+  normaliseSkill,
+  buildCandidate,
+  loadCandidates,
+  scoreMatch
+};
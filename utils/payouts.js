@@ -0,0 +1,191 @@
+// utils/payouts.js - Referrer withdrawals of approved earnings via Stripe Connect
+const Payment = require('../models/Payment');
+const Withdrawal = require('../models/Withdrawal');
+const {
+  stripe,
+  createConnectedAccount,
+  createAccountLink,
+  retrieveAccount,
+  isAccountPayoutReady,
+  createTransfer
+} = require('../config/stripe');
+const { transitionPayment } = require('./ledger');
+
+// Smallest amount a referrer can withdraw in one go
+const WITHDRAWAL_MINIMUM = parseFloat(process.env.WITHDRAWAL_MINIMUM) || 50;
+
+const payoutError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const ensureStripe = () => {
+  if (!stripe) throw payoutError('Payouts are not available right now', 503);
+};
+
+/**
+ * Create the referrer's connected account if needed and return an onboarding link.
+ */
+const startOnboarding = async (user) => {
+  ensureStripe();
+
+  if (!user.paymentDetails?.stripeAccountId) {
+    const account = await createConnectedAccount(user.email, {
+      userId: user._id.toString(),
+      referralCode: user.referralCode || ''
+    });
+
+    user.paymentDetails = user.paymentDetails || {};
+    user.paymentDetails.stripeAccountId = account.id;
+    user.paymentDetails.stripeOnboardingComplete = false;
+    await user.save({ validateBeforeSave: false });
+  }
+
+  const baseUrl = process.env.CLIENT_URL || 'http://127.0.0.1:5500';
+  const link = await createAccountLink(
+    user.paymentDetails.stripeAccountId,
+    `${baseUrl}/earnings.html?onboarding=refresh`,
+    `${baseUrl}/earnings.html?onboarding=complete`
+  );
+
+  return { accountId: user.paymentDetails.stripeAccountId, url: link.url, expiresAt: link.expires_at };
+};
+
+/**
+ * Refresh the cached onboarding flag from Stripe.
+ */
+const refreshOnboardingStatus = async (user) => {
+  const accountId = user.paymentDetails?.stripeAccountId;
+  if (!accountId || !stripe) return false;
+
+  const account = await retrieveAccount(accountId);
+  const ready = isAccountPayoutReady(account);
+
+  if (ready !== user.paymentDetails.stripeOnboardingComplete) {
+    user.paymentDetails.stripeOnboardingComplete = ready;
+    if (ready) user.paymentDetails.preferredMethod = 'stripe';
+    await user.save({ validateBeforeSave: false });
+  }
+
+  return ready;
+};
+
+/**
+ * Withdraw every approved ledger entry in one currency to the referrer's
+ * connected account. Entries move approved → processing → paid, or to failed
+ * (and back into the withdrawable pool) when the transfer is rejected.
+ */
+const requestWithdrawal = async (user, currency = 'GBP') => {
+  ensureStripe();
+
+  if (!user.paymentDetails?.stripeAccountId) {
+    throw payoutError('Connect a payout account before withdrawing', 400);
+  }
+
+  const ready = await refreshOnboardingStatus(user);
+  if (!ready) {
+    throw payoutError('Finish setting up your payout account before withdrawing', 400);
+  }
+
+  const approved = await Payment.find({
+    referrerId: user._id,
+    status: 'approved',
+    currency
+  });
+
+  // Clawbacks of fees already paid out are netted off here
+  const amount = approved.reduce((sum, payment) => sum + payment.signedAmount, 0);
+  if (amount < WITHDRAWAL_MINIMUM) {
+    throw payoutError(`The minimum withdrawal is ${WITHDRAWAL_MINIMUM} ${currency}. You have ${Math.max(amount, 0)} ${currency} available.`, 400);
+  }
+
+  const withdrawal = await Withdrawal.create({
+    userId: user._id,
+    amount: 0,
+    currency,
+    stripeAccountId: user.paymentDetails.stripeAccountId
+  });
+
+  // Claim each entry - a concurrent withdrawal that already moved it fails the version check
+  const claimed = [];
+  for (const payment of approved) {
+    try {
+      payment.withdrawalId = withdrawal._id;
+      await transitionPayment(payment, 'processing', {
+        by: user._id,
+        byModel: 'User',
+        note: `Withdrawal ${withdrawal._id}`
+      });
+      claimed.push(payment);
+    } catch (error) {
+      if (error.name !== 'VersionError') throw error;
+    }
+  }
+
+  withdrawal.payments = claimed.map(payment => payment._id);
+  withdrawal.amount = claimed.reduce((sum, payment) => sum + payment.signedAmount, 0);
+
+  if (withdrawal.amount < WITHDRAWAL_MINIMUM) {
+    // Lost the race for enough entries - hand them back
+    for (const payment of claimed) {
+      await transitionPayment(payment, 'failed', { note: 'Withdrawal cancelled' });
+      await transitionPayment(payment, 'approved', { note: 'Returned to available balance' });
+    }
+    withdrawal.status = 'failed';
+    withdrawal.failedAt = new Date();
+    withdrawal.failureReason = 'Earnings were claimed by another withdrawal';
+    await withdrawal.save();
+    throw payoutError('A withdrawal is already in progress', 409);
+  }
+
+  withdrawal.status = 'processing';
+  await withdrawal.save();
+
+  try {
+    const transfer = await createTransfer(
+      withdrawal.amount,
+      currency,
+      withdrawal.stripeAccountId,
+      {
+        withdrawalId: withdrawal._id.toString(),
+        userId: user._id.toString()
+      },
+      `withdrawal-${withdrawal._id}`
+    );
+
+    withdrawal.stripeTransferId = transfer.id;
+    withdrawal.status = 'paid';
+    withdrawal.paidAt = new Date();
+    await withdrawal.save();
+
+    for (const payment of claimed) {
+      await transitionPayment(payment, 'paid', { note: `Stripe transfer ${transfer.id}` });
+    }
+
+    console.log(`💸 Withdrawal ${withdrawal._id}: ${withdrawal.amount} ${currency} → ${withdrawal.stripeAccountId}`);
+  } catch (error) {
+    console.error('❌ Stripe transfer failed:', error.message);
+
+    withdrawal.status = 'failed';
+    withdrawal.failedAt = new Date();
+    withdrawal.failureReason = error.message;
+    await withdrawal.save();
+
+    for (const payment of claimed) {
+      await transitionPayment(payment, 'failed', { note: error.message });
+      await transitionPayment(payment, 'approved', { note: 'Returned to available balance' });
+    }
+
+    throw payoutError('The transfer could not be completed. Your earnings are still available to withdraw.', 502);
+  }
+
+  return withdrawal;
+};
+
+module.exports = {
+  WITHDRAWAL_MINIMUM,
+  startOnboarding,
+  refreshOnboardingStatus,
+  requestWithdrawal
+};
@@ -0,0 +1,105 @@
+// utils/planUsage.js - Subscription plan consumption and quota checks
+const Job = require('../models/Job');
+const CompanyMember = require('../models/CompanyMember');
+const { getPlan } = require('../config/plans');
+
+const planError = (title, message, statusCode, code) => {
+  const error = new Error(message);
+  error.title = title;
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+// Count what a company currently consumes against its plan
+const getPlanUsage = async (company) => {
+  const plan = getPlan(company);
+
+  const [activeJobs, featuredJobs, memberSeats] = await Promise.all([
+    Job.countDocuments({ companyId: company._id, status: 'active' }),
+    Job.countDocuments({ companyId: company._id, status: 'active', isFeatured: true }),
+    CompanyMember.countSeats(company._id)
+  ]);
+
+  const usage = {
+    activeJobs,
+    seats: 1 + memberSeats, // The company account itself plus its team
+    featuredJobCredits: featuredJobs
+  };
+
+  const remaining = {};
+  Object.keys(plan.limits).forEach(key => {
+    remaining[key] = plan.limits[key] === null
+      ? null
+      : Math.max(plan.limits[key] - usage[key], 0);
+  });
+
+  return {
+    plan: plan.key,
+    planName: plan.name,
+    subscriptionStatus: company.billing?.subscriptionStatus,
+    trialEnds: company.billing?.trialEnds,
+    canPostJobs: company.canPostJobs(),
+    limits: plan.limits,
+    usage,
+    remaining,
+    features: plan.features
+  };
+};
+
+/**
+ * Throw when the company may not have another active (or featured) job.
+ * 402 means the subscription needs paying for, 403 means a plan limit or account restriction.
+ */
+const assertCanActivateJob = async (company, { featured = false, excludeJobId = null } = {}) => {
+  if (!company.isSubscriptionActive) {
+    throw planError('Payment required', 'Your subscription is not active. Update your billing details to post jobs.', 402, 'SUBSCRIPTION_INACTIVE');
+  }
+
+  if (!company.canPostJobs()) {
+    const message = !company.emailVerified
+      ? 'Verify your email address before posting jobs'
+      : 'Your account cannot post jobs at the moment';
+    throw planError('Access denied', message, 403, 'ACCOUNT_RESTRICTED');
+  }
+
+  const plan = getPlan(company);
+  const excludeFilter = excludeJobId ? { _id: { $ne: excludeJobId } } : {};
+
+  if (plan.limits.activeJobs !== null) {
+    const activeJobs = await Job.countDocuments({ companyId: company._id, status: 'active', ...excludeFilter });
+    if (activeJobs >= plan.limits.activeJobs) {
+      throw planError('Plan limit reached', `Your ${plan.name} plan allows ${plan.limits.activeJobs} active jobs. Pause or close a job, or upgrade your plan.`, 403, 'ACTIVE_JOB_LIMIT');
+    }
+  }
+
+  if (featured && plan.limits.featuredJobCredits !== null) {
+    const featuredJobs = await Job.countDocuments({ companyId: company._id, status: 'active', isFeatured: true, ...excludeFilter });
+    if (featuredJobs >= plan.limits.featuredJobCredits) {
+      throw planError('Plan limit reached', `Your ${plan.name} plan includes ${plan.limits.featuredJobCredits} featured job credits and they are all in use.`, 403, 'FEATURED_JOB_LIMIT');
+    }
+  }
+};
+
+// Throw when the company has no free seat for another team member
+const assertCanAddSeat = async (company) => {
+  const plan = getPlan(company);
+  if (plan.limits.seats === null) return;
+
+  const seats = 1 + await CompanyMember.countSeats(company._id);
+  if (seats >= plan.limits.seats) {
+    throw planError('Plan limit reached', `Your ${plan.name} plan includes ${plan.limits.seats} team seats and they are all in use. Remove a member or upgrade your plan.`, 403, 'SEAT_LIMIT');
+  }
+};
+
+// Check whether a company's plan includes a feature
+const hasPlanFeature = (company, feature) => {
+  return !!getPlan(company).features[feature];
+};
+
+module.exports = {
+  getPlanUsage,
+  assertCanActivateJob,
+  assertCanAddSeat,
+  hasPlanFeature
+};
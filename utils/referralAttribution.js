@@ -0,0 +1,99 @@
+// utils/referralAttribution.js - Decide which referrer gets credit for an application
+const Referral = require('../models/Referral');
+const ReferralClick = require('../models/ReferralClick');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+  attributionWindowDays: 30,
+  attributionModel: 'last_touch'
+};
+
+// Get a company's attribution rules, falling back to platform defaults
+const getAttributionSettings = (company) => ({
+  attributionWindowDays: company?.referralSettings?.attributionWindowDays || DEFAULT_SETTINGS.attributionWindowDays,
+  attributionModel: company?.referralSettings?.attributionModel || DEFAULT_SETTINGS.attributionModel
+});
+
+/**
+ * Resolve the referral touchpoint credited for a candidate applying to a job.
+ *
+ * Touchpoints are the stored ReferralClick records for this candidate (including
+ * anonymous clicks made under their visitor ID) inside the company's window.
+ * A referral code typed on the form only counts as a new touchpoint when that
+ * referrer has no earlier touchpoint for this candidate, so stale codes still expire.
+ */
+const resolveAttribution = async ({ job, company, candidate, visitorId, referralCode, req }) => {
+  const { attributionWindowDays, attributionModel } = getAttributionSettings(company);
+  const windowStart = new Date(Date.now() - attributionWindowDays * DAY_MS);
+
+  // Anonymous clicks made before signing in belong to this candidate now
+  await ReferralClick.linkVisitorToCandidate(visitorId, candidate._id);
+
+  if (referralCode) {
+    const referral = await Referral.findOrCreateByCode(referralCode, job._id);
+
+    if (referral && referral.referrerId.toString() !== candidate._id.toString()) {
+      const priorTouch = await ReferralClick.exists({
+        jobId: job._id,
+        candidateId: candidate._id,
+        referrerId: referral.referrerId
+      });
+
+      if (!priorTouch) {
+        await ReferralClick.recordTouch(referral, {
+          visitorId,
+          candidateId: candidate._id,
+          source: 'application',
+          req
+        });
+      }
+    }
+  }
+
+  // Self-referrals never count as touchpoints
+  const touchpoints = await ReferralClick.find({
+    jobId: job._id,
+    candidateId: candidate._id,
+    referrerId: { $ne: candidate._id },
+    createdAt: { $gte: windowStart }
+  }).sort({ createdAt: 1 });
+
+  if (touchpoints.length === 0) {
+    return {
+      touchpoint: null,
+      details: referralCode ? {
+        model: attributionModel,
+        windowDays: attributionWindowDays,
+        touchpointCount: 0,
+        reason: `No referral touchpoint within the ${attributionWindowDays}-day attribution window`
+      } : null
+    };
+  }
+
+  const touchpoint = attributionModel === 'first_touch'
+    ? touchpoints[0]
+    : touchpoints[touchpoints.length - 1];
+
+  const referrerCount = new Set(touchpoints.map(touch => touch.referrerId.toString())).size;
+  const position = attributionModel === 'first_touch' ? 'earliest' : 'most recent';
+
+  return {
+    touchpoint,
+    details: {
+      model: attributionModel,
+      windowDays: attributionWindowDays,
+      touchpointId: touchpoint._id,
+      touchpointSource: touchpoint.source,
+      touchedAt: touchpoint.createdAt,
+      touchpointCount: touchpoints.length,
+      reason: `${attributionModel}: ${touchpoint.referralCode} had the ${position} of ${touchpoints.length} touchpoint(s) from ${referrerCount} referrer(s) within ${attributionWindowDays} days`
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getAttributionSettings,
+  resolveAttribution
+};
@@ -0,0 +1,256 @@
+// utils/resumeParser.js - Offline resume parsing: text extraction, skill tagging and experience estimates
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const User = require('../models/User');
+const { SKILL_TAXONOMY } = require('../config/skills');
+const { readStoredFile } = require('./fileStorage');
+
+const MAX_TEXT_LENGTH = 50000;
+const MAX_PARSE_ATTEMPTS = 3;
+const BATCH_SIZE = 25;
+
+// Upper bound (in years) of each profile experience band, lowest first
+const EXPERIENCE_BANDS = [
+  [1, '0-1 years'],
+  [3, '1-3 years'],
+  [5, '3-5 years'],
+  [10, '5-10 years'],
+  [Infinity, '10+ years']
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+const DATE_RANGE = new RegExp(
+  `(?:${MONTH}\\s+|(\\d{1,2})/)?((?:19|20)\\d{2})\\s*(?:-|–|—|to|until)\\s*` +
+  `(?:${MONTH}\\s+|(\\d{1,2})/)?((?:19|20)\\d{2}|present|current|now|today|date)`,
+  'gi'
+);
+// Study periods are not work experience
+const EDUCATION_LINE = /\b(university|college|school|degree|diploma|bsc|msc|ba|ma|mba|phd|gcses?|a-levels?|graduated|studied)\b/i;
+const YEARS_STATED = /(\d{1,2})\+?\s*(?:years?|yrs?)['’]?\s+(?:of\s+)?(?:[a-z]+\s+){0,3}?experience/gi;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// Aliases match as whole words ("js" not in "node.js"), with any whitespace between words
+const buildSkillPattern = (aliases) => new RegExp(
+  `(?<![a-z0-9.])(?:${aliases.map(alias => escapeRegExp(alias.toLowerCase()).replace(/ /g, '\\s+')).join('|')})(?![a-z0-9])`,
+  'gi'
+);
+
+const SKILL_PATTERNS = SKILL_TAXONOMY.map(skill => ({
+  name: skill.name,
+  pattern: buildSkillPattern(skill.aliases)
+}));
+
+const parseError = (message, status = 'failed') => {
+  const error = new Error(message);
+  error.parseStatus = status;
+  return error;
+};
+
+// Pull plain text out of a PDF or DOCX file, going by its contents rather than its name
+const extractText = async (buffer) => {
+  let text;
+
+  if (buffer.subarray(0, 4).toString() === '%PDF') {
+    ({ text } = await pdfParse(buffer));
+  } else if (buffer[0] === 0x50 && buffer[1] === 0x4b) {
+    // DOCX files are zip archives
+    ({ value: text } = await mammoth.extractRawText({ buffer }));
+  } else {
+    throw parseError('Only PDF and DOCX resumes can be parsed', 'unsupported');
+  }
+
+  text = (text || '').replace(/[ \t ]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+
+  if (!text) {
+    throw parseError('No text found - scanned resumes cannot be parsed', 'unsupported');
+  }
+
+  return text.slice(0, MAX_TEXT_LENGTH);
+};
+
+// Canonical names of the taxonomy skills mentioned in the text, most mentioned first
+const detectSkills = (text) => SKILL_PATTERNS
+  .map(({ name, pattern }) => ({ name, mentions: (text.match(pattern) || []).length }))
+  .filter(skill => skill.mentions > 0)
+  .sort((a, b) => b.mentions - a.mentions)
+  .map(skill => skill.name);
+
+// Month index (years * 12 + month) for one end of a date range
+const toMonthIndex = (monthName, monthNumber, year, isEnd, now) => {
+  if (/^(present|current|now|today|date)$/i.test(year)) {
+    return now.getFullYear() * 12 + now.getMonth();
+  }
+
+  let month = isEnd ? 11 : 0;
+  if (monthName) month = MONTHS.indexOf(monthName.slice(0, 3).toLowerCase());
+  else if (monthNumber && monthNumber >= 1 && monthNumber <= 12) month = monthNumber - 1;
+
+  return Number(year) * 12 + month;
+};
+
+/**
+ * Estimate years of experience from the text.
+ * Uses the larger of any "N years of experience" claim and the total time covered
+ * by date ranges (overlapping roles are only counted once, lines about study are skipped).
+ */
+const estimateExperience = (text, now = new Date()) => {
+  const nowIndex = now.getFullYear() * 12 + now.getMonth();
+
+  const stated = [...text.matchAll(YEARS_STATED)]
+    .map(match => Number(match[1]))
+    .filter(years => years <= 50);
+
+  const ranges = text.split('\n')
+    .filter(line => !EDUCATION_LINE.test(line))
+    .flatMap(line => [...line.matchAll(DATE_RANGE)])
+    .map(match => [
+      toMonthIndex(match[1], Number(match[2]), match[3], false, now),
+      Math.min(toMonthIndex(match[4], Number(match[5]), match[6], true, now), nowIndex)
+    ])
+    .filter(([start, end]) => start <= end && end - start <= 50 * 12)
+    .sort((a, b) => a[0] - b[0]);
+
+  let months = 0;
+  let current = null;
+  ranges.forEach(([start, end]) => {
+    if (current && start <= current[1]) {
+      current[1] = Math.max(current[1], end);
+      return;
+    }
+    if (current) months += current[1] - current[0] + 1;
+    current = [start, end];
+  });
+  if (current) months += current[1] - current[0] + 1;
+
+  const years = Math.max(Math.floor(months / 12), ...stated, 0);
+
+  return {
+    yearsOfExperience: years,
+    experience: EXPERIENCE_BANDS.find(([limit]) => years < limit)[1]
+  };
+};
+
+// Full parse of a stored resume file
+const parseResumeFile = async (stored) => {
+  const buffer = await readStoredFile(stored);
+  const text = await extractText(buffer);
+
+  return {
+    text,
+    skills: detectSkills(text),
+    ...estimateExperience(text)
+  };
+};
+
+/**
+ * Parse one resume in a user's library and save the results on it.
+ * Read failures are retried by the scheduler; unsupported files are not.
+ */
+const processResume = async (userId, resumeId) => {
+  const user = await User.findOne({ _id: userId, deletedAt: null }).select('email resumes');
+  const resume = user?.resumes.id(resumeId);
+  if (!resume) return null;
+
+  const attempts = (resume.parsing?.attempts || 0) + 1;
+  let update;
+
+  try {
+    const { text, skills, experience, yearsOfExperience } = await parseResumeFile(resume);
+
+    update = {
+      'resumes.$.extractedText': text,
+      'resumes.$.parsing': { status: 'parsed', attempts, parsedAt: new Date(), skills, experience, yearsOfExperience }
+    };
+    console.log(`🔎 Resume parsed: ${user.email} (${resume.name}, ${skills.length} skills, ${experience})`);
+  } catch (error) {
+    const status = error.parseStatus || 'failed';
+
+    update = {
+      'resumes.$.parsing': { status, attempts, error: error.message.slice(0, 200) }
+    };
+    if (status === 'failed') {
+      console.error(`❌ Resume parse failed (attempt ${attempts}): ${user.email} (${resume.name}):`, error.message);
+    }
+  }
+
+  // Positional update so a rename or default change made meanwhile is not overwritten
+  await User.updateOne({ _id: userId, 'resumes._id': resumeId }, { $set: update });
+
+  return update['resumes.$.parsing'];
+};
+
+// Parse a freshly uploaded resume in the background (the scheduler retries it if this fails)
+const queueResumeParsing = (userId, resumeId) => {
+  setImmediate(() => {
+    processResume(userId, resumeId).catch(error => {
+      console.error('❌ Queued resume parse error:', error);
+    });
+  });
+};
+
+// Scheduled task - parse resumes that are new, or failed fewer than MAX_PARSE_ATTEMPTS times
+const parsePendingResumes = async () => {
+  const needsParsing = {
+    $or: [
+      { 'parsing.status': 'pending' },
+      { 'parsing.status': { $exists: false } },
+      { 'parsing.status': 'failed', 'parsing.attempts': { $lt: MAX_PARSE_ATTEMPTS } }
+    ]
+  };
+
+  const users = await User.find({ deletedAt: null, resumes: { $elemMatch: needsParsing } })
+    .select('resumes._id resumes.parsing')
+    .limit(BATCH_SIZE);
+
+  let parsed = 0;
+  for (const user of users) {
+    const pending = user.resumes.filter(resume =>
+      resume.parsing?.status === 'pending' ||
+      (resume.parsing?.status === 'failed' && resume.parsing.attempts < MAX_PARSE_ATTEMPTS)
+    );
+
+    for (const resume of pending) {
+      const result = await processResume(user._id, resume._id);
+      if (result?.status === 'parsed') parsed++;
+    }
+  }
+
+  if (parsed > 0) {
+    console.log(`🔎 Parsed ${parsed} pending resumes`);
+  }
+
+  return parsed;
+};
+
+// Profile changes suggested by a parsed resume that the user has not made yet
+const buildProfileSuggestions = (user, resume) => {
+  const parsing = resume?.parsing;
+  if (parsing?.status !== 'parsed') {
+    return { skills: [], experience: null };
+  }
+
+  const current = new Set((user.profile?.skills || []).map(skill => skill.toLowerCase()));
+
+  return {
+    skills: (parsing.skills || []).filter(skill => !current.has(skill.toLowerCase())),
+    experience: parsing.experience && parsing.experience !== user.profile?.experience
+      ? parsing.experience
+      : null,
+    yearsOfExperience: parsing.yearsOfExperience
+  };
+};
+
+module.exports = {
+  MAX_PARSE_ATTEMPTS,
+  buildSkillPattern,
+  extractText,
+  detectSkills,
+  estimateExperience,
+  parseResumeFile,
+  processResume,
+  queueResumeParsing,
+  parsePendingResumes,
+  buildProfileSuggestions
+};
@@ -0,0 +1,71 @@
+// utils/scheduler.js - Lightweight in-process recurring tasks
+const { runMonthlyInvoicing, retryFailedCollections, retryFailedInvoiceVoids } = require('./invoicing');
+const { releaseGuaranteedPayouts } = require('./ledger');
+const { parsePendingResumes } = require('./resumeParser');
+
+const HOUR = 60 * 60 * 1000;
+
+// Task name → { interval, run }
+const TASKS = {
+  monthlyInvoicing: {
+    interval: 6 * HOUR,
+    // Only bills on the first days of the month; idempotent, so repeated runs are harmless
+    run: () => (new Date().getDate() <= 3 ? runMonthlyInvoicing() : null)
+  },
+  invoiceCollection: {
+    // Open invoices whose Stripe collection failed, up to MAX_COLLECTION_ATTEMPTS tries
+    interval: HOUR,
+    run: () => retryFailedCollections()
+  },
+  invoiceVoids: {
+    // Invoices a reported departure could not void at the time
+    interval: HOUR,
+    run: () => retryFailedInvoiceVoids()
+  },
+  guaranteeRelease: {
+    interval: HOUR,
+    run: () => releaseGuaranteedPayouts()
+  },
+  resumeParsing: {
+    // Picks up resumes the upload-time parse missed, and retries failed ones
+    interval: HOUR / 4,
+    run: () => parsePendingResumes()
+  }
+};
+
+const timers = [];
+
+const runTask = async (name, task) => {
+  try {
+    await task.run();
+  } catch (error) {
+    console.error(`❌ Scheduled task ${name} failed:`, error);
+  }
+};
+
+// Start all scheduled tasks (call once the database is connected)
+const startScheduler = () => {
+  if (process.env.DISABLE_SCHEDULER === 'true') {
+    console.log('⏸️ Scheduler disabled');
+    return;
+  }
+
+  Object.entries(TASKS).forEach(([name, task]) => {
+    const timer = setInterval(() => runTask(name, task), task.interval);
+    timer.unref(); // Never keep the process alive just for the scheduler
+    timers.push(timer);
+  });
+
+  console.log(`⏰ Scheduler started (${Object.keys(TASKS).join(', ')})`);
+};
+
+const stopScheduler = () => {
+  timers.forEach(timer => clearInterval(timer));
+  timers.length = 0;
+};
+
+module.exports = {
+  TASKS,
+  startScheduler,
+  stopScheduler
+};